@@ -2,199 +2,5082 @@ const express = require('express');
 const cors = require('cors');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Disable ETag generation globally
-app.set('etag', false);
+// Behind a proxy (Railway) every request comes from the proxy's address. TRUST_PROXY says which
+// proxies to believe for X-Forwarded-For/-Proto, so the sign-in throttle keys on the real client
+// and the session cookie is marked Secure: a hop count such as 1, true, or addresses/subnets.
+const TRUST_PROXY = process.env.TRUST_PROXY || 'false';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) :
+    TRUST_PROXY === 'true' ? true : TRUST_PROXY === 'false' ? false : TRUST_PROXY);
 
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '50mb' })); // Large limit for player photos
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
+// Cross-origin access is off unless CORS_ORIGINS lists the allowed origins (comma separated).
+// The web app is served from this server and the iOS apps send no Origin, so neither needs it.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false }));
+// Player photos are uploaded on their own (see the photo endpoints); the limit leaves room
+// for iOS bulk uploads that still carry them inline
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
-// Serve static files from web-app directory with aggressive no-cache control
-app.use(express.static(path.join(__dirname, 'web-app'), {
-    setHeaders: (res, path) => {
-        // Disable caching for all files without Last-Modified/ETag to prevent conditional requests
-        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate, private');
-        res.setHeader('Pragma', 'no-cache');
-        res.setHeader('Expires', '0');
+// The web app. The service worker caches its files per build (see /sw.js below), so the
+// browser only has to revalidate them: no-cache means "check the ETag", not "never store".
+const WEB_APP_DIR = path.join(__dirname, 'web-app');
+
+// A hash of every file the web app is served from; the service worker is versioned by it
+async function webAppBuildHash() {
+    const hash = crypto.createHash('sha256');
+    const entries = await fs.readdir(WEB_APP_DIR, { withFileTypes: true });
+    for (const entry of entries.filter(entry => entry.isFile()).sort((a, b) => a.name.localeCompare(b.name))) {
+        hash.update(entry.name);
+        hash.update(await fs.readFile(path.join(WEB_APP_DIR, entry.name)));
+    }
+    return hash.digest('hex').slice(0, 12);
+}
+
+app.get('/sw.js', async (req, res) => {
+    try {
+        const source = await fs.readFile(path.join(WEB_APP_DIR, 'sw.js'), 'utf8');
+        const buildHash = await webAppBuildHash();
+        res.set({
+            'Content-Type': 'application/javascript; charset=UTF-8',
+            'Cache-Control': 'no-cache'
+        });
+        res.send(source.replace(/const BUILD_HASH = '[^']*';/, `const BUILD_HASH = '${buildHash}';`));
+    } catch (error) {
+        console.error('Error serving the service worker:', error);
+        res.status(500).type('text/plain').send('Internal Server Error');
+    }
+});
+
+app.use(express.static(WEB_APP_DIR, {
+    setHeaders: (res) => {
+        res.setHeader('Cache-Control', 'no-cache');
+    }
+}));
+
+// Data storage paths
+const DATA_DIR = path.join(__dirname, 'data');
+const TEAMS_FILE = path.join(DATA_DIR, 'teams.json');
+const MATCHDAYS_FILE = path.join(DATA_DIR, 'matchdays.json');
+const LEAGUES_FILE = path.join(DATA_DIR, 'leagues.json');
+const SNAPSHOTS_DIR = path.join(DATA_DIR, 'snapshots');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const REFEREES_FILE = path.join(DATA_DIR, 'referees.json');
+const SEASONS_FILE = path.join(DATA_DIR, 'seasons.json');
+const VENUES_FILE = path.join(DATA_DIR, 'venues.json');
+const CHANGES_FILE = path.join(DATA_DIR, 'changes.json');
+const PHOTOS_DIR = path.join(DATA_DIR, 'photos');
+const PLAYERS_FILE = path.join(DATA_DIR, 'players.json');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const API_KEYS_FILE = path.join(DATA_DIR, 'api-keys.json');
+
+// Signed-in sessions last two weeks so sideline tablets don't get logged out mid-season.
+// They're kept in sessions.json, so restarts and deploys don't sign anyone out either.
+const SESSION_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Failed sign-ins are counted per IP address and per username. After the free attempts,
+// each further try has to wait twice as long as the one before, up to the maximum.
+const LOGIN_FREE_ATTEMPTS = 5;
+const LOGIN_MAX_BACKOFF_MS = 15 * 60 * 1000;
+
+// Admins manage leagues, teams and schedules; referees check in players and enter
+// scores; viewers can only read
+const ROLES = ['admin', 'referee', 'viewer'];
+
+// Snapshot retention: the most recent ones, plus the latest one of every earlier day
+const SNAPSHOT_KEEP_RECENT = 50;
+
+// Deletions stay in the change feed this long; clients that were away longer start over
+const TOMBSTONE_RETENTION_DAYS = 30;
+
+// Player photos: the web app uploads a JPEG of a few dozen KB, so this is generous
+const MAX_PHOTO_BYTES = 2 * 1024 * 1024;
+const PHOTO_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+// Leagues the app shipped with before they were stored on the server
+const DEFAULT_LEAGUES = [
+    { id: '78E07FBD-352D-46A0-87F7-F3F119E08FC6', name: 'Over 30' },
+    { id: '364C47E0-D393-4945-9A26-E16E3B18E4A0', name: 'Over 40' }
+];
+
+// Ensure data directory exists
+async function ensureDataDir() {
+    try {
+        await fs.mkdir(DATA_DIR, { recursive: true });
+        console.log(`📁 Data directory ready: ${DATA_DIR}`);
+    } catch (error) {
+        console.error('Error creating data directory:', error);
+    }
+}
+
+// Helper function to read JSON file
+// A file that exists but can't be parsed (e.g. truncated by a crash) is an error,
+// never an empty list - otherwise the next write would wipe the league's data
+async function readJSONFile(filePath, defaultValue = []) {
+    let data;
+    try {
+        data = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            // File doesn't exist, create it with default value
+            await writeJSONFile(filePath, defaultValue);
+            return defaultValue;
+        }
+        console.error(`Error reading ${filePath}:`, error);
+        throw error;
+    }
+    
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        console.error(`❌ ${filePath} is corrupt and will not be overwritten - restore it from a backup`);
+        const corruptError = new Error(`Data file ${path.basename(filePath)} is corrupt`);
+        corruptError.code = 'EDATACORRUPT';
+        throw corruptError;
+    }
+}
+
+// Pending writes per file, so writes to the same file never overlap
+const writeQueues = new Map();
+let tempFileCounter = 0;
+
+// Helper function to write JSON file
+// Writes go to a temp file that is flushed and then renamed over the target,
+// so readers see either the old or the new contents, never a partial file
+async function writeJSONFile(filePath, data) {
+    const contents = JSON.stringify(data, null, 2);
+    const collection = liveCollectionName(filePath);
+    
+    const previous = writeQueues.get(filePath) || Promise.resolve();
+    const write = previous.then(async () => {
+        const tempPath = `${filePath}.${process.pid}.${++tempFileCounter}.tmp`;
+        let loggedSeq = null;
+        try {
+            const before = collection ? await fs.readFile(filePath, 'utf8').catch(() => null) : null;
+            const changes = collection && Array.isArray(data) ? diffRecords(before, data) : null;
+            // Logged before the file changes: a crash in between leaves an extra entry, never a missing one
+            loggedSeq = changes ? await recordChanges(collection, changes) : null;
+            const handle = await fs.open(tempPath, 'w');
+            try {
+                await handle.writeFile(contents);
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await fs.rename(tempPath, filePath);
+            unwrittenSeqs.delete(loggedSeq);
+            if (changes) {
+                publishChanges(collection, changes, committedCursor());
+            }
+            return true;
+        } catch (error) {
+            console.error(`Error writing ${filePath}:`, error);
+            unwrittenSeqs.delete(loggedSeq);
+            await fs.unlink(tempPath).catch(() => {});
+            return false;
+        }
+    });
+    
+    writeQueues.set(filePath, write);
+    write.then(() => {
+        if (writeQueues.get(filePath) === write) {
+            writeQueues.delete(filePath);
+        }
+    });
+    
+    return write;
+}
+
+// Live updates: connected clients get every change to the shared data files as the records
+// that were added or changed plus the ids that were removed, so they never reload everything.
+// User accounts are not shared this way.
+const liveClients = new Set();
+
+function liveCollectionName(filePath) {
+    const entry = Object.entries(backupFiles()).find(([, { file }]) => file === filePath);
+    return entry ? entry[0] : null;
+}
+
+function diffRecords(beforeContents, records) {
+    let before = [];
+    try {
+        before = beforeContents ? JSON.parse(beforeContents) : [];
+    } catch (error) {
+        before = [];
+    }
+    
+    const previous = new Map((Array.isArray(before) ? before : []).map(record => [record.id, JSON.stringify(record)]));
+    const current = new Set(records.map(record => record.id));
+    return {
+        upserts: records.filter(record => previous.get(record.id) !== JSON.stringify(record)),
+        deletes: [...previous.keys()].filter(id => !current.has(id))
+    };
+}
+
+function publishChanges(collection, { upserts, deletes }, cursor) {
+    if (liveClients.size === 0 || (upserts.length === 0 && deletes.length === 0)) {
+        return;
+    }
+    
+    const message = `event: change\ndata: ${JSON.stringify({ collection, upserts, deletes, cursor })}\n\n`;
+    liveClients.forEach(client => {
+        // Streams of sessions that signed out or expired are closed instead. API key streams
+        // have no session; they're closed when the key is revoked (see endApiKeyStreams).
+        if (!client.apiKeyId && !findSession(client.token)) {
+            client.res.end();
+            liveClients.delete(client);
+            return;
+        }
+        client.res.write(message);
+    });
+}
+
+// Change feed: the log keeps one entry per record - the latest change, with deletions as
+// tombstones - numbered by a sequence that a client's cursor points into. Old tombstones are
+// pruned; prunedThrough is the oldest cursor the log can still bring up to date.
+let changeLog = { seq: 1, prunedThrough: 1, entries: [] };
+// First sequence number of each logged write whose data file isn't renamed into place yet.
+// Cursors stop short of them, so a poll in between can't move a client past a change it couldn't read.
+const unwrittenSeqs = new Set();
+
+function committedCursor() {
+    return String(unwrittenSeqs.size > 0 ? Math.min(...unwrittenSeqs) - 1 : changeLog.seq);
+}
+
+async function loadChangeLog() {
+    changeLog = await readJSONFile(CHANGES_FILE, changeLog);
+}
+
+// Returns the first sequence number handed out, which stays unwritten until the caller releases it
+async function recordChanges(collection, { upserts, deletes }) {
+    if (upserts.length === 0 && deletes.length === 0) {
+        return null;
+    }
+    
+    const now = new Date().toISOString();
+    const changed = [
+        ...upserts.map(record => ({ collection, id: record.id, at: now })),
+        ...deletes.map(id => ({ collection, id, deleted: true, at: now }))
+    ];
+    const keys = new Set(changed.map(entry => `${collection}/${entry.id}`));
+    
+    const cutoff = new Date(Date.now() - TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const entries = [];
+    changeLog.entries.forEach(entry => {
+        if (keys.has(`${entry.collection}/${entry.id}`)) return;
+        if (entry.deleted && entry.at < cutoff) {
+            changeLog.prunedThrough = Math.max(changeLog.prunedThrough, entry.seq);
+            return;
+        }
+        entries.push(entry);
+    });
+    const firstSeq = changeLog.seq + 1;
+    unwrittenSeqs.add(firstSeq);
+    changed.forEach(entry => entries.push({ seq: ++changeLog.seq, ...entry }));
+    changeLog.entries = entries;
+    
+    await writeJSONFile(CHANGES_FILE, changeLog);
+    return firstSeq;
+}
+
+// Copy only the whitelisted fields that are present in the request body
+function pickFields(source, fields) {
+    const result = {};
+    fields.forEach(field => {
+        if (source[field] !== undefined) {
+            result[field] = source[field];
+        }
+    });
+    return result;
+}
+
+// Every stored record carries a server-assigned revision that goes up on each change.
+// A change to a record nested in another (a team's players, a match day's matches, a venue's
+// fields) bumps the parent too, so a stale write of the whole parent can't undo it.
+function touchRecord(record) {
+    record.revision = (record.revision || 0) + 1;
+    record.lastModified = Date.now() / 1000;
+    return record;
+}
+
+// A write is stale when the client sent an If-Match revision that no longer matches
+// the stored record. Requests without If-Match (the iOS apps) are applied as before.
+function isStaleWrite(req, record) {
+    const expected = req.get('If-Match');
+    if (expected === undefined) {
+        return false;
+    }
+    return Number(expected.replace(/"/g, '')) !== (record.revision || 0);
+}
+
+function sendConflict(res, record) {
+    return res.status(409).json({
+        error: 'This record was changed by someone else',
+        current: record
+    });
+}
+
+// Serialize with sorted keys, leaving out bookkeeping fields, so two copies of a
+// record can be compared regardless of the key order the client encoded them in
+function recordContent(record, ignoredKeys) {
+    const sortKeys = (value) => {
+        if (Array.isArray(value)) {
+            return value.map(sortKeys);
+        }
+        if (value && typeof value === 'object') {
+            return Object.keys(value).sort()
+                .filter(key => !ignoredKeys.includes(key))
+                .reduce((sorted, key) => ({ ...sorted, [key]: sortKeys(value[key]) }), {});
+        }
+        return value;
+    };
+    return JSON.stringify(sortKeys(record));
+}
+
+// Whole-array writes from the iOS apps don't know about revisions: keep the stored
+// revision for unchanged records and bump it for changed or new ones
+function carryRevisions(previousRecords, records, childKey = null) {
+    const previousById = new Map(previousRecords.map(record => [record.id, record]));
+    const ignoredKeys = ['revision', 'lastModified', ...(childKey ? [childKey] : [])];
+    
+    records.forEach(record => {
+        const previous = previousById.get(record.id);
+        
+        if (childKey && Array.isArray(record[childKey])) {
+            carryRevisions(previous?.[childKey] || [], record[childKey]);
+        }
+        
+        if (!previous) {
+            record.revision = record.revision || 1;
+        } else if (recordContent(previous, ignoredKeys) === recordContent(record, ignoredKeys)) {
+            record.revision = previous.revision || 0;
+        } else {
+            record.revision = (previous.revision || 0) + 1;
+        }
+    });
+}
+
+// Fields a client may set on each entity through the granular endpoints
+const LEAGUE_FIELDS = ['name', 'suspensionRules', 'standingsRules', 'eligibilityRules'];
+const TEAM_FIELDS = ['name', 'colorData', 'leagueId'];
+// isPresent is only kept for the iOS apps; attendance is recorded per match
+const PLAYER_FIELDS = ['name', 'jerseyNumber', 'isPresent'];
+// Registry fields belong to the person; jersey number and presence belong to their place on a team
+const REGISTRY_PLAYER_FIELDS = ['name', 'dateOfBirth', 'registrationStatus'];
+const MATCHDAY_FIELDS = ['name', 'date', 'notes', 'seasonId'];
+const SEASON_FIELDS = ['name', 'startDate', 'endDate', 'leagueIds'];
+const MATCH_FIELDS = [
+    'homeTeamId', 'awayTeamId', 'scheduledTime', 'field', 'status',
+    'fieldId', 'homeTeamPresent', 'awayTeamPresent', 'homeScore', 'awayScore',
+    'centerRefereeId', 'assistantRefereeIds'
+];
+const REFEREE_FIELDS = ['name', 'email', 'phone'];
+const VENUE_FIELDS = ['name', 'address', 'timeZone'];
+const PITCH_FIELDS = ['name', 'surface', 'size', 'availability'];
+const ROUND_ROBIN_FIELDS = [
+    'teamIds', 'format', 'startDate', 'endDate', 'intervalDays', 'fields', 'fieldIds', 'timeSlots', 'timeZone', 'seasonId'
+];
+
+// Match day and match fields the iOS apps don't know about yet. They drop them when
+// writing whole arrays back, so the stored values are kept instead of being wiped.
+const SERVER_ONLY_MATCHDAY_FIELDS = ['seasonId'];
+const SERVER_ONLY_MATCH_FIELDS = [
+    'fieldId', 'centerRefereeId', 'assistantRefereeIds', 'attendance', 'attendanceHistory', 'events', 'suspensionOverrides'
+];
+
+function keepServerOnlyFields(previousMatchDays, matchDays) {
+    const keepFields = (previous, record, fields) => {
+        fields.forEach(field => {
+            if (previous && record[field] === undefined && previous[field] !== undefined) {
+                record[field] = previous[field];
+            }
+        });
+    };
+    const previousMatchDaysById = new Map(previousMatchDays.map(md => [md.id, md]));
+    const previousMatches = new Map(
+        previousMatchDays.flatMap(md => md.matches || []).map(match => [match.id, match])
+    );
+    
+    matchDays.forEach(matchDay => {
+        keepFields(previousMatchDaysById.get(matchDay.id), matchDay, SERVER_ONLY_MATCHDAY_FIELDS);
+        (Array.isArray(matchDay.matches) ? matchDay.matches : []).forEach(match => {
+            const previous = previousMatches.get(match.id);
+            keepFields(previous, match, SERVER_ONLY_MATCH_FIELDS);
+            // A field renamed in the iOS apps no longer points at the managed field
+            if (previous && match.fieldId && match.field !== previous.field) {
+                match.fieldId = null;
+            }
+        });
+    });
+}
+
+// The iOS apps don't know about photo files or transfers either; a player sent without them
+// keeps the stored photo and team history
+const SERVER_ONLY_PLAYER_FIELDS = ['photo', 'joinedAt', 'teamHistory'];
+
+function keepServerOnlyPlayerFields(previousTeams, teams) {
+    const previousPlayers = new Map(previousTeams.flatMap(team => team.players || []).map(player => [player.id, player]));
+    teams.flatMap(team => Array.isArray(team.players) ? team.players : []).forEach(player => {
+        const previous = previousPlayers.get(player.id);
+        SERVER_ONLY_PLAYER_FIELDS.forEach(field => {
+            if (previous && previous[field] !== undefined && player[field] === undefined) {
+                player[field] = previous[field];
+            }
+        });
+    });
+}
+
+// Player photos are stored as files named by a hash of their contents, so a photo's URL
+// never changes meaning and can be cached for good. Photos are recognised by their first
+// bytes rather than by the Content-Type the client sent.
+function photoType(buffer) {
+    if (buffer.length > 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return 'image/jpeg';
+    }
+    if (buffer.length > 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        return 'image/png';
+    }
+    if (buffer.length > 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    return null;
+}
+
+// Returns the stored file name, or null when the data isn't an image
+async function savePhoto(buffer) {
+    const type = photoType(buffer);
+    if (!type) {
+        return null;
+    }
+    
+    const name = `${crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32)}.${PHOTO_EXTENSIONS[type]}`;
+    await fs.mkdir(PHOTOS_DIR, { recursive: true });
+    const tempPath = path.join(PHOTOS_DIR, `${name}.${process.pid}.${++tempFileCounter}.tmp`);
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, path.join(PHOTOS_DIR, name));
+    return name;
+}
+
+// Identical photos share a file, so only files no player still uses are removed
+async function removePhotos(names, teams) {
+    const inUse = new Set(teams.flatMap(team => team.players || []).map(player => player.photo));
+    for (const name of names.filter(name => name && !inUse.has(name))) {
+        await fs.unlink(path.join(PHOTOS_DIR, name)).catch(() => {});
+    }
+}
+
+// Players uploaded with an inline base64 photoData (the Swift Pro app) get it moved into a photo file
+async function extractInlinePhotos(teams) {
+    let moved = 0;
+    for (const player of teams.flatMap(team => Array.isArray(team.players) ? team.players : [])) {
+        if (typeof player.photoData !== 'string') {
+            continue;
+        }
+        const name = await savePhoto(Buffer.from(player.photoData, 'base64'));
+        delete player.photoData;
+        if (name) {
+            player.photo = name;
+            moved++;
+        }
+    }
+    return moved;
+}
+
+// Validation
+// Each validator returns a list of { field, message } problems; an empty list means valid.
+// Nested problems are reported with a path such as "players[2].jerseyNumber".
+const MATCH_STATUSES = ['Scheduled', 'In Progress', 'Completed', 'Cancelled'];
+const MAX_ASSISTANT_REFEREES = 2;
+const MATCH_EVENT_TYPES = ['goal', 'yellow', 'red', 'second-yellow', 'substitution'];
+const MAX_EVENT_MINUTE = 150;
+
+// Suspension rules used when a league doesn't override them: a red card (or a second
+// yellow) bans the player for the team's next match, and so does every fifth yellow in a season
+const DEFAULT_SUSPENSION_RULES = {
+    redCardBanMatches: 1,
+    secondYellowBanMatches: 1,
+    yellowCardLimit: 5,
+    yellowCardBanMatches: 1
+};
+// Used to decide whether two kick-offs overlap (two 40 minute halves plus the break)
+const MATCH_LENGTH_MINUTES = 90;
+// A team finishing less than this long before its next kick-off gets a scheduling warning
+const MIN_REST_MINUTES = 60;
+// Changing any of these (or reinstating a cancelled match) re-checks it for field and team double-bookings
+const SCHEDULE_FIELDS = ['homeTeamId', 'awayTeamId', 'scheduledTime', 'field', 'fieldId'];
+const FIELD_SURFACES = ['grass', 'artificial turf', 'indoor'];
+const FIELD_SIZES = ['11v11', '9v9', '7v7', '5v5'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+function isISODateTime(value) {
+    return typeof value === 'string' && ISO_DATE_TIME.test(value) && !isNaN(Date.parse(value));
+}
+
+function isNonEmptyString(value, maxLength) {
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+}
+
+function isCount(value, max) {
+    return Number.isInteger(value) && value >= 0 && value <= max;
+}
+
+function prefixErrors(errors, prefix) {
+    return errors.map(error => ({ ...error, field: `${prefix}.${error.field}` }));
+}
+
+// For partial updates only report problems with the fields the client sent
+function errorsForFields(errors, fields) {
+    return errors.filter(error => fields.includes(error.field.split(/[.[]/)[0]));
+}
+
+function sendValidationError(res, details) {
+    return res.status(400).json({ error: 'Validation failed', details: details });
+}
+
+function validateLeague(league, leagues) {
+    const errors = [];
+    if (!isNonEmptyString(league.name, 50)) {
+        errors.push({ field: 'name', message: 'League name is required (50 characters max)' });
+    } else if (leagues.some(l => l.id !== league.id && l.name.toLowerCase() === league.name.trim().toLowerCase())) {
+        errors.push({ field: 'name', message: 'A league with this name already exists' });
+    }
+    if (league.suspensionRules !== undefined) {
+        errors.push(...prefixErrors(validateSuspensionRules(league.suspensionRules), 'suspensionRules'));
+    }
+    if (league.standingsRules !== undefined) {
+        errors.push(...prefixErrors(validateStandingsRules(league.standingsRules), 'standingsRules'));
+    }
+    if (league.eligibilityRules !== undefined) {
+        errors.push(...prefixErrors(validateEligibilityRules(league.eligibilityRules), 'eligibilityRules'));
+    }
+    return errors;
+}
+
+function validateStandingsRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return [{ field: 'rules', message: 'Standings rules must be an object' }];
+    }
+    const errors = [];
+    ['pointsForWin', 'pointsForDraw', 'pointsForLoss'].forEach(field => {
+        if (rules[field] !== undefined && !isCount(rules[field], 10)) {
+            errors.push({ field: field, message: 'Points must be a whole number from 0 to 10' });
+        }
+    });
+    if (rules.tiebreakers !== undefined && (!Array.isArray(rules.tiebreakers) ||
+        rules.tiebreakers.some(t => !TIEBREAKERS.includes(t)) ||
+        new Set(rules.tiebreakers).size !== rules.tiebreakers.length)) {
+        errors.push({ field: 'tiebreakers', message: `Tiebreakers must be a list of distinct values from: ${TIEBREAKERS.join(', ')}` });
+    }
+    Object.keys(rules)
+        .filter(key => !['pointsForWin', 'pointsForDraw', 'pointsForLoss', 'tiebreakers'].includes(key))
+        .forEach(key => errors.push({ field: key, message: 'Unknown standings rule' }));
+    return errors;
+}
+
+// League rules may leave out any of these; the defaults fill the gaps
+function validateSuspensionRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return [{ field: 'rules', message: 'Suspension rules must be an object' }];
+    }
+    const limits = {
+        redCardBanMatches: [0, 20],
+        secondYellowBanMatches: [0, 20],
+        yellowCardLimit: [1, 50],
+        yellowCardBanMatches: [0, 20]
+    };
+    return Object.entries(rules)
+        .filter(([key, value]) => !(key in limits) || !Number.isInteger(value) ||
+            value < limits[key][0] || value > limits[key][1])
+        .map(([key]) => key in limits ?
+            { field: key, message: `Must be a whole number from ${limits[key][0]} to ${limits[key][1]}` } :
+            { field: key, message: 'Unknown suspension rule' });
+}
+
+// Age-bracket leagues ("Over 30") set eligibilityRules: players must have reached minimumAge by the
+// cutoff date (MM-DD, January 1 by default) in the year being checked. Each team may carry up to
+// underageExceptions younger players. null removes the rule.
+function validateEligibilityRules(rules) {
+    if (rules === null) {
+        return [];
+    }
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+        return [{ field: 'rules', message: 'Eligibility rules must be an object' }];
+    }
+    const errors = [];
+    if (!isCount(rules.minimumAge, 99)) {
+        errors.push({ field: 'minimumAge', message: 'Minimum age must be a whole number from 0 to 99' });
+    }
+    if (rules.cutoffDate !== undefined && !(typeof rules.cutoffDate === 'string' && /^\d{2}-\d{2}$/.test(rules.cutoffDate) &&
+        new Date(`2000-${rules.cutoffDate}T00:00:00Z`).toISOString().slice(5, 10) === rules.cutoffDate)) {
+        errors.push({ field: 'cutoffDate', message: 'Cutoff date must be a month and day (MM-DD)' });
+    }
+    if (rules.underageExceptions !== undefined && !isCount(rules.underageExceptions, 50)) {
+        errors.push({ field: 'underageExceptions', message: 'Underage exceptions must be a whole number from 0 to 50' });
+    }
+    Object.keys(rules)
+        .filter(key => !['minimumAge', 'cutoffDate', 'underageExceptions'].includes(key))
+        .forEach(key => errors.push({ field: key, message: 'Unknown eligibility rule' }));
+    return errors;
+}
+
+// Age in whole years on an ISO date
+function ageOn(dateOfBirth, isoDate) {
+    const [year, month, day] = dateOfBirth.split('-').map(Number);
+    const [onYear, onMonth, onDay] = isoDate.split('-').map(Number);
+    return onYear - year - (onMonth < month || (onMonth === month && onDay < day) ? 1 : 0);
+}
+
+// The cutoff falls in the year the league's season starts: the season running on the date, else
+// the next one (rosters are built before it kicks off). Without a season, the date's own year.
+function eligibilityCutoff(rules, leagueId, seasons, isoDate) {
+    const season = seasons
+        .filter(s => s.leagueIds.includes(leagueId) && isoDate <= s.endDate)
+        .sort((a, b) => a.startDate.localeCompare(b.startDate))[0];
+    return `${(season ? season.startDate : isoDate).slice(0, 4)}-${rules.cutoffDate || '01-01'}`;
+}
+
+function isUnderage(person, rules, cutoff) {
+    return !!(person && person.dateOfBirth) && ageOn(person.dateOfBirth, cutoff) < rules.minimumAge;
+}
+
+// Why the person can't join the team under its league's eligibility rules, or null if they can
+function findEligibilityProblem(person, team, leagues, players, seasons) {
+    const league = leagues.find(l => l.id === team.leagueId);
+    const rules = league && league.eligibilityRules;
+    if (!rules) {
+        return null;
+    }
+    if (!person.dateOfBirth) {
+        return `${person.name} has no date of birth on record, which ${league.name} needs to check eligibility`;
+    }
+    const cutoff = eligibilityCutoff(rules, league.id, seasons, new Date().toISOString().slice(0, 10));
+    if (!isUnderage(person, rules, cutoff)) {
+        return null;
+    }
+    const allowed = rules.underageExceptions || 0;
+    const underage = (team.players || [])
+        .filter(p => p.id !== person.id && isUnderage(players.find(r => r.id === p.id), rules, cutoff)).length;
+    if (underage < allowed) {
+        return null;
+    }
+    return `${person.name} is ${ageOn(person.dateOfBirth, cutoff)} on ${cutoff}; ${league.name} players must be at least ${rules.minimumAge}` +
+        (allowed > 0 ? ` and ${team.name} has used its ${allowed} underage exception${allowed === 1 ? '' : 's'}` : '');
+}
+
+// Checks players joining a team in bulk (roster imports, iOS uploads) one at a time, so each one
+// that gets in counts against the team's underage exceptions. Returns a problem or null for each.
+function findAdditionEligibilityProblems(team, keptPlayers, additions, { leagues, players, seasons }) {
+    const roster = [...keptPlayers];
+    return additions.map(member => {
+        const person = players.find(p => p.id === member.id) || { id: member.id, name: member.name };
+        const problem = findEligibilityProblem(person, { ...team, players: roster }, leagues, players, seasons);
+        if (!problem) {
+            roster.push(member);
+        }
+        return problem;
+    });
+}
+
+// Bulk team uploads replace whole rosters: only the players who weren't on the team before are
+// checked, as players already on it are left to the check-in flag
+function findRosterEligibilityErrors(teams, previousTeams, registry) {
+    return teams.flatMap((team, teamIndex) => {
+        const previous = previousTeams.find(t => t.id === team.id);
+        const previousIds = new Set(((previous && previous.players) || []).map(p => p.id));
+        const roster = team.players || [];
+        const additions = roster.filter(p => !previousIds.has(p.id));
+        const problems = findAdditionEligibilityProblems(team, roster.filter(p => previousIds.has(p.id)), additions, registry);
+        return additions
+            .map((member, index) => problems[index] && { field: `teams[${teamIndex}].players[${roster.indexOf(member)}].id`, message: problems[index] })
+            .filter(Boolean);
+    });
+}
+
+function validatePlayer(player, team) {
+    const errors = [];
+    if (!isNonEmptyString(player.name, 100)) {
+        errors.push({ field: 'name', message: 'Player name is required (100 characters max)' });
+    }
+    if (!Number.isInteger(player.jerseyNumber) || player.jerseyNumber < 0 || player.jerseyNumber > 99) {
+        errors.push({ field: 'jerseyNumber', message: 'Jersey number must be a whole number from 0 to 99' });
+    } else if ((team.players || []).some(p => p.id !== player.id && p.jerseyNumber === player.jerseyNumber)) {
+        errors.push({ field: 'jerseyNumber', message: `Jersey number ${player.jerseyNumber} is already taken on ${team.name}` });
+    }
+    if (player.isPresent !== undefined && typeof player.isPresent !== 'boolean') {
+        errors.push({ field: 'isPresent', message: 'isPresent must be true or false' });
+    }
+    return errors;
+}
+
+const REGISTRATION_STATUSES = ['registered', 'pending', 'expired', 'revoked'];
+
+function validateRegistryPlayer(player) {
+    const errors = [];
+    if (!isNonEmptyString(player.name, 100)) {
+        errors.push({ field: 'name', message: 'Player name is required (100 characters max)' });
+    }
+    if (player.dateOfBirth !== null && player.dateOfBirth !== undefined &&
+        (typeof player.dateOfBirth !== 'string' || !ISO_DATE.test(player.dateOfBirth) ||
+         isNaN(new Date(player.dateOfBirth)) || player.dateOfBirth > new Date().toISOString().slice(0, 10))) {
+        errors.push({ field: 'dateOfBirth', message: 'Date of birth must be a past date (YYYY-MM-DD)' });
+    }
+    if (!REGISTRATION_STATUSES.includes(player.registrationStatus)) {
+        errors.push({ field: 'registrationStatus', message: `Registration status must be one of: ${REGISTRATION_STATUSES.join(', ')}` });
+    }
+    return errors;
+}
+
+// The same person can be on several teams - in different leagues only - under one registry ID
+function findLeagueTeammate(teams, playerId, team) {
+    return team.leagueId ? teams.find(other => other.id !== team.id && other.leagueId === team.leagueId &&
+        (other.players || []).some(p => p.id === playerId)) || null : null;
+}
+
+function membershipsOf(teams, playerId) {
+    return teams
+        .filter(team => (team.players || []).some(p => p.id === playerId))
+        .map(team => ({
+            teamId: team.id,
+            teamName: team.name,
+            leagueId: team.leagueId || null,
+            jerseyNumber: team.players.find(p => p.id === playerId).jerseyNumber
+        }));
+}
+
+// Rosters keep a copy of the name for the iOS apps; a rename updates every copy
+function renamePlayer(players, teams, playerId, name) {
+    const player = players.find(p => p.id === playerId);
+    if (player && player.name !== name) {
+        player.name = name;
+        touchRecord(player);
+    }
+    teams.forEach(team => {
+        const member = (team.players || []).find(p => p.id === playerId);
+        if (member && member.name !== name) {
+            member.name = name;
+            touchRecord(member);
+            touchRecord(team);
+            team.players.sort((a, b) => a.name.localeCompare(b.name));
+        }
+    });
+}
+
+function newRegistryPlayer(fields) {
+    return {
+        id: fields.id || crypto.randomUUID(),
+        name: fields.name,
+        dateOfBirth: fields.dateOfBirth || null,
+        registrationStatus: fields.registrationStatus || 'registered'
+    };
+}
+
+// Every roster entry has a registry record with the same ID. Rosters from before the registry,
+// from the iOS apps' bulk uploads and from restored backups get theirs created here.
+async function registerRosterPlayers(teams) {
+    const players = await readJSONFile(PLAYERS_FILE);
+    const known = new Set(players.map(player => player.id));
+    let added = 0;
+
+    teams.flatMap(team => team.players || []).forEach(member => {
+        if (!known.has(member.id)) {
+            const player = newRegistryPlayer({ id: member.id, name: member.name });
+            touchRecord(player);
+            players.push(player);
+            known.add(member.id);
+            added++;
+        }
+    });
+
+    if (added > 0) {
+        players.sort((a, b) => a.name.localeCompare(b.name));
+        await writeJSONFile(PLAYERS_FILE, players);
+    }
+    return added;
+}
+
+// Points everything recorded under a duplicate registry ID (roster entries, check-ins, match
+// events, suspension overrides and season rosters) at the player it is merged into
+function reassignPlayerId(teams, matchDays, seasons, fromId, toPlayer) {
+    teams.flatMap(team => team.players || []).filter(member => member.id === fromId).forEach(member => {
+        member.id = toPlayer.id;
+        member.name = toPlayer.name;
+        touchRecord(member);
+    });
+
+    const swap = (record, field) => {
+        if (record[field] === fromId) {
+            record[field] = toPlayer.id;
+            return true;
+        }
+        return false;
+    };
+    matchDays.forEach(matchDay => (matchDay.matches || []).forEach(match => {
+        const changed = [
+            ...(match.attendance || []).map(entry => swap(entry, 'playerId')),
+            ...(match.attendanceHistory || []).map(entry => swap(entry, 'playerId')),
+            ...(match.events || []).map(event => swap(event, 'playerId') | swap(event, 'playerInId')),
+            ...(match.suspensionOverrides || []).map(override => swap(override, 'playerId'))
+        ].some(Boolean);
+        if (changed) {
+            touchRecord(match);
+            touchRecord(matchDay);
+        }
+    }));
+
+    seasons.forEach(season => {
+        const entries = Object.values(season.rosters || {}).flatMap(roster => roster.players);
+        if (entries.some(entry => entry.id === fromId)) {
+            entries.filter(entry => entry.id === fromId).forEach(entry => { entry.id = toPlayer.id; });
+            touchRecord(season);
+        }
+    });
+}
+
+function validateTeam(team, leagues) {
+    const errors = [];
+    if (!isNonEmptyString(team.name, 100)) {
+        errors.push({ field: 'name', message: 'Team name is required (100 characters max)' });
+    }
+    if (team.colorData !== undefined && team.colorData !== null && typeof team.colorData !== 'string') {
+        errors.push({ field: 'colorData', message: 'Team color must be a string' });
+    }
+    if (team.leagueId !== undefined && team.leagueId !== null && !leagues.some(l => l.id === team.leagueId)) {
+        errors.push({ field: 'leagueId', message: 'League does not exist' });
+    }
+    if (!Array.isArray(team.players)) {
+        errors.push({ field: 'players', message: 'Players must be an array' });
+    } else {
+        team.players.forEach((player, index) => {
+            errors.push(...prefixErrors(validatePlayer(player, team), `players[${index}]`));
+        });
+    }
+    return errors;
+}
+
+function validateMatch(match, teams, referees = [], venues = null) {
+    const errors = [];
+    // venues is null where the caller doesn't check managed field references
+    if (venues && match.fieldId && !findVenueField(venues, match.fieldId)) {
+        errors.push({ field: 'fieldId', message: 'Field does not exist' });
+    }
+    if (!teams.some(t => t.id === match.homeTeamId)) {
+        errors.push({ field: 'homeTeamId', message: 'Home team does not exist' });
+    }
+    if (!teams.some(t => t.id === match.awayTeamId)) {
+        errors.push({ field: 'awayTeamId', message: 'Away team does not exist' });
+    } else if (match.homeTeamId === match.awayTeamId) {
+        errors.push({ field: 'awayTeamId', message: 'Home and away teams must be different' });
+    }
+    if (!isISODateTime(match.scheduledTime)) {
+        errors.push({ field: 'scheduledTime', message: 'Scheduled time must be an ISO 8601 date-time' });
+    }
+    if (!isNonEmptyString(match.field, 50)) {
+        errors.push({ field: 'field', message: 'Field is required (50 characters max)' });
+    }
+    if (!MATCH_STATUSES.includes(match.status)) {
+        errors.push({ field: 'status', message: `Status must be one of: ${MATCH_STATUSES.join(', ')}` });
+    }
+    ['homeScore', 'awayScore'].forEach(field => {
+        if (match[field] !== null && match[field] !== undefined && !isCount(match[field], 99)) {
+            errors.push({ field: field, message: 'Score must be empty or a whole number from 0 to 99' });
+        } else if (Array.isArray(match.events) && match.events.length > 0 &&
+            match[field] !== scoreFromEvents(match)[field]) {
+            errors.push({ field: field, message: 'The score comes from the logged goals - log or remove goals instead' });
+        }
+    });
+    ['homeTeamPresent', 'awayTeamPresent'].forEach(field => {
+        if (match[field] !== undefined && !isCount(match[field], 99)) {
+            errors.push({ field: field, message: 'Present count must be a whole number from 0 to 99' });
+        }
+    });
+    ['attendance', 'attendanceHistory', 'events', 'suspensionOverrides'].forEach(field => {
+        if (match[field] !== undefined && !Array.isArray(match[field])) {
+            errors.push({ field: field, message: `${field} must be a list` });
+        }
+    });
+    if (match.centerRefereeId !== undefined && match.centerRefereeId !== null &&
+        !referees.some(r => r.id === match.centerRefereeId)) {
+        errors.push({ field: 'centerRefereeId', message: 'Center referee does not exist' });
+    }
+    if (match.assistantRefereeIds !== undefined) {
+        if (!Array.isArray(match.assistantRefereeIds) || match.assistantRefereeIds.length > MAX_ASSISTANT_REFEREES) {
+            errors.push({ field: 'assistantRefereeIds', message: `Assistants must be a list of up to ${MAX_ASSISTANT_REFEREES} referees` });
+        } else if (match.assistantRefereeIds.some(id => !referees.some(r => r.id === id))) {
+            errors.push({ field: 'assistantRefereeIds', message: 'Assistant referee does not exist' });
+        } else if (new Set(match.assistantRefereeIds).size !== match.assistantRefereeIds.length ||
+            match.assistantRefereeIds.includes(match.centerRefereeId)) {
+            errors.push({ field: 'assistantRefereeIds', message: 'A referee can only have one role in a match' });
+        }
+    }
+    return errors;
+}
+
+// A referee is double-booked when another match they officiate kicks off less than
+// one match length before or after this one
+function findRefereeConflicts(match, matchDays, referees) {
+    const errors = [];
+    const kickOff = new Date(match.scheduledTime).getTime();
+    const assigned = [
+        ...(match.centerRefereeId ? [{ field: 'centerRefereeId', id: match.centerRefereeId }] : []),
+        ...(match.assistantRefereeIds || []).map(id => ({ field: 'assistantRefereeIds', id: id }))
+    ];
+    
+    if (match.status === 'Cancelled' || isNaN(kickOff)) {
+        return errors;
+    }
+    
+    assigned.forEach(({ field, id }) => {
+        matchDays.forEach(matchDay => {
+            (matchDay.matches || []).forEach(other => {
+                if (other.id === match.id || other.status === 'Cancelled' ||
+                    (other.centerRefereeId !== id && !(other.assistantRefereeIds || []).includes(id))) {
+                    return;
+                }
+                if (Math.abs(new Date(other.scheduledTime).getTime() - kickOff) < MATCH_LENGTH_MINUTES * 60 * 1000) {
+                    const referee = referees.find(r => r.id === id);
+                    errors.push({
+                        field: field,
+                        message: `${referee ? referee.name : 'This referee'} is already assigned to a match on ${matchDay.name} that overlaps this kick-off`
+                    });
+                }
+            });
+        });
+    });
+    return errors;
+}
+
+// Another match on the same field, or involving either team, that overlaps this kick-off is an
+// error. A team's games that don't overlap but leave it less than MIN_REST_MINUTES between the
+// final whistle and the next kick-off are a warning. Cancelled matches never conflict.
+function findScheduleConflicts(match, matchDays, teams, venues = []) {
+    const errors = [];
+    const warnings = [];
+    const kickOff = new Date(match.scheduledTime).getTime();
+    const matchLength = MATCH_LENGTH_MINUTES * 60 * 1000;
+    const fieldKey = (field) => String(field).trim().toLowerCase();
+    // Managed fields are compared by id; free-text fields (and matches mixing the two) by name
+    const sameField = (other) => match.fieldId && other.fieldId ?
+        match.fieldId === other.fieldId :
+        fieldKey(other.field) === fieldKey(match.field);
+    const teamName = (teamId) => (teams.find(t => t.id === teamId) || {}).name || 'This team';
+    // Older match days number their fields; named fields ("North Pitch", "Field 1") are shown as they are
+    const fieldLabel = (field) => /^\d+$/.test(String(field).trim()) ? `Field ${field}` : field;
+    
+    if (match.status === 'Cancelled' || isNaN(kickOff)) {
+        return { errors, warnings };
+    }
+    
+    const managed = match.fieldId ? findVenueField(venues, match.fieldId) : null;
+    if (managed && !isFieldAvailable(managed.field, managed.venue, kickOff)) {
+        errors.push({
+            field: 'fieldId',
+            message: `Field ${managed.field.name} at ${managed.venue.name} is only available ${describeAvailability(managed.field)}`
+        });
+    }
+    
+    matchDays.forEach(matchDay => {
+        (matchDay.matches || []).forEach(other => {
+            if (other.id === match.id || other.status === 'Cancelled') {
+                return;
+            }
+            
+            const gap = Math.abs(new Date(other.scheduledTime).getTime() - kickOff);
+            
+            if (gap < matchLength && sameField(other)) {
+                errors.push({
+                    field: 'field',
+                    message: `${fieldLabel(match.field)} is already booked on ${matchDay.name} for a match that overlaps this kick-off`,
+                    otherMatchId: other.id
+                });
+            }
+            
+            ['homeTeamId', 'awayTeamId'].forEach(side => {
+                const teamId = match[side];
+                if (other.homeTeamId !== teamId && other.awayTeamId !== teamId) {
+                    return;
+                }
+                if (gap < matchLength) {
+                    errors.push({
+                        field: side,
+                        message: `${teamName(teamId)} already plays a match on ${matchDay.name} that overlaps this kick-off`,
+                        otherMatchId: other.id
+                    });
+                } else if (gap < matchLength + MIN_REST_MINUTES * 60 * 1000) {
+                    warnings.push({
+                        field: side,
+                        message: `${teamName(teamId)} gets less than ${MIN_REST_MINUTES} minutes of rest around its match on ${fieldLabel(other.field)} (${matchDay.name})`,
+                        otherMatchId: other.id
+                    });
+                }
+            });
+        });
+    });
+    return { errors, warnings };
+}
+
+function findVenueField(venues, fieldId) {
+    for (const venue of venues) {
+        const field = (venue.fields || []).find(f => f.id === fieldId);
+        if (field) {
+            return { venue, field };
+        }
+    }
+    return null;
+}
+
+// A field with availability windows can only host matches that kick off and finish inside
+// one of them, in the venue's local time. Fields without windows are always available.
+function isFieldAvailable(field, venue, kickOff) {
+    if (!Array.isArray(field.availability) || field.availability.length === 0) {
+        return true;
+    }
+    
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: venue.timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(kickOff).map(part => [part.type, part.value]));
+    const dayOfWeek = WEEKDAYS.indexOf(parts.weekday);
+    const start = Number(parts.hour) * 60 + Number(parts.minute);
+    const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+    
+    return field.availability.some(window => window.dayOfWeek === dayOfWeek &&
+        toMinutes(window.start) <= start && start + MATCH_LENGTH_MINUTES <= toMinutes(window.end));
+}
+
+function describeAvailability(field) {
+    return field.availability.map(window => `${WEEKDAYS[window.dayOfWeek]} ${window.start}-${window.end}`).join(', ');
+}
+
+// A managed field's name is copied into match.field, which the iOS apps display. Setting a
+// free-text field without a fieldId detaches the match from its managed field.
+function resolveMatchField(changes, venues) {
+    if (changes.fieldId) {
+        const managed = findVenueField(venues, changes.fieldId);
+        if (managed) {
+            changes.field = managed.field.name;
+        }
+    } else if ('field' in changes && !('fieldId' in changes)) {
+        changes.fieldId = null;
+    }
+}
+
+// Schedule warnings don't block a change once the client confirms with ?ignoreWarnings=true.
+// They get their own status so clients can't mistake them for a 409 revision conflict.
+function sendScheduleWarnings(res, warnings) {
+    return res.status(422).json({ error: 'Schedule warnings', warnings: warnings });
+}
+
+// Once a match has logged events its score is the count of logged goals
+function scoreFromEvents(match) {
+    const goals = (match.events || []).filter(event => event.type === 'goal');
+    return {
+        homeScore: goals.filter(event => event.teamId === match.homeTeamId).length,
+        awayScore: goals.filter(event => event.teamId === match.awayTeamId).length
+    };
+}
+
+// Standings: points per result and the order of tiebreakers applied when teams are level on points
+const TIEBREAKERS = ['headToHead', 'goalDifference', 'goalsFor'];
+const DEFAULT_STANDINGS_RULES = {
+    pointsForWin: 3,
+    pointsForDraw: 1,
+    pointsForLoss: 0,
+    tiebreakers: ['headToHead', 'goalDifference', 'goalsFor']
+};
+
+// Builds a table from completed matches with both scores entered, between teams of the league
+function computeStandings(league, teams, matchDays) {
+    const rules = { ...DEFAULT_STANDINGS_RULES, ...(league.standingsRules || {}) };
+    const leagueTeams = teams.filter(team => team.leagueId === league.id);
+    const teamIds = new Set(leagueTeams.map(team => team.id));
+    const results = matchDays
+        .flatMap(matchDay => matchDay.matches || [])
+        .filter(match => match.status === 'Completed' &&
+            Number.isInteger(match.homeScore) && Number.isInteger(match.awayScore) &&
+            teamIds.has(match.homeTeamId) && teamIds.has(match.awayTeamId));
+    
+    const tableFor = (ids, matches) => {
+        const rows = new Map([...ids].map(id => [id, {
+            teamId: id, played: 0, won: 0, drawn: 0, lost: 0, goalsFor: 0, goalsAgainst: 0, goalDifference: 0, points: 0
+        }]));
+        matches.forEach(match => {
+            [[match.homeTeamId, match.homeScore, match.awayScore], [match.awayTeamId, match.awayScore, match.homeScore]]
+                .forEach(([teamId, scored, conceded]) => {
+                    const row = rows.get(teamId);
+                    row.played++;
+                    row.goalsFor += scored;
+                    row.goalsAgainst += conceded;
+                    row.goalDifference = row.goalsFor - row.goalsAgainst;
+                    if (scored > conceded) {
+                        row.won++;
+                        row.points += rules.pointsForWin;
+                    } else if (scored === conceded) {
+                        row.drawn++;
+                        row.points += rules.pointsForDraw;
+                    } else {
+                        row.lost++;
+                        row.points += rules.pointsForLoss;
+                    }
+                });
+        });
+        return rows;
+    };
+    
+    const table = tableFor(teamIds, results);
+    
+    // Split a group of tied teams by the next tiebreaker, recursing until the tie is
+    // broken or the tiebreakers run out
+    const breakTies = (rows, tiebreakers) => {
+        if (rows.length < 2 || tiebreakers.length === 0) {
+            return rows;
+        }
+        const [tiebreaker, ...rest] = tiebreakers;
+        let keyOf;
+        if (tiebreaker === 'headToHead') {
+            const ids = new Set(rows.map(row => row.teamId));
+            const miniTable = tableFor(ids, results.filter(m => ids.has(m.homeTeamId) && ids.has(m.awayTeamId)));
+            keyOf = row => miniTable.get(row.teamId).points;
+        } else {
+            keyOf = row => row[tiebreaker];
+        }
+        
+        const groups = new Map();
+        rows.forEach(row => {
+            const key = keyOf(row);
+            groups.set(key, [...(groups.get(key) || []), row]);
+        });
+        return [...groups.keys()].sort((a, b) => b - a).flatMap(key => breakTies(groups.get(key), rest));
+    };
+    
+    const teamName = id => leagueTeams.find(team => team.id === id).name;
+    const byPoints = new Map();
+    [...table.values()]
+        .sort((a, b) => teamName(a.teamId).localeCompare(teamName(b.teamId)))
+        .forEach(row => byPoints.set(row.points, [...(byPoints.get(row.points) || []), row]));
+    
+    const ordered = [...byPoints.keys()].sort((a, b) => b - a)
+        .flatMap(points => breakTies(byPoints.get(points), rules.tiebreakers));
+    
+    return {
+        rules: rules,
+        standings: ordered.map((row, index) => ({ position: index + 1, teamName: teamName(row.teamId), ...row }))
+    };
+}
+
+// Yellow cards accumulate per season; match days outside any season fall back to their calendar year
+function seasonOf(matchDay) {
+    return matchDay.seasonId || String(new Date(matchDay.date).getFullYear());
+}
+
+// Suspensions are derived from the card events on every non-cancelled match, in kick-off
+// order. Each one bans the player from their team's next N matches; banned matches that
+// have been completed count as served.
+function computeSuspensions(teams, matchDays, leagues) {
+    const scheduled = matchDays
+        .flatMap(matchDay => (matchDay.matches || []).map(match => ({ match, matchDay })))
+        .filter(({ match }) => match.status !== 'Cancelled')
+        .sort((a, b) => new Date(a.match.scheduledTime) - new Date(b.match.scheduledTime));
+    
+    const rulesFor = (teamId) => {
+        const team = teams.find(t => t.id === teamId);
+        const league = leagues.find(l => l.id === team?.leagueId);
+        return { ...DEFAULT_SUSPENSION_RULES, ...(league?.suspensionRules || {}) };
+    };
+    
+    const suspensions = [];
+    const yellowCounts = new Map();
+    
+    const ban = (event, match, matchCount, reason) => {
+        if (matchCount <= 0) {
+            return;
+        }
+        // Bans follow the player to every team they're on, not just the one they were carded for
+        const teamIds = new Set([event.teamId, ...membershipsOf(teams, event.playerId).map(m => m.teamId)]);
+        const schedule = scheduled
+            .map(({ match }) => match)
+            .filter(m => teamIds.has(m.homeTeamId) || teamIds.has(m.awayTeamId));
+        const start = schedule.findIndex(m => m.id === match.id) + 1;
+        const banned = schedule.slice(start, start + matchCount);
+        
+        suspensions.push({
+            playerId: event.playerId,
+            teamId: event.teamId,
+            reason: reason,
+            matchId: match.id,
+            eventId: event.id,
+            matchCount: matchCount,
+            bannedMatchIds: banned.map(m => m.id),
+            remaining: matchCount - banned.filter(m => m.status === 'Completed').length
+        });
+    };
+    
+    scheduled.forEach(({ match, matchDay }) => {
+        const events = match.events || [];
+        // Yellows that led to a sending-off are covered by that ban
+        const sentOff = new Set(events.filter(e => e.type === 'red' || e.type === 'second-yellow').map(e => e.playerId));
+        
+        events.forEach(event => {
+            const rules = rulesFor(event.teamId);
+            
+            if (event.type === 'red') {
+                ban(event, match, rules.redCardBanMatches, `Red card (${event.minute}') on ${matchDay.name}`);
+            } else if (event.type === 'second-yellow') {
+                ban(event, match, rules.secondYellowBanMatches, `Second yellow (${event.minute}') on ${matchDay.name}`);
+            } else if (event.type === 'yellow' && !sentOff.has(event.playerId)) {
+                const key = `${event.playerId}|${seasonOf(matchDay)}`;
+                const count = (yellowCounts.get(key) || 0) + 1;
+                yellowCounts.set(key, count);
+                if (count % rules.yellowCardLimit === 0) {
+                    ban(event, match, rules.yellowCardBanMatches, `${count} yellow cards this season`);
+                }
+            }
+        });
+    });
+    
+    return suspensions;
+}
+
+// Events can only involve players checked in for the match; the team comes from their check-in
+function validateMatchEvent(event, match) {
+    const errors = [];
+    const attendance = match.attendance || [];
+    const entry = attendance.find(e => e.playerId === event.playerId);
+    
+    if (!MATCH_EVENT_TYPES.includes(event.type)) {
+        errors.push({ field: 'type', message: `Event type must be one of: ${MATCH_EVENT_TYPES.join(', ')}` });
+    }
+    if (!isCount(event.minute, MAX_EVENT_MINUTE)) {
+        errors.push({ field: 'minute', message: `Minute must be a whole number from 0 to ${MAX_EVENT_MINUTE}` });
+    }
+    if (!entry) {
+        errors.push({ field: 'playerId', message: 'Player is not checked in for this match' });
+    } else if (event.type === 'second-yellow' &&
+        !(match.events || []).some(e => e.type === 'yellow' && e.playerId === event.playerId)) {
+        errors.push({ field: 'type', message: 'A second yellow needs an earlier yellow card for this player' });
+    } else if (['yellow', 'red', 'second-yellow'].includes(event.type) &&
+        (match.events || []).some(e => (e.type === 'red' || e.type === 'second-yellow') && e.playerId === event.playerId)) {
+        errors.push({ field: 'playerId', message: 'This player has already been sent off' });
+    }
+    if (event.type === 'substitution') {
+        const entryIn = attendance.find(e => e.playerId === event.playerInId);
+        if (!entryIn) {
+            errors.push({ field: 'playerInId', message: 'Substitute is not checked in for this match' });
+        } else if (event.playerInId === event.playerId || (entry && entryIn.teamId !== entry.teamId)) {
+            errors.push({ field: 'playerInId', message: 'Substitute must be a different player on the same team' });
+        }
+    }
+    return errors;
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function validateSeason(season, seasons, leagues) {
+    const errors = [];
+    if (!isNonEmptyString(season.name, 100)) {
+        errors.push({ field: 'name', message: 'Season name is required (100 characters max)' });
+    } else if (seasons.some(s => s.id !== season.id && s.name.toLowerCase() === season.name.trim().toLowerCase())) {
+        errors.push({ field: 'name', message: 'A season with this name already exists' });
+    }
+    ['startDate', 'endDate'].forEach(field => {
+        if (typeof season[field] !== 'string' || !ISO_DATE.test(season[field]) || isNaN(Date.parse(season[field]))) {
+            errors.push({ field: field, message: 'Date must be in YYYY-MM-DD format' });
+        }
+    });
+    if (errors.every(error => error.field !== 'endDate' && error.field !== 'startDate') && season.endDate < season.startDate) {
+        errors.push({ field: 'endDate', message: 'Season must end on or after its start date' });
+    }
+    if (!Array.isArray(season.leagueIds) || season.leagueIds.some(id => !leagues.some(l => l.id === id))) {
+        errors.push({ field: 'leagueIds', message: 'Leagues must be a list of existing leagues' });
+    }
+    return errors;
+}
+
+// Match days written by the iOS apps have no season yet
+function assignSeasons(matchDays, seasons) {
+    matchDays.forEach(matchDay => {
+        if (!matchDay.seasonId && !isNaN(Date.parse(matchDay.date))) {
+            matchDay.seasonId = seasonForDate(seasons, matchDay.date)?.id || null;
+        }
+    });
+}
+
+// The season whose dates contain a match day's date (compared by calendar day)
+function seasonForDate(seasons, date) {
+    const day = new Date(date).toISOString().slice(0, 10);
+    return seasons.find(season => season.startDate <= day && day <= season.endDate) || null;
+}
+
+// A player may only play for one team per league in a season. Returns the team (current or
+// previous) that would break that rule if the player moved to `targetTeam` today, or null.
+function findSeasonTransferConflict(player, fromTeam, targetTeam, seasons) {
+    const today = new Date().toISOString().slice(0, 10);
+    const season = targetTeam.leagueId ? seasons.find(s =>
+        s.leagueIds.includes(targetTeam.leagueId) && s.startDate <= today && today <= s.endDate) : null;
+    if (!season) {
+        return null;
+    }
+
+    if (fromTeam.leagueId === targetTeam.leagueId) {
+        return { season, teamName: fromTeam.name };
+    }
+    const previous = (player.teamHistory || []).find(entry =>
+        entry.leagueId === targetTeam.leagueId && entry.teamId !== targetTeam.id && entry.leftAt.slice(0, 10) >= season.startDate);
+    return previous ? { season, teamName: previous.teamName } : null;
+}
+
+// Copies each participating team's current roster into the season, so past seasons keep
+// showing who played even after rosters change
+function snapshotSeasonRosters(season, teams) {
+    season.rosters = {};
+    teams.filter(team => season.leagueIds.includes(team.leagueId)).forEach(team => {
+        season.rosters[team.id] = {
+            teamName: team.name,
+            players: (team.players || []).map(player => ({
+                id: player.id,
+                name: player.name,
+                jerseyNumber: player.jerseyNumber
+            }))
+        };
+    });
+    season.rostersSnapshotAt = new Date().toISOString();
+}
+
+// Roster CSV: one player per row with team, name, jersey and (optionally) player ID columns.
+// Exports use the same columns, so an exported file can be edited and imported again.
+const ROSTER_CSV_HEADER = ['team', 'name', 'jersey', 'id'];
+const ROSTER_CSV_COLUMNS = {
+    team: 'team', teamname: 'team',
+    name: 'name', player: 'name', playername: 'name',
+    jersey: 'jerseyNumber', jerseynumber: 'jerseyNumber', jerseyno: 'jerseyNumber', number: 'jerseyNumber', no: 'jerseyNumber',
+    id: 'id', playerid: 'id'
+};
+const ROSTER_IMPORT_MODES = ['merge', 'replace'];
+
+// Returns { line, cells } per non-blank record; quoted cells may contain commas, quotes and newlines
+function parseCSV(text) {
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        cells.push(cell);
+        if (cells.some(value => value.trim() !== '')) {
+            records.push({ line: recordLine, cells });
+        }
+        cells = [];
+        cell = '';
+    };
+
+    text = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    endRecord();
+
+    return records;
+}
+
+function csvCell(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function rosterToCSV(teams) {
+    const rows = [ROSTER_CSV_HEADER];
+    teams.forEach(team => {
+        [...(team.players || [])]
+            .sort((a, b) => a.jerseyNumber - b.jerseyNumber)
+            .forEach(player => rows.push([team.name, player.name, player.jerseyNumber, player.id]));
+    });
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function findTeamByRef(teams, ref) {
+    const key = ref.trim().toLowerCase();
+    return teams.find(team => team.id === ref.trim() || team.name.trim().toLowerCase() === key);
+}
+
+// Works out what importing `csv` into `scopeTeams` would change, without changing anything.
+// Rows match existing players by ID, then by name; in "replace" mode players of an imported
+// team that aren't in the file are removed (teams with no rows in the file are left alone).
+// Players added to a team are held to its league's age rule; `registry` holds the leagues,
+// players and seasons that check needs.
+function planRosterImport(csv, mode, scopeTeams, allTeams, defaultTeam, registry) {
+    const errors = [];
+    const records = parseCSV(csv);
+    const header = records.shift();
+    const columns = header ? header.cells.map(cell => ROSTER_CSV_COLUMNS[cell.toLowerCase().replace(/#/g, 'no').replace(/[^a-z]/g, '')]) : [];
+
+    if (!columns.includes('name') || !columns.includes('jerseyNumber')) {
+        return { changes: [], errors: [{ field: 'csv', message: 'The first row must be a header with name and jersey columns' }] };
+    }
+    if (!defaultTeam && !columns.includes('team')) {
+        return { changes: [], errors: [{ field: 'csv', message: 'A league import needs a team column' }] };
+    }
+    if (records.length === 0) {
+        return { changes: [], errors: [{ field: 'csv', message: 'The file has no players' }] };
+    }
+
+    // Group the rows by the team they belong to
+    const rowsByTeam = new Map();
+    records.forEach(record => {
+        const row = { line: record.line };
+        columns.forEach((column, index) => {
+            if (column) row[column] = (record.cells[index] || '').trim();
+        });
+        const prefix = `rows[${record.line}]`;
+
+        const team = row.team ? findTeamByRef(scopeTeams, row.team) : defaultTeam;
+        if (!team) {
+            errors.push({ field: `${prefix}.team`, message: row.team ? `Team "${row.team}" is not part of this import` : 'Team is required' });
+            return;
+        }
+
+        const jerseyNumber = /^\d+$/.test(row.jerseyNumber) ? Number(row.jerseyNumber) : row.jerseyNumber;
+        const rowErrors = validatePlayer({ name: row.name, jerseyNumber: jerseyNumber }, { players: [] });
+        if (row.id && row.id.length > 100) {
+            rowErrors.push({ field: 'id', message: 'Player ID must be 100 characters or fewer' });
+        }
+        const otherTeam = row.id && findLeagueTeammate(allTeams, row.id, team);
+        if (otherTeam) {
+            rowErrors.push({ field: 'id', message: `Player ${row.id} already plays for ${otherTeam.name} in this league; transfer them instead` });
+        }
+        if (rowErrors.length > 0) {
+            errors.push(...prefixErrors(rowErrors, prefix));
+            return;
+        }
+
+        if (!rowsByTeam.has(team)) rowsByTeam.set(team, []);
+        rowsByTeam.get(team).push({ line: record.line, id: row.id || null, name: row.name, jerseyNumber: jerseyNumber });
+    });
+
+    const changes = [];
+    rowsByTeam.forEach((rows, team) => {
+        const existing = team.players || [];
+        const matched = new Map();
+        const change = { teamId: team.id, teamName: team.name, added: [], updated: [], removed: [], unchanged: 0 };
+        const roster = [];
+        const addedLines = [];
+
+        rows.forEach(row => {
+            const player = (row.id && existing.find(p => p.id === row.id)) ||
+                (!row.id && existing.find(p => !matched.has(p.id) && p.name.trim().toLowerCase() === row.name.toLowerCase()));
+
+            if (player && matched.has(player.id)) {
+                errors.push({ field: `rows[${row.line}].id`, message: `${player.name} appears more than once (also on line ${matched.get(player.id)})` });
+                return;
+            }
+            if (player) {
+                matched.set(player.id, row.line);
+                if (player.name !== row.name || player.jerseyNumber !== row.jerseyNumber) {
+                    change.updated.push({ id: player.id, name: row.name, jerseyNumber: row.jerseyNumber, previous: { name: player.name, jerseyNumber: player.jerseyNumber } });
+                } else {
+                    change.unchanged++;
+                }
+                roster.push({ line: row.line, name: row.name, jerseyNumber: row.jerseyNumber });
+            } else if (row.id && rows.some(other => other !== row && other.id === row.id && other.line < row.line)) {
+                errors.push({ field: `rows[${row.line}].id`, message: `Player ID ${row.id} appears more than once` });
+            } else {
+                change.added.push({ id: row.id || crypto.randomUUID(), name: row.name, jerseyNumber: row.jerseyNumber });
+                addedLines.push({ line: row.line, field: row.id ? 'id' : 'name' });
+                roster.push({ line: row.line, name: row.name, jerseyNumber: row.jerseyNumber });
+            }
+        });
+
+        existing.filter(player => !matched.has(player.id)).forEach(player => {
+            if (mode === 'replace') {
+                change.removed.push({ id: player.id, name: player.name, jerseyNumber: player.jerseyNumber });
+            } else {
+                roster.push({ line: null, name: player.name, jerseyNumber: player.jerseyNumber });
+            }
+        });
+
+        // Duplicate jerseys, whether both players are in the file or one is already on the team
+        roster.forEach(entry => {
+            const clash = entry.line !== null && roster.find(other => other !== entry && other.jerseyNumber === entry.jerseyNumber);
+            if (clash) {
+                errors.push({
+                    field: `rows[${entry.line}].jerseyNumber`,
+                    message: `Jersey number ${entry.jerseyNumber} is also used by ${clash.name} on ${team.name}${clash.line ? ` (line ${clash.line})` : ''}`
+                });
+            }
+        });
+
+        const removedIds = new Set(change.removed.map(removed => removed.id));
+        findAdditionEligibilityProblems(team, existing.filter(p => !removedIds.has(p.id)), change.added, registry)
+            .forEach((problem, index) => {
+                if (problem) {
+                    errors.push({ field: `rows[${addedLines[index].line}].${addedLines[index].field}`, message: problem });
+                }
+            });
+
+        changes.push(change);
+    });
+
+    const lineOf = error => Number((error.field.match(/^rows\[(\d+)\]/) || [])[1]) || 0;
+    errors.sort((a, b) => lineOf(a) - lineOf(b));
+    return { changes, errors };
+}
+
+// Applies a plan from planRosterImport; returns the photos of removed players. New people are
+// added to the registry, and names from the file replace the registry's (on every team).
+function applyRosterImport(changes, teams, players) {
+    const removedPhotos = [];
+    changes.forEach(change => {
+        const team = teams.find(t => t.id === change.teamId);
+        team.players = team.players || [];
+
+        change.updated.forEach(update => {
+            const player = team.players.find(p => p.id === update.id);
+            player.jerseyNumber = update.jerseyNumber;
+            touchRecord(player);
+        });
+        change.added.forEach(added => {
+            const player = { id: added.id, name: added.name, jerseyNumber: added.jerseyNumber, isPresent: false, joinedAt: new Date().toISOString() };
+            touchRecord(player);
+            team.players.push(player);
+            if (!players.some(p => p.id === added.id)) {
+                const person = newRegistryPlayer({ id: added.id, name: added.name });
+                touchRecord(person);
+                players.push(person);
+            }
+        });
+        change.removed.forEach(removed => {
+            removedPhotos.push(team.players.find(p => p.id === removed.id).photo);
+        });
+
+        const removedIds = new Set(change.removed.map(removed => removed.id));
+        team.players = team.players.filter(p => !removedIds.has(p.id));
+        team.players.sort((a, b) => a.name.localeCompare(b.name));
+        if (change.added.length + change.updated.length + change.removed.length > 0) {
+            touchRecord(team);
+        }
+    });
+
+    changes.flatMap(change => [...change.added, ...change.updated])
+        .forEach(player => renamePlayer(players, teams, player.id, player.name));
+    players.sort((a, b) => a.name.localeCompare(b.name));
+    return removedPhotos;
+}
+
+// Round-robin schedules: "single" plays every pairing once, "double" plays it again with home and away swapped
+const ROUND_ROBIN_FORMATS = ['single', 'double'];
+const TIME_SLOT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isTimeZone(value) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return typeof value === 'string';
+    } catch (error) {
+        return false;
+    }
+}
+
+function addDays(isoDate, days) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+// Converts a wall-clock date and time in an IANA time zone to a UTC ISO string
+function zonedTimeToISO(isoDate, time, timeZone) {
+    const asUTC = Date.parse(`${isoDate}T${time}:00Z`);
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(asUTC).map(part => [part.type, part.value]));
+    const zoned = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return new Date(asUTC - (zoned - asUTC)).toISOString();
+}
+
+function roundRobinRoundCount(options) {
+    const teamCount = options.teamIds.length;
+    return (teamCount % 2 === 0 ? teamCount - 1 : teamCount) * (options.format === 'double' ? 2 : 1);
+}
+
+// Checks the generator options, including that the rounds fit the dates and each round fits the slots
+function validateRoundRobinOptions(options, leagueTeams, seasons, venues) {
+    const errors = [];
+    const isDistinctList = (list, isValid) =>
+        Array.isArray(list) && list.length > 0 && list.every(isValid) && new Set(list).size === list.length;
+    
+    if (!isDistinctList(options.teamIds, id => leagueTeams.some(team => team.id === id)) || options.teamIds.length < 2) {
+        errors.push({ field: 'teamIds', message: 'Pick at least two different teams from the league' });
+    }
+    if (!ROUND_ROBIN_FORMATS.includes(options.format)) {
+        errors.push({ field: 'format', message: `Format must be one of: ${ROUND_ROBIN_FORMATS.join(', ')}` });
+    }
+    ['startDate', 'endDate'].forEach(field => {
+        if (typeof options[field] !== 'string' || !ISO_DATE.test(options[field]) || isNaN(Date.parse(options[field]))) {
+            errors.push({ field: field, message: 'Date must be in YYYY-MM-DD format' });
+        }
+    });
+    if (!Number.isInteger(options.intervalDays) || options.intervalDays < 1 || options.intervalDays > 28) {
+        errors.push({ field: 'intervalDays', message: 'Days between rounds must be a whole number from 1 to 28' });
+    }
+    // Managed fields (fieldIds) take the place of free-text field names
+    if (options.fieldIds !== undefined) {
+        if (!isDistinctList(options.fieldIds, id => findVenueField(venues, id))) {
+            errors.push({ field: 'fieldIds', message: 'Pick at least one existing field, each once' });
+        }
+    } else if (!isDistinctList(options.fields, field => isNonEmptyString(field, 50))) {
+        errors.push({ field: 'fields', message: 'List at least one field, each named once (50 characters max)' });
+    }
+    if (!isDistinctList(options.timeSlots, slot => typeof slot === 'string' && TIME_SLOT.test(slot))) {
+        errors.push({ field: 'timeSlots', message: 'List at least one kick-off time in HH:MM format, each once' });
+    }
+    if (!isTimeZone(options.timeZone)) {
+        errors.push({ field: 'timeZone', message: 'Time zone must be an IANA name such as America/Los_Angeles' });
+    }
+    if (options.seasonId !== undefined && options.seasonId !== null && !seasons.some(season => season.id === options.seasonId)) {
+        errors.push({ field: 'seasonId', message: 'Season does not exist' });
+    }
+    if (errors.length > 0) {
+        return errors;
+    }
+    
+    if (options.endDate < options.startDate) {
+        return [{ field: 'endDate', message: 'End date must be on or after the start date' }];
+    }
+    
+    const roundCount = roundRobinRoundCount(options);
+    const lastRoundDate = addDays(options.startDate, (roundCount - 1) * options.intervalDays);
+    if (lastRoundDate > options.endDate) {
+        errors.push({ field: 'endDate', message: `${roundCount} rounds need dates up to ${lastRoundDate}` });
+    }
+    const matchesPerRound = Math.floor(options.teamIds.length / 2);
+    const slotCount = (options.fieldIds || options.fields).length * options.timeSlots.length;
+    if (slotCount < matchesPerRound) {
+        errors.push({ field: 'timeSlots', message: `Each round has ${matchesPerRound} matches but only ${slotCount} field and time slots` });
+    }
+    return errors;
+}
+
+// Circle method: one team stays put while the others rotate, so every pairing comes up
+// exactly once. An odd team count adds a bye slot. Home goes to whichever team has
+// hosted less so far, then to the one that was away last time.
+function roundRobinRounds(teamIds) {
+    let slots = teamIds.length % 2 === 0 ? [...teamIds] : [...teamIds, null];
+    const homeGames = new Map(teamIds.map(id => [id, 0]));
+    const wasHomeLast = new Map();
+    const rounds = [];
+    
+    for (let round = 0; round < slots.length - 1; round++) {
+        const pairings = [];
+        let bye = null;
+        
+        for (let i = 0; i < slots.length / 2; i++) {
+            const a = slots[i];
+            const b = slots[slots.length - 1 - i];
+            if (a === null || b === null) {
+                bye = a === null ? b : a;
+                continue;
+            }
+            
+            const aHosts = homeGames.get(a) !== homeGames.get(b) ?
+                homeGames.get(a) < homeGames.get(b) :
+                wasHomeLast.get(a) !== wasHomeLast.get(b) ? !wasHomeLast.get(a) : round % 2 === 0;
+            const [home, away] = aHosts ? [a, b] : [b, a];
+            homeGames.set(home, homeGames.get(home) + 1);
+            wasHomeLast.set(home, true);
+            wasHomeLast.set(away, false);
+            pairings.push({ homeTeamId: home, awayTeamId: away });
+        }
+        
+        rounds.push({ pairings, bye });
+        slots = [slots[0], slots[slots.length - 1], ...slots.slice(1, -1)];
+    }
+    return rounds;
+}
+
+// Builds the match days for a validated set of options: one round per match day, matches
+// filling the kick-off times in order, every field used at a time before the next time
+function generateRoundRobin(league, leagueTeams, options, seasons, venues) {
+    let rounds = roundRobinRounds(options.teamIds);
+    if (options.format === 'double') {
+        rounds = rounds.concat(rounds.map(round => ({
+            bye: round.bye,
+            pairings: round.pairings.map(p => ({ homeTeamId: p.awayTeamId, awayTeamId: p.homeTeamId }))
+        })));
+    }
+    
+    const fields = options.fieldIds ?
+        options.fieldIds.map(id => ({ fieldId: id, field: findVenueField(venues, id).field.name })) :
+        options.fields.map(name => ({ field: name }));
+    const slots = [...options.timeSlots].sort().flatMap(time => fields.map(field => ({ time, ...field })));
+    
+    const matchDays = rounds.map((round, index) => {
+        const date = addDays(options.startDate, index * options.intervalDays);
+        return {
+            id: crypto.randomUUID(),
+            name: `${league.name} - Round ${index + 1}`,
+            date: `${date}T00:00:00.000Z`,
+            notes: round.bye ? `Bye: ${leagueTeams.find(team => team.id === round.bye).name}` : '',
+            seasonId: options.seasonId || seasonForDate(seasons, date)?.id || null,
+            matches: round.pairings.map((pairing, i) => ({
+                id: crypto.randomUUID(),
+                ...pairing,
+                scheduledTime: zonedTimeToISO(date, slots[i].time, options.timeZone),
+                field: slots[i].field,
+                fieldId: slots[i].fieldId || null,
+                status: 'Scheduled',
+                homeTeamPresent: 0,
+                awayTeamPresent: 0,
+                homeScore: null,
+                awayScore: null,
+                attendance: [],
+                attendanceHistory: []
+            }))
+        };
+    });
+    
+    return {
+        matchDays,
+        byes: rounds.map((round, index) => ({ round: index + 1, teamId: round.bye })).filter(bye => bye.teamId)
+    };
+}
+
+function validateVenue(venue, venues) {
+    const errors = [];
+    if (!isNonEmptyString(venue.name, 100)) {
+        errors.push({ field: 'name', message: 'Venue name is required (100 characters max)' });
+    } else if (venues.some(v => v.id !== venue.id && v.name.toLowerCase() === venue.name.trim().toLowerCase())) {
+        errors.push({ field: 'name', message: 'A venue with this name already exists' });
+    }
+    if (venue.address !== undefined && (typeof venue.address !== 'string' || venue.address.length > 200)) {
+        errors.push({ field: 'address', message: 'Address must be text (200 characters max)' });
+    }
+    if (!isTimeZone(venue.timeZone)) {
+        errors.push({ field: 'timeZone', message: 'Time zone must be an IANA name such as America/Los_Angeles' });
+    }
+    return errors;
+}
+
+// Fields are stored inside their venue; availability is a list of weekly windows
+// { dayOfWeek (0 = Sunday), start, end } in the venue's local time
+function validatePitch(field, venue) {
+    const errors = [];
+    if (!isNonEmptyString(field.name, 50)) {
+        errors.push({ field: 'name', message: 'Field name is required (50 characters max)' });
+    } else if ((venue.fields || []).some(f => f.id !== field.id && f.name.toLowerCase() === field.name.trim().toLowerCase())) {
+        errors.push({ field: 'name', message: 'This venue already has a field with this name' });
+    }
+    if (!FIELD_SURFACES.includes(field.surface)) {
+        errors.push({ field: 'surface', message: `Surface must be one of: ${FIELD_SURFACES.join(', ')}` });
+    }
+    if (!FIELD_SIZES.includes(field.size)) {
+        errors.push({ field: 'size', message: `Size must be one of: ${FIELD_SIZES.join(', ')}` });
+    }
+    if (!Array.isArray(field.availability) || field.availability.some(window =>
+        !window || !Number.isInteger(window.dayOfWeek) || window.dayOfWeek < 0 || window.dayOfWeek > 6 ||
+        !TIME_SLOT.test(window.start) || !TIME_SLOT.test(window.end) || window.end <= window.start)) {
+        errors.push({ field: 'availability', message: 'Availability must be a list of { dayOfWeek (0-6), start, end } with HH:MM times, ending after they start' });
+    }
+    return errors;
+}
+
+function validateReferee(referee) {
+    const errors = [];
+    if (!isNonEmptyString(referee.name, 100)) {
+        errors.push({ field: 'name', message: 'Referee name is required (100 characters max)' });
+    }
+    if (referee.email !== undefined && referee.email !== '' &&
+        (typeof referee.email !== 'string' || referee.email.length > 200 || !/^[^@\s]+@[^@\s]+$/.test(referee.email))) {
+        errors.push({ field: 'email', message: 'Email must be a valid address' });
+    }
+    if (referee.phone !== undefined && (typeof referee.phone !== 'string' || referee.phone.length > 30)) {
+        errors.push({ field: 'phone', message: 'Phone must be 30 characters max' });
+    }
+    return errors;
+}
+
+function validateMatchDay(matchDay, teams, referees = [], seasons = null) {
+    const errors = [];
+    // seasons is null where the caller doesn't check season references
+    if (seasons && matchDay.seasonId !== undefined && matchDay.seasonId !== null &&
+        !seasons.some(season => season.id === matchDay.seasonId)) {
+        errors.push({ field: 'seasonId', message: 'Season does not exist' });
+    }
+    if (!isNonEmptyString(matchDay.name, 100)) {
+        errors.push({ field: 'name', message: 'Match day name is required (100 characters max)' });
+    }
+    if (!isISODateTime(matchDay.date)) {
+        errors.push({ field: 'date', message: 'Date must be an ISO 8601 date-time' });
+    }
+    if (matchDay.notes !== undefined && typeof matchDay.notes !== 'string') {
+        errors.push({ field: 'notes', message: 'Notes must be text' });
+    }
+    if (!Array.isArray(matchDay.matches)) {
+        errors.push({ field: 'matches', message: 'Matches must be an array' });
+    } else {
+        matchDay.matches.forEach((match, index) => {
+            errors.push(...prefixErrors(validateMatch(match, teams, referees), `matches[${index}]`));
+        });
+    }
+    return errors;
+}
+
+function validateEach(records, validate, prefix) {
+    return records.flatMap((record, index) => prefixErrors(validate(record), `${prefix}[${index}]`));
+}
+
+// Data files included in backups and snapshots, keyed by their name in a backup
+function backupFiles() {
+    return {
+        leagues: { file: LEAGUES_FILE, defaultValue: DEFAULT_LEAGUES },
+        teams: { file: TEAMS_FILE, defaultValue: [] },
+        players: { file: PLAYERS_FILE, defaultValue: [] },
+        matchDays: { file: MATCHDAYS_FILE, defaultValue: [] },
+        referees: { file: REFEREES_FILE, defaultValue: [] },
+        seasons: { file: SEASONS_FILE, defaultValue: [] },
+        venues: { file: VENUES_FILE, defaultValue: [] }
+    };
+}
+
+async function readBackupData() {
+    const backup = {};
+    for (const [key, { file, defaultValue }] of Object.entries(backupFiles())) {
+        backup[key] = await readJSONFile(file, defaultValue);
+    }
+    return backup;
+}
+
+// Returns the first problem with an uploaded backup or snapshot, or null if it can be restored
+function checkBackupData(backup) {
+    if (!backup || typeof backup !== 'object') {
+        return 'Backup must be a JSON object';
+    }
+    for (const key of Object.keys(backupFiles())) {
+        if (backup[key] !== undefined && !Array.isArray(backup[key])) {
+            return `Backup field "${key}" must be an array`;
+        }
+    }
+    if (!Array.isArray(backup.teams) || !Array.isArray(backup.matchDays)) {
+        return 'Backup must contain teams and matchDays arrays';
+    }
+    return null;
+}
+
+// Snapshot ids are their timestamps with characters that are safe in file names
+function snapshotPath(snapshotId) {
+    return path.join(SNAPSHOTS_DIR, `${snapshotId}.json`);
+}
+
+function isValidSnapshotId(snapshotId) {
+    return typeof snapshotId === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z(-\d+)?$/.test(snapshotId);
+}
+
+let lastSnapshotId = null;
+
+async function createSnapshot(trigger) {
+    try {
+        let snapshotId = new Date().toISOString().replace(/[:.]/g, '-');
+        // Several writes can land in the same millisecond
+        if (lastSnapshotId && lastSnapshotId.startsWith(snapshotId)) {
+            const suffix = Number(lastSnapshotId.slice(snapshotId.length + 1) || 0) + 1;
+            snapshotId = `${snapshotId}-${suffix}`;
+        }
+        lastSnapshotId = snapshotId;
+        
+        const snapshot = {
+            ...await readBackupData(),
+            exportDate: new Date().toISOString(),
+            trigger: trigger,
+            version: '1.0.0'
+        };
+        
+        await fs.mkdir(SNAPSHOTS_DIR, { recursive: true });
+        if (await writeJSONFile(snapshotPath(snapshotId), snapshot)) {
+            await pruneSnapshots();
+        }
+    } catch (error) {
+        console.error('Error creating snapshot:', error);
+    }
+}
+
+async function listSnapshotIds() {
+    try {
+        const files = await fs.readdir(SNAPSHOTS_DIR);
+        return files
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length))
+            .filter(isValidSnapshotId)
+            .sort()
+            .reverse();
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+async function pruneSnapshots() {
+    const snapshotIds = await listSnapshotIds(); // newest first
+    const keep = new Set(snapshotIds.slice(0, SNAPSHOT_KEEP_RECENT));
+    const keptDays = new Set();
+    
+    snapshotIds.forEach(snapshotId => {
+        const day = snapshotId.slice(0, 10);
+        if (!keptDays.has(day)) {
+            keptDays.add(day);
+            keep.add(snapshotId);
+        }
+    });
+    
+    for (const snapshotId of snapshotIds.filter(id => !keep.has(id))) {
+        await fs.unlink(snapshotPath(snapshotId)).catch(error => {
+            console.error(`Error removing snapshot ${snapshotId}:`, error);
+        });
+    }
+}
+
+// Initialize server data
+async function initializeData() {
+    await ensureDataDir();
+    await loadChangeLog();
+    
+    // Initialize empty files if they don't exist
+    await readJSONFile(TEAMS_FILE, []);
+    await readJSONFile(MATCHDAYS_FILE, []);
+    await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+    await readJSONFile(REFEREES_FILE, []);
+    await migrateSeasons();
+    await migrateVenues();
+    await migratePhotos();
+    await migratePlayerRegistry();
+    await ensureInitialAdmin();
+    await loadSessions();
+    
+    console.log('📊 Data files initialized');
+}
+
+// Match days from before seasons existed are grouped into one season per calendar year
+async function migrateSeasons() {
+    const seasons = await readJSONFile(SEASONS_FILE, []);
+    const matchDays = await readJSONFile(MATCHDAYS_FILE);
+    const unassigned = matchDays.filter(matchDay => !matchDay.seasonId);
+    
+    if (seasons.length > 0 || unassigned.length === 0) {
+        return;
+    }
+    
+    const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+    const teams = await readJSONFile(TEAMS_FILE);
+    const years = [...new Set(unassigned.map(matchDay => new Date(matchDay.date).getFullYear()))].sort();
+    
+    years.forEach(year => {
+        const season = {
+            id: crypto.randomUUID(),
+            name: `${year} Season`,
+            startDate: `${year}-01-01`,
+            endDate: `${year}-12-31`,
+            leagueIds: leagues.map(league => league.id)
+        };
+        snapshotSeasonRosters(season, teams);
+        touchRecord(season);
+        seasons.push(season);
+        
+        unassigned
+            .filter(matchDay => new Date(matchDay.date).getFullYear() === year)
+            .forEach(matchDay => {
+                matchDay.seasonId = season.id;
+                touchRecord(matchDay);
+            });
+    });
+    
+    if (await writeJSONFile(SEASONS_FILE, seasons) && await writeJSONFile(MATCHDAYS_FILE, matchDays)) {
+        console.log(`📆 Grouped ${unassigned.length} match days into ${years.length} season(s)`);
+    }
+}
+
+// Free-text field names from before venues existed become the fields of one default venue
+async function migrateVenues() {
+    const venues = await readJSONFile(VENUES_FILE, []);
+    const matchDays = await readJSONFile(MATCHDAYS_FILE);
+    const unmanaged = matchDays.flatMap(md => md.matches || []).filter(match => !match.fieldId && match.field);
+    
+    if (venues.length > 0 || unmanaged.length === 0) {
+        return;
+    }
+    
+    const names = [...new Set(unmanaged.map(match => String(match.field).trim()))]
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const venue = {
+        id: crypto.randomUUID(),
+        name: 'Main Venue',
+        address: '',
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        fields: names.map(name => touchRecord({
+            id: crypto.randomUUID(),
+            name: name,
+            surface: 'grass',
+            size: '11v11',
+            availability: []
+        }))
+    };
+    touchRecord(venue);
+    
+    unmanaged.forEach(match => {
+        match.fieldId = venue.fields.find(field => field.name === String(match.field).trim()).id;
+        touchRecord(match);
+    });
+    matchDays.filter(md => (md.matches || []).some(match => unmanaged.includes(match))).forEach(md => touchRecord(md));
+    
+    if (await writeJSONFile(VENUES_FILE, [venue]) && await writeJSONFile(MATCHDAYS_FILE, matchDays)) {
+        console.log(`🏟️ Created ${venue.name} with ${names.length} fields from existing matches`);
+    }
+}
+
+async function migratePhotos() {
+    const teams = await readJSONFile(TEAMS_FILE);
+    const moved = await extractInlinePhotos(teams);
+    
+    if (moved > 0 && await writeJSONFile(TEAMS_FILE, teams)) {
+        console.log(`📷 Moved ${moved} inline player photo(s) into ${PHOTOS_DIR}`);
+    }
+}
+
+// Players from before the registry become one registry record each, keeping their roster ID.
+// Someone entered on two teams stays two records until an admin merges them.
+async function migratePlayerRegistry() {
+    const teams = await readJSONFile(TEAMS_FILE);
+    const registered = await registerRosterPlayers(teams);
+    if (registered === 0) {
+        return;
+    }
+    
+    console.log(`👥 Added ${registered} roster player(s) to the player registry`);
+    const names = new Map();
+    teams.flatMap(team => team.players || []).forEach(player => {
+        const key = player.name.trim().toLowerCase();
+        names.set(key, new Set([...(names.get(key) || []), player.id]));
+    });
+    const duplicates = [...names.values()].filter(ids => ids.size > 1).length;
+    if (duplicates > 0) {
+        console.log(`👥 ${duplicates} name(s) belong to more than one registry record - merge any that are the same person`);
+    }
+}
+
+// Authentication
+// Passwords are stored as scrypt hashes; sessions are random bearer tokens
+// scrypt runs on the thread pool, so hashing doesn't hold up other requests
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = (await scrypt(password, salt, 64)).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// key ("ip:..." or "user:...") -> { count, retryAt, lastFailedAt }
+const failedLogins = new Map();
+
+function loginThrottleKeys(req, username) {
+    return [`ip:${req.ip}`, `user:${String(username).trim().toLowerCase()}`];
+}
+
+// Milliseconds until these keys may try again (0 when they may now)
+function loginRetryAfter(keys) {
+    const now = Date.now();
+    return Math.max(0, ...keys.map(key => (failedLogins.get(key)?.retryAt || 0) - now));
+}
+
+function recordFailedLogin(keys) {
+    const now = Date.now();
+    for (const [key, entry] of failedLogins) {
+        if (entry.lastFailedAt < now - 2 * LOGIN_MAX_BACKOFF_MS) failedLogins.delete(key);
+    }
+    keys.forEach(key => {
+        const count = (failedLogins.get(key)?.count || 0) + 1;
+        const delay = count > LOGIN_FREE_ATTEMPTS ?
+            Math.min(1000 * 2 ** (count - LOGIN_FREE_ATTEMPTS - 1), LOGIN_MAX_BACKOFF_MS) : 0;
+        failedLogins.set(key, { count: count, retryAt: now + delay, lastFailedAt: now });
+    });
+}
+
+// Live update streams opened with a revoked key end with it
+function endApiKeyStreams(keyId) {
+    liveClients.forEach(client => {
+        if (client.apiKeyId === keyId) {
+            client.res.end();
+            liveClients.delete(client);
+        }
+    });
+}
+
+// Never send password hashes to clients
+function publicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+function publicApiKey(key) {
+    const { keyHash, ...rest } = key;
+    return rest;
+}
+
+// Referee keys are linked to a referee, since referees may only officiate their own matches
+function validateApiKey(key, referees) {
+    const errors = [];
+    if (!isNonEmptyString(key.name, 50)) {
+        errors.push({ field: 'name', message: 'Name is required (50 characters max)' });
+    }
+    if (!ROLES.includes(key.role)) {
+        errors.push({ field: 'role', message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (key.refereeId !== null && !referees.some(r => r.id === key.refereeId)) {
+        errors.push({ field: 'refereeId', message: 'Referee does not exist' });
+    } else if (key.role === 'referee' && key.refereeId === null) {
+        errors.push({ field: 'refereeId', message: 'A referee key must be linked to a referee' });
+    }
+    return errors;
+}
+
+// Requests made with an API key act as a user with the key's name, role and referee
+function apiKeyUser(key) {
+    return {
+        id: key.id,
+        username: key.name,
+        displayName: key.name,
+        role: key.role,
+        refereeId: key.refereeId || null,
+        apiKeyId: key.id
+    };
+}
+
+function validateUser(user, users, { requirePassword, referees = [] }) {
+    const errors = [];
+    if (!isNonEmptyString(user.username, 50) || !/^[a-zA-Z0-9._-]+$/.test(user.username)) {
+        errors.push({ field: 'username', message: 'Username is required (letters, numbers, dot, dash or underscore)' });
+    } else if (users.some(u => u.id !== user.id && u.username.toLowerCase() === user.username.toLowerCase())) {
+        errors.push({ field: 'username', message: 'This username is already taken' });
+    }
+    if (user.displayName !== undefined && !isNonEmptyString(user.displayName, 100)) {
+        errors.push({ field: 'displayName', message: 'Display name must be 1-100 characters' });
+    }
+    if (!ROLES.includes(user.role)) {
+        errors.push({ field: 'role', message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (user.refereeId !== undefined && user.refereeId !== null && !referees.some(r => r.id === user.refereeId)) {
+        errors.push({ field: 'refereeId', message: 'Referee does not exist' });
+    }
+    if ((requirePassword || user.password !== undefined) &&
+        (typeof user.password !== 'string' || user.password.length < 8)) {
+        errors.push({ field: 'password', message: 'Password must be at least 8 characters' });
+    }
+    return errors;
+}
+
+// Keyed by a SHA-256 of the token: sessions.json never holds a token that could be replayed
+const sessions = new Map();
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function loadSessions() {
+    const stored = await readJSONFile(SESSIONS_FILE);
+    stored
+        .filter(session => session.expiresAt > Date.now())
+        .forEach(({ tokenHash, ...session }) => sessions.set(tokenHash, session));
+    console.log(`🔑 Restored ${sessions.size} signed-in sessions`);
+}
+
+// Expired sessions are dropped whenever the file is written
+function saveSessions() {
+    const now = Date.now();
+    for (const [tokenHash, session] of sessions) {
+        if (session.expiresAt <= now) sessions.delete(tokenHash);
+    }
+    return writeJSONFile(SESSIONS_FILE, [...sessions].map(([tokenHash, session]) => ({ tokenHash, ...session })));
+}
+
+async function createSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(hashToken(token), { userId: user.id, expiresAt: Date.now() + SESSION_TTL_MS });
+    await saveSessions();
+    return token;
+}
+
+// The live session for a token, or null if it signed out or expired
+function findSession(token) {
+    const session = token ? sessions.get(hashToken(token)) : null;
+    return session && session.expiresAt > Date.now() ? session : null;
+}
+
+function endSession(token) {
+    return token && sessions.delete(hashToken(token)) ? saveSessions() : Promise.resolve(true);
+}
+
+function endUserSessions(userId) {
+    for (const [tokenHash, session] of sessions) {
+        if (session.userId === userId) sessions.delete(tokenHash);
+    }
+    return saveSessions();
+}
+
+// EventSource and <img> can't send headers, so the web app also gets the session as an
+// HttpOnly cookie. It's only accepted for reading the live update stream and player photos,
+// which keeps tokens out of URLs (and so out of logs, history and caches) without
+// letting another site make changes with it.
+const SESSION_COOKIE = 'session';
+const COOKIE_AUTH_PATHS = [/^\/events$/, /^\/photos\/[^/]+$/];
+
+function setSessionCookie(req, res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        path: '/api',
+        maxAge: SESSION_TTL_MS
+    });
+}
+
+function sessionCookie(req) {
+    const cookie = (req.get('Cookie') || '').split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${SESSION_COOKIE}=`));
+    return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+}
+
+function bearerToken(req) {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    return req.method === 'GET' && COOKIE_AUTH_PATHS.some(pattern => pattern.test(req.path)) ? sessionCookie(req) : null;
+}
+
+// Routes under /api that don't need a signed-in user
+const PUBLIC_API_ROUTES = ['/health', '/auth/status', '/auth/login', '/auth/setup'];
+
+async function authenticate(req, res, next) {
+    if (PUBLIC_API_ROUTES.includes(req.path) || req.method === 'OPTIONS') {
+        return next();
+    }
+    
+    try {
+        const apiKey = req.get('X-API-Key');
+        if (apiKey) {
+            const key = (await readJSONFile(API_KEYS_FILE)).find(k => k.keyHash === hashToken(apiKey));
+            if (!key) {
+                return res.status(401).json({ error: 'Unknown API key' });
+            }
+            req.user = apiKeyUser(key);
+            return next();
+        }
+        
+        const token = bearerToken(req);
+        const session = findSession(token);
+        
+        if (!session) {
+            return res.status(401).json({ error: 'Please sign in' });
+        }
+        
+        const users = await readJSONFile(USERS_FILE);
+        const user = users.find(u => u.id === session.userId);
+        
+        if (!user) {
+            await endSession(token);
+            return res.status(401).json({ error: 'Please sign in' });
+        }
+        
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({ error: 'Failed to authenticate' });
+    }
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res.status(403).json({ error: 'You do not have permission to do this' });
+        }
+        next();
+    };
+}
+
+const requireAdmin = requireRole('admin');
+const requireOfficial = requireRole('admin', 'referee');
+
+// Referees may only touch the match fields that belong to check-in and the match status;
+// their scores come from the goals they log, so a typed score can't disagree with the events later
+const REFEREE_MATCH_FIELDS = ['status', 'homeTeamPresent', 'awayTeamPresent'];
+
+function limitRefereeFields(allowedFields) {
+    return (req, res, next) => {
+        if (req.user.role === 'referee') {
+            const forbidden = Object.keys(req.body).filter(field => !allowedFields.includes(field));
+            if (forbidden.length > 0) {
+                return res.status(403).json({ error: `Referees cannot change: ${forbidden.join(', ')}` });
+            }
+        }
+        next();
+    };
+}
+
+// Referee accounts may only officiate the matches their linked referee is assigned to
+function refereeAssignmentError(user, match) {
+    if (user.role !== 'referee') {
+        return null;
+    }
+    if (!user.refereeId) {
+        return 'Your account is not linked to a referee';
+    }
+    const assigned = match.centerRefereeId === user.refereeId || (match.assistantRefereeIds || []).includes(user.refereeId);
+    return assigned ? null : 'You are not assigned to this match';
+}
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD if no users exist yet
+async function ensureInitialAdmin() {
+    const users = await readJSONFile(USERS_FILE);
+    if (users.length > 0 || !process.env.ADMIN_USERNAME || !process.env.ADMIN_PASSWORD) {
+        if (users.length === 0) {
+            console.log('👤 No users yet - create the first admin account from the web app');
+        }
+        return;
+    }
+    
+    users.push({
+        id: crypto.randomUUID(),
+        username: process.env.ADMIN_USERNAME,
+        displayName: process.env.ADMIN_USERNAME,
+        role: 'admin',
+        passwordHash: await hashPassword(process.env.ADMIN_PASSWORD),
+        createdAt: new Date().toISOString()
+    });
+    await writeJSONFile(USERS_FILE, users);
+    console.log(`👤 Created admin account ${process.env.ADMIN_USERNAME}`);
+}
+
+// API Routes
+
+app.use('/api', authenticate);
+
+// Requests that change data are handled one at a time, so two read-modify-write
+// cycles on the same data file can't interleave and drop each other's changes
+let mutationQueue = Promise.resolve();
+// Changes under these routes don't touch the backed-up data files
+const NON_DATA_ROUTES = ['/auth', '/users', '/api-keys'];
+app.use('/api', (req, res, next) => {
+    if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') {
+        return next();
+    }
+    
+    // req.path is rewritten while routing, so decide up front
+    // Previews only compute a result, so they don't need a snapshot either
+    const changesData = !NON_DATA_ROUTES.some(route => req.path.startsWith(route)) && !req.path.endsWith('/preview');
+    mutationQueue = mutationQueue.then(() => new Promise(resolve => {
+        let done = false;
+        const finish = async () => {
+            if (done) return;
+            done = true;
+            // Keep a rolling snapshot of the data after every successful change
+            if (res.statusCode < 400 && changesData) {
+                await createSnapshot(`${req.method} ${req.originalUrl}`);
+            }
+            resolve();
+        };
+        res.on('finish', finish);
+        res.on('close', finish);
+        next();
+    }));
+});
+
+// Live update stream (Server-Sent Events). Every change to leagues, teams, match days,
+// referees, seasons or venues arrives as a "change" event; a comment every 25 seconds
+// keeps proxies from closing an idle connection.
+app.get('/api/events', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+    
+    const client = { res, token: bearerToken(req), apiKeyId: req.user.apiKeyId || null };
+    liveClients.add(client);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+    
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        liveClients.delete(client);
+    });
+});
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+    res.json({ 
+        status: 'OK', 
+        timestamp: new Date().toISOString(),
+        message: 'Soccer Referee Server is running',
+        uptime: process.uptime()
+    });
+});
+
+// Auth endpoints
+app.get('/api/auth/status', async (req, res) => {
+    try {
+        const users = await readJSONFile(USERS_FILE);
+        res.json({ setupRequired: users.length === 0 });
+    } catch (error) {
+        console.error('Error reading auth status:', error);
+        res.status(500).json({ error: 'Failed to read auth status' });
+    }
+});
+
+// Creates the first admin account; only allowed while there are no users at all
+app.post('/api/auth/setup', async (req, res) => {
+    try {
+        const users = await readJSONFile(USERS_FILE);
+        
+        if (users.length > 0) {
+            return res.status(403).json({ error: 'Setup has already been completed' });
+        }
+        
+        const candidate = { ...req.body, role: 'admin' };
+        const errors = validateUser(candidate, users, { requirePassword: true });
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        const user = {
+            id: crypto.randomUUID(),
+            username: candidate.username,
+            displayName: candidate.displayName || candidate.username,
+            role: 'admin',
+            passwordHash: await hashPassword(candidate.password),
+            createdAt: new Date().toISOString()
+        };
+        
+        if (!await writeJSONFile(USERS_FILE, [user])) {
+            return res.status(500).json({ error: 'Failed to create admin account' });
+        }
+        
+        console.log(`👤 Created admin account ${user.username}`);
+        const token = await createSession(user);
+        setSessionCookie(req, res, token);
+        res.status(201).json({ token: token, user: publicUser(user) });
+    } catch (error) {
+        console.error('Error during setup:', error);
+        res.status(500).json({ error: 'Failed to create admin account' });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const throttleKeys = loginThrottleKeys(req, username);
+        const retryAfter = loginRetryAfter(throttleKeys);
+        if (retryAfter > 0) {
+            const seconds = Math.ceil(retryAfter / 1000);
+            res.set('Retry-After', String(seconds));
+            return res.status(429).json({ error: `Too many failed sign-ins. Try again in ${seconds} second${seconds === 1 ? '' : 's'}` });
+        }
+        
+        const users = await readJSONFile(USERS_FILE);
+        const user = typeof username === 'string' &&
+            users.find(u => u.username.toLowerCase() === username.trim().toLowerCase());
+        
+        if (!user || typeof password !== 'string' || !await verifyPassword(password, user.passwordHash)) {
+            recordFailedLogin(throttleKeys);
+            console.log(`🔒 Failed sign-in for ${username}`);
+            return res.status(401).json({ error: 'Incorrect username or password' });
+        }
+        
+        throttleKeys.forEach(key => failedLogins.delete(key));
+        console.log(`🔓 ${user.username} signed in`);
+        const token = await createSession(user);
+        setSessionCookie(req, res, token);
+        res.json({ token: token, user: publicUser(user) });
+    } catch (error) {
+        console.error('Error signing in:', error);
+        res.status(500).json({ error: 'Failed to sign in' });
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await endSession(bearerToken(req));
+        res.clearCookie(SESSION_COOKIE, { path: '/api' });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error signing out:', error);
+        res.status(500).json({ error: 'Failed to sign out' });
+    }
+});
+
+// Also (re)sets the session cookie, for devices that signed in before it existed
+app.get('/api/auth/me', (req, res) => {
+    const token = bearerToken(req);
+    if (token) {
+        setSessionCookie(req, res, token);
+    }
+    res.json(publicUser(req.user));
+});
+
+// User management endpoints (admin only)
+app.get('/api/users', requireAdmin, async (req, res) => {
+    try {
+        const users = await readJSONFile(USERS_FILE);
+        res.json(users.map(publicUser));
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+app.post('/api/users', requireAdmin, async (req, res) => {
+    try {
+        const users = await readJSONFile(USERS_FILE);
+        const candidate = {
+            username: typeof req.body.username === 'string' ? req.body.username.trim() : req.body.username,
+            displayName: req.body.displayName,
+            role: req.body.role,
+            refereeId: req.body.refereeId || null,
+            password: req.body.password
+        };
+        
+        const errors = validateUser(candidate, users, {
+            requirePassword: true,
+            referees: await readJSONFile(REFEREES_FILE)
+        });
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        const user = {
+            id: crypto.randomUUID(),
+            username: candidate.username,
+            displayName: candidate.displayName || candidate.username,
+            role: candidate.role,
+            refereeId: candidate.refereeId,
+            passwordHash: await hashPassword(candidate.password),
+            createdAt: new Date().toISOString()
+        };
+        users.push(user);
+        
+        if (await writeJSONFile(USERS_FILE, users)) {
+            console.log(`👤 ${req.user.username} created ${user.role} account ${user.username}`);
+            res.status(201).json(publicUser(user));
+        } else {
+            res.status(500).json({ error: 'Failed to create user' });
+        }
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+app.patch('/api/users/:id', requireAdmin, async (req, res) => {
+    try {
+        const users = await readJSONFile(USERS_FILE);
+        const user = users.find(u => u.id === req.params.id);
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const changes = pickFields(req.body, ['displayName', 'role', 'refereeId', 'password']);
+        const errors = errorsForFields(
+            validateUser({ ...user, ...changes }, users, {
+                requirePassword: false,
+                referees: await readJSONFile(REFEREES_FILE)
+            }),
+            Object.keys(changes)
+        );
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        if (user.role === 'admin' && changes.role && changes.role !== 'admin' &&
+            users.filter(u => u.role === 'admin').length === 1) {
+            return sendValidationError(res, [{ field: 'role', message: 'There must be at least one admin' }]);
+        }
+        
+        if (changes.displayName !== undefined) user.displayName = changes.displayName;
+        if (changes.role !== undefined) user.role = changes.role;
+        if (changes.refereeId !== undefined) user.refereeId = changes.refereeId;
+        if (changes.password !== undefined) {
+            user.passwordHash = await hashPassword(changes.password);
+            // A new password signs the user out everywhere
+            await endUserSessions(user.id);
+        }
+        
+        if (await writeJSONFile(USERS_FILE, users)) {
+            console.log(`👤 ${req.user.username} updated account ${user.username}`);
+            res.json(publicUser(user));
+        } else {
+            res.status(500).json({ error: 'Failed to update user' });
+        }
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+    try {
+        const users = await readJSONFile(USERS_FILE);
+        const user = users.find(u => u.id === req.params.id);
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        if (user.id === req.user.id) {
+            return res.status(400).json({ error: 'You cannot delete your own account' });
+        }
+        
+        if (await writeJSONFile(USERS_FILE, users.filter(u => u.id !== user.id))) {
+            await endUserSessions(user.id);
+            console.log(`👤 ${req.user.username} deleted account ${user.username}`);
+            res.json({ success: true, message: 'User deleted successfully' });
+        } else {
+            res.status(500).json({ error: 'Failed to delete user' });
+        }
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+// API keys (admin) let apps that can't sign in interactively, such as the iOS apps, call the API.
+// The key is only shown when it's created; the server keeps a SHA-256 of it.
+app.get('/api/api-keys', requireAdmin, async (req, res) => {
+    try {
+        const keys = await readJSONFile(API_KEYS_FILE);
+        res.json(keys.map(publicApiKey));
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+});
+
+app.post('/api/api-keys', requireAdmin, async (req, res) => {
+    try {
+        const keys = await readJSONFile(API_KEYS_FILE);
+        const candidate = {
+            name: typeof req.body.name === 'string' ? req.body.name.trim() : req.body.name,
+            role: req.body.role,
+            refereeId: req.body.refereeId || null
+        };
+        
+        const errors = validateApiKey(candidate, await readJSONFile(REFEREES_FILE));
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        const secret = crypto.randomBytes(32).toString('hex');
+        const key = {
+            id: crypto.randomUUID(),
+            name: candidate.name,
+            role: candidate.role,
+            refereeId: candidate.refereeId,
+            keyHash: hashToken(secret),
+            createdAt: new Date().toISOString()
+        };
+        keys.push(key);
+        
+        if (await writeJSONFile(API_KEYS_FILE, keys)) {
+            console.log(`🔑 ${req.user.username} created API key ${key.name} (${key.role})`);
+            res.status(201).json({ ...publicApiKey(key), key: secret });
+        } else {
+            res.status(500).json({ error: 'Failed to create API key' });
+        }
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+app.delete('/api/api-keys/:id', requireAdmin, async (req, res) => {
+    try {
+        const keys = await readJSONFile(API_KEYS_FILE);
+        const key = keys.find(k => k.id === req.params.id);
+        
+        if (!key) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        
+        if (await writeJSONFile(API_KEYS_FILE, keys.filter(k => k.id !== key.id))) {
+            endApiKeyStreams(key.id);
+            console.log(`🔑 ${req.user.username} revoked API key ${key.name}`);
+            res.json({ success: true, message: 'API key revoked' });
+        } else {
+            res.status(500).json({ error: 'Failed to revoke API key' });
+        }
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
+// Leagues endpoints
+app.get('/api/leagues', async (req, res) => {
+    try {
+        const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+        console.log(`📤 Serving ${leagues.length} leagues`);
+        res.json(leagues);
+    } catch (error) {
+        console.error('Error fetching leagues:', error);
+        res.status(500).json({ error: 'Failed to fetch leagues' });
+    }
+});
+
+app.post('/api/leagues', requireAdmin, async (req, res) => {
+    try {
+        const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+        
+        const league = {
+            ...pickFields(req.body, LEAGUE_FIELDS),
+            id: req.body.id || crypto.randomUUID(),
+            name: typeof req.body.name === 'string' ? req.body.name.trim() : req.body.name
+        };
+        
+        const errors = validateLeague(league, leagues);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        if (leagues.some(l => l.id === league.id)) {
+            return res.status(409).json({ error: 'League already exists' });
+        }
+        
+        touchRecord(league);
+        
+        leagues.push(league);
+        
+        const success = await writeJSONFile(LEAGUES_FILE, leagues);
+        if (success) {
+            console.log(`📥 Created league ${league.name}`);
+            res.status(201).json(league);
+        } else {
+            res.status(500).json({ error: 'Failed to create league' });
+        }
+    } catch (error) {
+        console.error('Error creating league:', error);
+        res.status(500).json({ error: 'Failed to create league' });
+    }
+});
+
+app.put('/api/leagues/:id', requireAdmin, async (req, res) => {
+    try {
+        const changes = pickFields(req.body, LEAGUE_FIELDS);
+        if (typeof changes.name === 'string') {
+            changes.name = changes.name.trim();
+        }
+        const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+        const league = leagues.find(l => l.id === req.params.id);
+        
+        if (!league) {
+            return res.status(404).json({ error: 'League not found' });
+        }
+        
+        if (isStaleWrite(req, league)) {
+            return sendConflict(res, league);
+        }
+        
+        const errors = validateLeague({ ...league, ...changes }, leagues);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        Object.assign(league, changes);
+        touchRecord(league);
+        
+        const success = await writeJSONFile(LEAGUES_FILE, leagues);
+        if (success) {
+            console.log(`📥 Updated league ${league.name}`);
+            res.json(league);
+        } else {
+            res.status(500).json({ error: 'Failed to update league' });
+        }
+    } catch (error) {
+        console.error('Error updating league:', error);
+        res.status(500).json({ error: 'Failed to update league' });
+    }
+});
+
+app.get('/api/leagues/:id/standings', async (req, res) => {
+    try {
+        const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+        const league = leagues.find(l => l.id === req.params.id);
+        
+        if (!league) {
+            return res.status(404).json({ error: 'League not found' });
+        }
+        
+        const teams = await readJSONFile(TEAMS_FILE);
+        let matchDays = await readJSONFile(MATCHDAYS_FILE);
+        
+        // ?seasonId= keeps seasons from mixing in one table
+        if (req.query.seasonId) {
+            matchDays = matchDays.filter(matchDay => matchDay.seasonId === req.query.seasonId);
+        }
+        
+        res.json({
+            leagueId: league.id,
+            leagueName: league.name,
+            seasonId: req.query.seasonId || null,
+            ...computeStandings(league, teams, matchDays)
+        });
+    } catch (error) {
+        console.error('Error computing standings:', error);
+        res.status(500).json({ error: 'Failed to compute standings' });
+    }
+});
+
+// Round-robin schedule generator. /preview returns the match days it would create without
+// saving them; the same options always produce the same pairings, slots and dates.
+async function planRoundRobin(req, res) {
+    const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+    const league = leagues.find(l => l.id === req.params.id);
+    
+    if (!league) {
+        res.status(404).json({ error: 'League not found' });
+        return null;
+    }
+    
+    const teams = await readJSONFile(TEAMS_FILE);
+    const leagueTeams = teams.filter(team => team.leagueId === league.id);
+    const seasons = await readJSONFile(SEASONS_FILE);
+    const options = {
+        teamIds: leagueTeams.map(team => team.id),
+        format: 'single',
+        intervalDays: 7,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        ...pickFields(req.body, ROUND_ROBIN_FIELDS)
+    };
+    
+    const venues = await readJSONFile(VENUES_FILE);
+    const errors = validateRoundRobinOptions(options, leagueTeams, seasons, venues);
+    if (errors.length > 0) {
+        sendValidationError(res, errors);
+        return null;
+    }
+    
+    // Check the new matches against the existing schedule and each other
+    const plan = generateRoundRobin(league, leagueTeams, options, seasons, venues);
+    const allMatchDays = [...await readJSONFile(MATCHDAYS_FILE), ...plan.matchDays];
+    plan.conflicts = plan.matchDays.flatMap(matchDay => matchDay.matches.flatMap(match => {
+        const { errors, warnings } = findScheduleConflicts(match, allMatchDays, teams, venues);
+        return [
+            ...errors.map(conflict => ({ matchDayName: matchDay.name, matchId: match.id, severity: 'error', ...conflict })),
+            ...warnings.map(conflict => ({ matchDayName: matchDay.name, matchId: match.id, severity: 'warning', ...conflict }))
+        ];
+    }));
+    
+    return { league, ...plan };
+}
+
+app.post('/api/leagues/:id/round-robin/preview', requireAdmin, async (req, res) => {
+    try {
+        const plan = await planRoundRobin(req, res);
+        if (plan) {
+            res.json({ leagueId: plan.league.id, matchDays: plan.matchDays, byes: plan.byes, conflicts: plan.conflicts });
+        }
+    } catch (error) {
+        console.error('Error previewing schedule:', error);
+        res.status(500).json({ error: 'Failed to preview schedule' });
+    }
+});
+
+app.post('/api/leagues/:id/round-robin', requireAdmin, async (req, res) => {
+    try {
+        const plan = await planRoundRobin(req, res);
+        if (!plan) {
+            return;
+        }
+        
+        const errors = plan.conflicts.filter(conflict => conflict.severity === 'error');
+        const warnings = plan.conflicts.filter(conflict => conflict.severity === 'warning');
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        if (warnings.length > 0 && req.query.ignoreWarnings !== 'true') {
+            return sendScheduleWarnings(res, warnings);
+        }
+        
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        plan.matchDays.forEach(matchDay => {
+            matchDay.matches.forEach(md => touchRecord(md));
+            touchRecord(matchDay);
+            matchDays.push(matchDay);
+        });
+        matchDays.sort((a, b) => new Date(a.date) - new Date(b.date));
+        
+        if (await writeJSONFile(MATCHDAYS_FILE, matchDays)) {
+            console.log(`🗓️ Scheduled ${plan.matchDays.length} round-robin match days for ${plan.league.name}`);
+            res.status(201).json({ leagueId: plan.league.id, matchDays: plan.matchDays, byes: plan.byes });
+        } else {
+            res.status(500).json({ error: 'Failed to create schedule' });
+        }
+    } catch (error) {
+        console.error('Error creating schedule:', error);
+        res.status(500).json({ error: 'Failed to create schedule' });
+    }
+});
+
+// Deleting a league that still has teams is refused unless ?reassign=true,
+// in which case its teams are moved to "Unassigned" (leagueId: null)
+app.delete('/api/leagues/:id', requireAdmin, async (req, res) => {
+    try {
+        const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+        const league = leagues.find(l => l.id === req.params.id);
+        
+        if (!league) {
+            return res.status(404).json({ error: 'League not found' });
+        }
+        
+        if (isStaleWrite(req, league)) {
+            return sendConflict(res, league);
+        }
+        
+        const teams = await readJSONFile(TEAMS_FILE);
+        const leagueTeams = teams.filter(t => t.leagueId === league.id);
+        
+        if (leagueTeams.length > 0) {
+            if (req.query.reassign !== 'true') {
+                return res.status(409).json({
+                    error: 'League still has teams',
+                    teamCount: leagueTeams.length
+                });
+            }
+            
+            leagueTeams.forEach(team => {
+                team.leagueId = null;
+                touchRecord(team);
+            });
+            
+            if (!await writeJSONFile(TEAMS_FILE, teams)) {
+                return res.status(500).json({ error: 'Failed to reassign league teams' });
+            }
+        }
+        
+        // Seasons keep running without the deleted league
+        const seasons = await readJSONFile(SEASONS_FILE);
+        seasons.filter(season => season.leagueIds.includes(league.id)).forEach(season => {
+            season.leagueIds = season.leagueIds.filter(id => id !== league.id);
+            touchRecord(season);
+        });
+        
+        const success = await writeJSONFile(SEASONS_FILE, seasons) &&
+            await writeJSONFile(LEAGUES_FILE, leagues.filter(l => l.id !== league.id));
+        if (success) {
+            console.log(`🗑️ Deleted league ${league.name} (${leagueTeams.length} teams unassigned)`);
+            res.json({ success: true, message: 'League deleted successfully', reassignedTeams: leagueTeams.length });
+        } else {
+            res.status(500).json({ error: 'Failed to delete league' });
+        }
+    } catch (error) {
+        console.error('Error deleting league:', error);
+        res.status(500).json({ error: 'Failed to delete league' });
+    }
+});
+
+// Teams endpoints
+app.get('/api/teams', async (req, res) => {
+    try {
+        const teams = await readJSONFile(TEAMS_FILE);
+        console.log(`📤 Serving ${teams.length} teams`);
+        res.json(teams);
+    } catch (error) {
+        console.error('Error fetching teams:', error);
+        res.status(500).json({ error: 'Failed to fetch teams' });
+    }
+});
+
+// Accepts the full teams array (legacy bulk overwrite used by the iOS apps)
+// or a single team object to create
+app.post('/api/teams', requireAdmin, async (req, res) => {
+    try {
+        if (!Array.isArray(req.body)) {
+            return await createTeam(req, res);
+        }
+        
+        const teams = req.body;
+        const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+        const previousTeams = await readJSONFile(TEAMS_FILE);
+        
+        let errors = validateEach(teams, team => validateTeam(team, leagues), 'teams');
+        if (errors.length === 0) {
+            errors = findRosterEligibilityErrors(teams, previousTeams, {
+                leagues: leagues,
+                players: await readJSONFile(PLAYERS_FILE),
+                seasons: await readJSONFile(SEASONS_FILE)
+            });
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        await extractInlinePhotos(teams);
+        keepServerOnlyPlayerFields(previousTeams, teams);
+        carryRevisions(previousTeams, teams, 'players');
+        
+        const success = await writeJSONFile(TEAMS_FILE, teams);
+        if (success) {
+            await registerRosterPlayers(teams);
+            console.log(`📥 Updated ${teams.length} teams`);
+            res.json({ success: true, message: 'Teams updated successfully', count: teams.length });
+        } else {
+            res.status(500).json({ error: 'Failed to update teams' });
+        }
+    } catch (error) {
+        console.error('Error updating teams:', error);
+        res.status(500).json({ error: 'Failed to update teams' });
+    }
+});
+
+async function createTeam(req, res) {
+    const teams = await readJSONFile(TEAMS_FILE);
+    const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+    
+    const team = {
+        ...pickFields(req.body, TEAM_FIELDS),
+        id: req.body.id || crypto.randomUUID(),
+        name: typeof req.body.name === 'string' ? req.body.name.trim() : req.body.name,
+        leagueId: req.body.leagueId || null,
+        players: []
+    };
+    
+    const errors = validateTeam(team, leagues);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors);
+    }
+    
+    if (teams.some(t => t.id === team.id)) {
+        return res.status(409).json({ error: 'Team already exists' });
+    }
+    
+    touchRecord(team);
+    
+    teams.push(team);
+    
+    if (await writeJSONFile(TEAMS_FILE, teams)) {
+        console.log(`📥 Created team ${team.name}`);
+        res.status(201).json(team);
+    } else {
+        res.status(500).json({ error: 'Failed to create team' });
+    }
+}
+
+// Individual team endpoint
+app.get('/api/teams/:id', async (req, res) => {
+    try {
+        const teams = await readJSONFile(TEAMS_FILE);
+        const team = teams.find(t => t.id === req.params.id);
+        
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        
+        res.json(team);
+    } catch (error) {
+        console.error('Error reading team:', error);
+        res.status(500).json({ error: 'Failed to read team data' });
+    }
+});
+
+app.patch('/api/teams/:id', requireAdmin, async (req, res) => {
+    try {
+        const teams = await readJSONFile(TEAMS_FILE);
+        const team = teams.find(t => t.id === req.params.id);
+        
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        
+        if (isStaleWrite(req, team)) {
+            return sendConflict(res, team);
+        }
+        
+        const changes = pickFields(req.body, TEAM_FIELDS);
+        const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+        const errors = errorsForFields(validateTeam({ ...team, ...changes }, leagues), Object.keys(changes));
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        Object.assign(team, changes);
+        touchRecord(team);
+        
+        if (await writeJSONFile(TEAMS_FILE, teams)) {
+            console.log(`📥 Updated team ${team.name}`);
+            res.json(team);
+        } else {
+            res.status(500).json({ error: 'Failed to update team' });
+        }
+    } catch (error) {
+        console.error('Error updating team:', error);
+        res.status(500).json({ error: 'Failed to update team' });
+    }
+});
+
+app.delete('/api/teams/:id', requireAdmin, async (req, res) => {
+    try {
+        const teams = await readJSONFile(TEAMS_FILE);
+        const team = teams.find(t => t.id === req.params.id);
+        
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        
+        if (isStaleWrite(req, team)) {
+            return sendConflict(res, team);
+        }
+        
+        if (await writeJSONFile(TEAMS_FILE, teams.filter(t => t.id !== team.id))) {
+            await removePhotos((team.players || []).map(player => player.photo), teams.filter(t => t.id !== team.id));
+            console.log(`🗑️ Deleted team ${team.name}`);
+            res.json({ success: true, message: 'Team deleted successfully' });
+        } else {
+            res.status(500).json({ error: 'Failed to delete team' });
+        }
+    } catch (error) {
+        console.error('Error deleting team:', error);
+        res.status(500).json({ error: 'Failed to delete team' });
+    }
+});
+
+// Player endpoints (players are stored inside their team)
+app.post('/api/teams/:teamId/players', requireAdmin, async (req, res) => {
+    try {
+        const teams = await readJSONFile(TEAMS_FILE);
+        const team = teams.find(t => t.id === req.params.teamId);
+        
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        
+        // An ID already in the registry adds that person to the team; anyone else is registered
+        // as a new player, optionally with their date of birth and registration status
+        const players = await readJSONFile(PLAYERS_FILE);
+        const registered = players.find(p => p.id === req.body.id);
+        const person = registered || newRegistryPlayer({
+            ...pickFields(req.body, REGISTRY_PLAYER_FIELDS),
+            id: req.body.id,
+            name: typeof req.body.name === 'string' ? req.body.name.trim() : req.body.name
+        });
+        
+        const player = {
+            ...pickFields(req.body, PLAYER_FIELDS),
+            id: person.id,
+            name: person.name,
+            isPresent: false,
+            joinedAt: new Date().toISOString()
+        };
+        
+        const errors = [...validatePlayer(player, team), ...(registered ? [] : validateRegistryPlayer(person).filter(e => e.field !== 'name'))];
+        const teammate = findLeagueTeammate(teams, player.id, team);
+        if ((team.players || []).some(p => p.id === player.id)) {
+            errors.push({ field: 'id', message: `${player.name} is already on ${team.name}` });
+        } else if (teammate) {
+            errors.push({ field: 'id', message: `${player.name} already plays for ${teammate.name} in this league; transfer them instead` });
+        }
+        const ineligible = errors.length === 0 && findEligibilityProblem(person, team, await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES), players,
+            await readJSONFile(SEASONS_FILE));
+        if (ineligible) {
+            errors.push({ field: registered ? 'id' : 'dateOfBirth', message: ineligible });
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        touchRecord(player);
+        
+        team.players = team.players || [];
+        team.players.push(player);
+        team.players.sort((a, b) => a.name.localeCompare(b.name));
+        touchRecord(team);
+        
+        if (!registered) {
+            touchRecord(person);
+            players.push(person);
+            players.sort((a, b) => a.name.localeCompare(b.name));
+        }
+        
+        if (await writeJSONFile(TEAMS_FILE, teams) && (registered || await writeJSONFile(PLAYERS_FILE, players))) {
+            console.log(`📥 Added player ${player.name} to ${team.name}`);
+            res.status(201).json(player);
+        } else {
+            res.status(500).json({ error: 'Failed to add player' });
+        }
+    } catch (error) {
+        console.error('Error adding player:', error);
+        res.status(500).json({ error: 'Failed to add player' });
+    }
+});
+
+app.patch('/api/teams/:teamId/players/:playerId', requireAdmin, async (req, res) => {
+    try {
+        const teams = await readJSONFile(TEAMS_FILE);
+        const team = teams.find(t => t.id === req.params.teamId);
+        const player = team?.players?.find(p => p.id === req.params.playerId);
+        
+        if (!player) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        
+        if (isStaleWrite(req, player)) {
+            return sendConflict(res, player);
+        }
+        
+        const changes = pickFields(req.body, PLAYER_FIELDS);
+        if (typeof changes.name === 'string') {
+            changes.name = changes.name.trim();
+        }
+        const errors = errorsForFields(validatePlayer({ ...player, ...changes }, team), Object.keys(changes));
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        // The name belongs to the person, so it changes in the registry and on their other teams too
+        const players = await readJSONFile(PLAYERS_FILE);
+        const renamed = changes.name !== undefined && changes.name !== player.name;
+        Object.assign(player, changes);
+        touchRecord(player);
+        touchRecord(team);
+        if (renamed) {
+            team.players.sort((a, b) => a.name.localeCompare(b.name));
+            renamePlayer(players, teams, player.id, changes.name);
+        }
+        
+        if (await writeJSONFile(TEAMS_FILE, teams) && (!renamed || await writeJSONFile(PLAYERS_FILE, players))) {
+            console.log(`📥 Updated player ${player.name} on ${team.name}`);
+            res.json(player);
+        } else {
+            res.status(500).json({ error: 'Failed to update player' });
+        }
+    } catch (error) {
+        console.error('Error updating player:', error);
+        res.status(500).json({ error: 'Failed to update player' });
+    }
+});
+
+app.delete('/api/teams/:teamId/players/:playerId', requireAdmin, async (req, res) => {
+    try {
+        const teams = await readJSONFile(TEAMS_FILE);
+        const team = teams.find(t => t.id === req.params.teamId);
+        const player = team?.players?.find(p => p.id === req.params.playerId);
+        
+        if (!player) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        
+        if (isStaleWrite(req, player)) {
+            return sendConflict(res, player);
+        }
+        
+        team.players = team.players.filter(p => p.id !== player.id);
+        touchRecord(team);
+        
+        if (await writeJSONFile(TEAMS_FILE, teams)) {
+            await removePhotos([player.photo], teams);
+            console.log(`🗑️ Removed player ${player.name} from ${team.name}`);
+            res.json({ success: true, message: 'Player removed successfully' });
+        } else {
+            res.status(500).json({ error: 'Failed to remove player' });
+        }
+    } catch (error) {
+        console.error('Error removing player:', error);
+        res.status(500).json({ error: 'Failed to remove player' });
+    }
+});
+
+// Moves a player to another team, keeping their ID (so past check-ins, cards and goals stay
+// theirs) and recording the team they left in teamHistory. Body: { teamId, jerseyNumber? }
+app.post('/api/teams/:teamId/players/:playerId/transfer', requireAdmin, async (req, res) => {
+    try {
+        const teams = await readJSONFile(TEAMS_FILE);
+        const team = teams.find(t => t.id === req.params.teamId);
+        const player = team?.players?.find(p => p.id === req.params.playerId);
+        
+        if (!player) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        
+        if (isStaleWrite(req, player)) {
+            return sendConflict(res, player);
+        }
+        
+        const targetTeam = teams.find(t => t.id === req.body.teamId);
+        if (!targetTeam || targetTeam.id === team.id) {
+            return sendValidationError(res, [{ field: 'teamId', message: targetTeam ? 'Player is already on this team' : 'Team does not exist' }]);
+        }
+        
+        const jerseyNumber = req.body.jerseyNumber === undefined ? player.jerseyNumber : req.body.jerseyNumber;
+        const errors = errorsForFields(validatePlayer({ ...player, jerseyNumber: jerseyNumber }, targetTeam), ['jerseyNumber']);
+        
+        const teammate = findLeagueTeammate(teams, player.id, targetTeam);
+        const seasons = await readJSONFile(SEASONS_FILE);
+        const conflict = findSeasonTransferConflict(player, team, targetTeam, seasons);
+        if ((targetTeam.players || []).some(p => p.id === player.id)) {
+            errors.push({ field: 'teamId', message: `${player.name} is already on ${targetTeam.name}` });
+        } else if (teammate && teammate.id !== team.id) {
+            errors.push({ field: 'teamId', message: `${player.name} already plays for ${teammate.name} in that league` });
+        } else if (conflict) {
+            errors.push({
+                field: 'teamId',
+                message: `${player.name} has already played for ${conflict.teamName} in this league during ${conflict.season.name}; players can move within a league between seasons`
+            });
+        } else {
+            const players = await readJSONFile(PLAYERS_FILE);
+            const ineligible = findEligibilityProblem(players.find(p => p.id === player.id) || player, targetTeam,
+                await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES), players, seasons);
+            if (ineligible) {
+                errors.push({ field: 'teamId', message: ineligible });
+            }
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        const now = new Date().toISOString();
+        player.teamHistory = [...(player.teamHistory || []), {
+            teamId: team.id,
+            teamName: team.name,
+            leagueId: team.leagueId || null,
+            joinedAt: player.joinedAt || null,
+            leftAt: now
+        }];
+        Object.assign(player, { jerseyNumber: jerseyNumber, isPresent: false, joinedAt: now });
+        touchRecord(player);
+        
+        team.players = team.players.filter(p => p.id !== player.id);
+        targetTeam.players = targetTeam.players || [];
+        targetTeam.players.push(player);
+        targetTeam.players.sort((a, b) => a.name.localeCompare(b.name));
+        touchRecord(team);
+        touchRecord(targetTeam);
+        
+        if (await writeJSONFile(TEAMS_FILE, teams)) {
+            console.log(`🔁 Transferred player ${player.name} from ${team.name} to ${targetTeam.name}`);
+            res.json(player);
+        } else {
+            res.status(500).json({ error: 'Failed to transfer player' });
+        }
+    } catch (error) {
+        console.error('Error transferring player:', error);
+        res.status(500).json({ error: 'Failed to transfer player' });
+    }
+});
+
+// Player photos: uploaded as the raw image body, returned as the updated player
+app.put('/api/teams/:teamId/players/:playerId/photo', requireAdmin,
+    express.raw({ type: Object.keys(PHOTO_EXTENSIONS), limit: MAX_PHOTO_BYTES }), async (req, res) => {
+    try {
+        const teams = await readJSONFile(TEAMS_FILE);
+        const team = teams.find(t => t.id === req.params.teamId);
+        const player = team?.players?.find(p => p.id === req.params.playerId);
+        
+        if (!player) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        
+        if (isStaleWrite(req, player)) {
+            return sendConflict(res, player);
+        }
+        
+        const name = Buffer.isBuffer(req.body) ? await savePhoto(req.body) : null;
+        if (!name) {
+            return sendValidationError(res, [{ field: 'photo', message: 'Photo must be a JPEG, PNG or WebP image' }]);
+        }
+        
+        const previousPhoto = player.photo;
+        player.photo = name;
+        touchRecord(player);
+        touchRecord(team);
+        
+        if (await writeJSONFile(TEAMS_FILE, teams)) {
+            if (previousPhoto !== name) {
+                await removePhotos([previousPhoto], teams);
+            }
+            console.log(`📷 Updated photo of ${player.name} (${req.body.length} bytes)`);
+            res.json(player);
+        } else {
+            res.status(500).json({ error: 'Failed to save photo' });
+        }
+    } catch (error) {
+        console.error('Error saving photo:', error);
+        res.status(500).json({ error: 'Failed to save photo' });
+    }
+});
+
+app.delete('/api/teams/:teamId/players/:playerId/photo', requireAdmin, async (req, res) => {
+    try {
+        const teams = await readJSONFile(TEAMS_FILE);
+        const team = teams.find(t => t.id === req.params.teamId);
+        const player = team?.players?.find(p => p.id === req.params.playerId);
+        
+        if (!player) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        
+        if (isStaleWrite(req, player)) {
+            return sendConflict(res, player);
+        }
+        
+        const previousPhoto = player.photo;
+        delete player.photo;
+        touchRecord(player);
+        touchRecord(team);
+        
+        if (await writeJSONFile(TEAMS_FILE, teams)) {
+            await removePhotos([previousPhoto], teams);
+            console.log(`🗑️ Removed photo of ${player.name}`);
+            res.json(player);
+        } else {
+            res.status(500).json({ error: 'Failed to remove photo' });
+        }
+    } catch (error) {
+        console.error('Error removing photo:', error);
+        res.status(500).json({ error: 'Failed to remove photo' });
+    }
+});
+
+// Photo files never change (their names are content hashes), so browsers may keep them
+app.get('/api/photos/:name', (req, res) => {
+    if (!/^[0-9a-f]{32}\.(jpg|png|webp)$/.test(req.params.name)) {
+        return res.status(404).json({ error: 'Photo not found' });
+    }
+    
+    res.sendFile(path.join(PHOTOS_DIR, req.params.name), {
+        headers: { 'Cache-Control': 'private, max-age=31536000, immutable' }
+    }, error => {
+        if (error && !res.headersSent) {
+            res.status(404).json({ error: 'Photo not found' });
+        }
+    });
+});
+
+// Roster CSV endpoints, per team (/api/teams/:id/...) or per league (/api/leagues/:id/...).
+// Imports take JSON { csv, mode } or a raw text/csv body with ?mode=; /preview reports the
+// players that would be added, updated and removed without saving anything.
+async function loadRosterScope(kind, req, res) {
+    const teams = await readJSONFile(TEAMS_FILE);
+
+    if (kind === 'league') {
+        const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+        const league = leagues.find(l => l.id === req.params.id);
+        if (!league) {
+            res.status(404).json({ error: 'League not found' });
+            return null;
+        }
+        return { name: league.name, teams, scopeTeams: teams.filter(team => team.leagueId === league.id), defaultTeam: null };
+    }
+
+    const team = teams.find(t => t.id === req.params.id);
+    if (!team) {
+        res.status(404).json({ error: 'Team not found' });
+        return null;
+    }
+    return { name: team.name, teams, scopeTeams: [team], defaultTeam: team };
+}
+
+async function planRosterRequest(kind, req, res) {
+    const scope = await loadRosterScope(kind, req, res);
+    if (!scope) {
+        return null;
+    }
+
+    const csv = typeof req.body === 'string' ? req.body : req.body.csv;
+    const mode = (typeof req.body === 'string' ? req.query.mode : req.body.mode) || 'merge';
+    const errors = [];
+    if (typeof csv !== 'string' || csv.trim() === '') {
+        errors.push({ field: 'csv', message: 'CSV text is required' });
+    }
+    if (!ROSTER_IMPORT_MODES.includes(mode)) {
+        errors.push({ field: 'mode', message: `Mode must be one of: ${ROSTER_IMPORT_MODES.join(', ')}` });
+    }
+    if (errors.length > 0) {
+        sendValidationError(res, errors);
+        return null;
+    }
+
+    const registry = {
+        leagues: await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES),
+        players: await readJSONFile(PLAYERS_FILE),
+        seasons: await readJSONFile(SEASONS_FILE)
+    };
+    return { ...scope, mode, ...planRosterImport(csv, mode, scope.scopeTeams, scope.teams, scope.defaultTeam, registry) };
+}
+
+function sendRosterCSV(res, name, teams) {
+    const fileName = `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'roster'}-roster.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(rosterToCSV(teams));
+}
+
+async function exportRoster(kind, req, res) {
+    try {
+        const scope = await loadRosterScope(kind, req, res);
+        if (scope) {
+            sendRosterCSV(res, scope.name, [...scope.scopeTeams].sort((a, b) => a.name.localeCompare(b.name)));
+        }
+    } catch (error) {
+        console.error('Error exporting roster:', error);
+        res.status(500).json({ error: 'Failed to export roster' });
+    }
+}
+
+async function previewRosterImport(kind, req, res) {
+    try {
+        const plan = await planRosterRequest(kind, req, res);
+        if (plan) {
+            res.json({ mode: plan.mode, changes: plan.changes, errors: plan.errors });
+        }
+    } catch (error) {
+        console.error('Error previewing roster import:', error);
+        res.status(500).json({ error: 'Failed to preview roster import' });
+    }
+}
+
+async function importRoster(kind, req, res) {
+    try {
+        const plan = await planRosterRequest(kind, req, res);
+        if (!plan) {
+            return;
+        }
+        if (plan.errors.length > 0) {
+            return sendValidationError(res, plan.errors);
+        }
+
+        const players = await readJSONFile(PLAYERS_FILE);
+        const removedPhotos = applyRosterImport(plan.changes, plan.teams, players);
+        const importedTeams = plan.teams.filter(team => plan.changes.some(change => change.teamId === team.id));
+
+        if (await writeJSONFile(TEAMS_FILE, plan.teams) && await writeJSONFile(PLAYERS_FILE, players)) {
+            await removePhotos(removedPhotos, plan.teams);
+            const count = (key) => plan.changes.reduce((total, change) => total + change[key].length, 0);
+            console.log(`📋 Imported roster for ${plan.name}: ${count('added')} added, ${count('updated')} updated, ${count('removed')} removed`);
+            res.json({ mode: plan.mode, changes: plan.changes, teams: importedTeams });
+        } else {
+            res.status(500).json({ error: 'Failed to import roster' });
+        }
+    } catch (error) {
+        console.error('Error importing roster:', error);
+        res.status(500).json({ error: 'Failed to import roster' });
+    }
+}
+
+const csvBody = express.text({ type: 'text/csv', limit: '10mb' });
+['team', 'league'].forEach(kind => {
+    app.get(`/api/${kind}s/:id/roster.csv`, (req, res) => exportRoster(kind, req, res));
+    app.post(`/api/${kind}s/:id/roster/preview`, requireAdmin, csvBody, (req, res) => previewRosterImport(kind, req, res));
+    app.post(`/api/${kind}s/:id/roster`, requireAdmin, csvBody, (req, res) => importRoster(kind, req, res));
+});
+
+// Player registry endpoints: one record per person, with the teams they're on (their
+// memberships) being the roster entries that share their ID
+app.get('/api/players', async (req, res) => {
+    try {
+        const players = await readJSONFile(PLAYERS_FILE);
+        res.json(players);
+    } catch (error) {
+        console.error('Error fetching players:', error);
+        res.status(500).json({ error: 'Failed to fetch players' });
+    }
+});
+
+app.get('/api/players/:id', async (req, res) => {
+    try {
+        const players = await readJSONFile(PLAYERS_FILE);
+        const player = players.find(p => p.id === req.params.id);
+        
+        if (!player) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        
+        res.json({ ...player, memberships: membershipsOf(await readJSONFile(TEAMS_FILE), player.id) });
+    } catch (error) {
+        console.error('Error fetching player:', error);
+        res.status(500).json({ error: 'Failed to fetch player' });
+    }
+});
+
+app.post('/api/players', requireAdmin, async (req, res) => {
+    try {
+        const players = await readJSONFile(PLAYERS_FILE);
+        const player = newRegistryPlayer({
+            ...pickFields(req.body, REGISTRY_PLAYER_FIELDS),
+            id: req.body.id,
+            name: typeof req.body.name === 'string' ? req.body.name.trim() : req.body.name
+        });
+        
+        const errors = validateRegistryPlayer(player);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        if (players.some(p => p.id === player.id)) {
+            return res.status(409).json({ error: 'Player already exists' });
+        }
+        
+        touchRecord(player);
+        players.push(player);
+        players.sort((a, b) => a.name.localeCompare(b.name));
+        
+        if (await writeJSONFile(PLAYERS_FILE, players)) {
+            console.log(`📥 Registered player ${player.name}`);
+            res.status(201).json(player);
+        } else {
+            res.status(500).json({ error: 'Failed to register player' });
+        }
+    } catch (error) {
+        console.error('Error registering player:', error);
+        res.status(500).json({ error: 'Failed to register player' });
+    }
+});
+
+app.patch('/api/players/:id', requireAdmin, async (req, res) => {
+    try {
+        const players = await readJSONFile(PLAYERS_FILE);
+        const player = players.find(p => p.id === req.params.id);
+        
+        if (!player) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        
+        if (isStaleWrite(req, player)) {
+            return sendConflict(res, player);
+        }
+        
+        const changes = pickFields(req.body, REGISTRY_PLAYER_FIELDS);
+        if (typeof changes.name === 'string') {
+            changes.name = changes.name.trim();
+        }
+        const errors = errorsForFields(validateRegistryPlayer({ ...player, ...changes }), Object.keys(changes));
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        const teams = await readJSONFile(TEAMS_FILE);
+        const renamed = changes.name !== undefined && changes.name !== player.name;
+        Object.assign(player, changes);
+        touchRecord(player);
+        if (renamed) {
+            renamePlayer(players, teams, player.id, player.name);
+        }
+        players.sort((a, b) => a.name.localeCompare(b.name));
+        
+        if (await writeJSONFile(PLAYERS_FILE, players) && (!renamed || await writeJSONFile(TEAMS_FILE, teams))) {
+            console.log(`📥 Updated player ${player.name}`);
+            res.json(player);
+        } else {
+            res.status(500).json({ error: 'Failed to update player' });
+        }
+    } catch (error) {
+        console.error('Error updating player:', error);
+        res.status(500).json({ error: 'Failed to update player' });
+    }
+});
+
+// Players still on a team have to be removed from their rosters first
+app.delete('/api/players/:id', requireAdmin, async (req, res) => {
+    try {
+        const players = await readJSONFile(PLAYERS_FILE);
+        const player = players.find(p => p.id === req.params.id);
+        
+        if (!player) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        
+        if (isStaleWrite(req, player)) {
+            return sendConflict(res, player);
+        }
+        
+        const memberships = membershipsOf(await readJSONFile(TEAMS_FILE), player.id);
+        if (memberships.length > 0) {
+            return res.status(409).json({
+                error: 'Player is still on a team',
+                teams: memberships.map(membership => membership.teamName)
+            });
+        }
+        
+        if (await writeJSONFile(PLAYERS_FILE, players.filter(p => p.id !== player.id))) {
+            console.log(`🗑️ Deleted player ${player.name} from the registry`);
+            res.json({ success: true, message: 'Player deleted successfully' });
+        } else {
+            res.status(500).json({ error: 'Failed to delete player' });
+        }
+    } catch (error) {
+        console.error('Error deleting player:', error);
+        res.status(500).json({ error: 'Failed to delete player' });
+    }
+});
+
+// Merges a duplicate record ({ playerId }) into this one, for the same person entered twice -
+// typically once per league before the registry existed. Their rosters, check-ins and cards
+// all move to this ID, so suspensions follow them from then on.
+app.post('/api/players/:id/merge', requireAdmin, async (req, res) => {
+    try {
+        const players = await readJSONFile(PLAYERS_FILE);
+        const player = players.find(p => p.id === req.params.id);
+        const duplicate = players.find(p => p.id === req.body.playerId);
+        
+        if (!player) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+        
+        if (isStaleWrite(req, player)) {
+            return sendConflict(res, player);
+        }
+        
+        if (!duplicate || duplicate.id === player.id) {
+            return sendValidationError(res, [{ field: 'playerId', message: duplicate ? 'A player can\'t be merged into themselves' : 'Player to merge does not exist' }]);
+        }
+        
+        const teams = await readJSONFile(TEAMS_FILE);
+        const kept = membershipsOf(teams, player.id);
+        const clash = membershipsOf(teams, duplicate.id).find(membership =>
+            kept.some(other => other.teamId === membership.teamId || (membership.leagueId && other.leagueId === membership.leagueId)));
+        if (clash) {
+            return sendValidationError(res, [{
+                field: 'playerId',
+                message: kept.some(other => other.teamId === clash.teamId) ?
+                    `Both players are on ${clash.teamName}; remove one of them from it first` :
+                    `Both players are on teams in the league of ${clash.teamName}, and a player can only be on one team per league`
+            }]);
+        }
+        
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const seasons = await readJSONFile(SEASONS_FILE);
+        reassignPlayerId(teams, matchDays, seasons, duplicate.id, player);
+        player.dateOfBirth = player.dateOfBirth || duplicate.dateOfBirth;
+        touchRecord(player);
+        
+        if (await writeJSONFile(TEAMS_FILE, teams) &&
+            await writeJSONFile(MATCHDAYS_FILE, matchDays) &&
+            await writeJSONFile(SEASONS_FILE, seasons) &&
+            await writeJSONFile(PLAYERS_FILE, players.filter(p => p.id !== duplicate.id))) {
+            console.log(`🔗 Merged player ${duplicate.name} into ${player.name}`);
+            res.json(player);
+        } else {
+            res.status(500).json({ error: 'Failed to merge players' });
+        }
+    } catch (error) {
+        console.error('Error merging players:', error);
+        res.status(500).json({ error: 'Failed to merge players' });
+    }
+});
+
+// Season endpoints
+app.get('/api/seasons', async (req, res) => {
+    try {
+        const seasons = await readJSONFile(SEASONS_FILE);
+        res.json(seasons);
+    } catch (error) {
+        console.error('Error fetching seasons:', error);
+        res.status(500).json({ error: 'Failed to fetch seasons' });
+    }
+});
+
+app.post('/api/seasons', requireAdmin, async (req, res) => {
+    try {
+        const seasons = await readJSONFile(SEASONS_FILE);
+        const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+        
+        const season = {
+            leagueIds: leagues.map(league => league.id),
+            ...pickFields(req.body, SEASON_FIELDS),
+            id: req.body.id || crypto.randomUUID(),
+            name: typeof req.body.name === 'string' ? req.body.name.trim() : req.body.name
+        };
+        
+        const errors = validateSeason(season, seasons, leagues);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        if (seasons.some(s => s.id === season.id)) {
+            return res.status(409).json({ error: 'Season already exists' });
+        }
+        
+        snapshotSeasonRosters(season, await readJSONFile(TEAMS_FILE));
+        touchRecord(season);
+        seasons.push(season);
+        seasons.sort((a, b) => a.startDate.localeCompare(b.startDate));
+        
+        if (await writeJSONFile(SEASONS_FILE, seasons)) {
+            console.log(`📆 Created season ${season.name}`);
+            res.status(201).json(season);
+        } else {
+            res.status(500).json({ error: 'Failed to create season' });
+        }
+    } catch (error) {
+        console.error('Error creating season:', error);
+        res.status(500).json({ error: 'Failed to create season' });
+    }
+});
+
+app.patch('/api/seasons/:id', requireAdmin, async (req, res) => {
+    try {
+        const seasons = await readJSONFile(SEASONS_FILE);
+        const season = seasons.find(s => s.id === req.params.id);
+        
+        if (!season) {
+            return res.status(404).json({ error: 'Season not found' });
+        }
+        
+        if (isStaleWrite(req, season)) {
+            return sendConflict(res, season);
+        }
+        
+        const changes = pickFields(req.body, SEASON_FIELDS);
+        if (typeof changes.name === 'string') {
+            changes.name = changes.name.trim();
+        }
+        const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+        const errors = validateSeason({ ...season, ...changes }, seasons, leagues);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        Object.assign(season, changes);
+        touchRecord(season);
+        seasons.sort((a, b) => a.startDate.localeCompare(b.startDate));
+        
+        if (await writeJSONFile(SEASONS_FILE, seasons)) {
+            console.log(`📆 Updated season ${season.name}`);
+            res.json(season);
+        } else {
+            res.status(500).json({ error: 'Failed to update season' });
+        }
+    } catch (error) {
+        console.error('Error updating season:', error);
+        res.status(500).json({ error: 'Failed to update season' });
+    }
+});
+
+// Re-takes the season's roster snapshot from the current team rosters
+app.post('/api/seasons/:id/rosters', requireAdmin, async (req, res) => {
+    try {
+        const seasons = await readJSONFile(SEASONS_FILE);
+        const season = seasons.find(s => s.id === req.params.id);
+        
+        if (!season) {
+            return res.status(404).json({ error: 'Season not found' });
+        }
+        
+        if (isStaleWrite(req, season)) {
+            return sendConflict(res, season);
+        }
+        
+        snapshotSeasonRosters(season, await readJSONFile(TEAMS_FILE));
+        touchRecord(season);
+        
+        if (await writeJSONFile(SEASONS_FILE, seasons)) {
+            console.log(`📆 Snapshotted rosters for season ${season.name}`);
+            res.json(season);
+        } else {
+            res.status(500).json({ error: 'Failed to snapshot rosters' });
+        }
+    } catch (error) {
+        console.error('Error snapshotting rosters:', error);
+        res.status(500).json({ error: 'Failed to snapshot rosters' });
+    }
+});
+
+// Seasons that still have match days can't be deleted
+app.delete('/api/seasons/:id', requireAdmin, async (req, res) => {
+    try {
+        const seasons = await readJSONFile(SEASONS_FILE);
+        const season = seasons.find(s => s.id === req.params.id);
+        
+        if (!season) {
+            return res.status(404).json({ error: 'Season not found' });
+        }
+        
+        if (isStaleWrite(req, season)) {
+            return sendConflict(res, season);
+        }
+        
+        const matchDayCount = (await readJSONFile(MATCHDAYS_FILE)).filter(md => md.seasonId === season.id).length;
+        if (matchDayCount > 0) {
+            return res.status(409).json({ error: 'Season still has match days', matchDayCount: matchDayCount });
+        }
+        
+        if (await writeJSONFile(SEASONS_FILE, seasons.filter(s => s.id !== season.id))) {
+            console.log(`🗑️ Deleted season ${season.name}`);
+            res.json({ success: true, message: 'Season deleted successfully' });
+        } else {
+            res.status(500).json({ error: 'Failed to delete season' });
+        }
+    } catch (error) {
+        console.error('Error deleting season:', error);
+        res.status(500).json({ error: 'Failed to delete season' });
+    }
+});
+
+// Match days endpoints
+app.get('/api/matchdays', async (req, res) => {
+    try {
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        console.log(`📤 Serving ${matchDays.length} match days`);
+        res.json(matchDays);
+    } catch (error) {
+        console.error('Error fetching match days:', error);
+        res.status(500).json({ error: 'Failed to fetch match days' });
+    }
+});
+
+// Accepts the full match days array (legacy bulk overwrite used by the iOS apps)
+// or a single match day object to create
+app.post('/api/matchdays', requireAdmin, async (req, res) => {
+    try {
+        if (!Array.isArray(req.body)) {
+            return await createMatchDay(req, res);
+        }
+        
+        const matchDays = req.body;
+        const teams = await readJSONFile(TEAMS_FILE);
+        const referees = await readJSONFile(REFEREES_FILE);
+        const previousMatchDays = await readJSONFile(MATCHDAYS_FILE);
+        
+        keepServerOnlyFields(previousMatchDays, matchDays);
+        assignSeasons(matchDays, await readJSONFile(SEASONS_FILE));
+        
+        const errors = validateEach(matchDays, matchDay => validateMatchDay(matchDay, teams, referees), 'matchDays');
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        carryRevisions(previousMatchDays, matchDays, 'matches');
+        
+        // Sort by date
+        matchDays.sort((a, b) => new Date(a.date) - new Date(b.date));
+        
+        const success = await writeJSONFile(MATCHDAYS_FILE, matchDays);
+        if (success) {
+            console.log(`📥 Updated ${matchDays.length} match days`);
+            res.json({ success: true, message: 'Match days updated successfully', count: matchDays.length });
+        } else {
+            res.status(500).json({ error: 'Failed to update match days' });
+        }
+    } catch (error) {
+        console.error('Error updating match days:', error);
+        res.status(500).json({ error: 'Failed to update match days' });
+    }
+});
+
+async function createMatchDay(req, res) {
+    const matchDays = await readJSONFile(MATCHDAYS_FILE);
+    
+    const seasons = await readJSONFile(SEASONS_FILE);
+    
+    const matchDay = {
+        ...pickFields(req.body, MATCHDAY_FIELDS),
+        id: req.body.id || crypto.randomUUID(),
+        name: typeof req.body.name === 'string' ? req.body.name.trim() : req.body.name,
+        notes: req.body.notes || '',
+        matches: []
+    };
+    
+    const errors = validateMatchDay(matchDay, [], [], seasons);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors);
+    }
+    
+    // Without an explicit season the match day joins the season its date falls in
+    if (!matchDay.seasonId) {
+        matchDay.seasonId = seasonForDate(seasons, matchDay.date)?.id || null;
+    }
+    
+    if (matchDays.some(md => md.id === matchDay.id)) {
+        return res.status(409).json({ error: 'Match day already exists' });
+    }
+    
+    touchRecord(matchDay);
+    
+    matchDays.push(matchDay);
+    matchDays.sort((a, b) => new Date(a.date) - new Date(b.date));
+    
+    if (await writeJSONFile(MATCHDAYS_FILE, matchDays)) {
+        console.log(`📥 Created match day ${matchDay.name}`);
+        res.status(201).json(matchDay);
+    } else {
+        res.status(500).json({ error: 'Failed to create match day' });
+    }
+}
+
+// Every scheduling problem with the matches of one match day: field, team and referee
+// double-bookings are errors, too little rest between a team's games is a warning
+app.get('/api/matchdays/:id/conflicts', async (req, res) => {
+    try {
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const matchDay = matchDays.find(md => md.id === req.params.id);
+        
+        if (!matchDay) {
+            return res.status(404).json({ error: 'Match day not found' });
+        }
+        
+        const teams = await readJSONFile(TEAMS_FILE);
+        const referees = await readJSONFile(REFEREES_FILE);
+        const venues = await readJSONFile(VENUES_FILE);
+        const conflicts = (matchDay.matches || []).flatMap(match => {
+            const { errors, warnings } = findScheduleConflicts(match, matchDays, teams, venues);
+            return [
+                ...[...errors, ...findRefereeConflicts(match, matchDays, referees)]
+                    .map(conflict => ({ matchId: match.id, severity: 'error', ...conflict })),
+                ...warnings.map(conflict => ({ matchId: match.id, severity: 'warning', ...conflict }))
+            ];
+        });
+        
+        res.json(conflicts);
+    } catch (error) {
+        console.error('Error checking schedule conflicts:', error);
+        res.status(500).json({ error: 'Failed to check schedule conflicts' });
+    }
+});
+
+// Individual match day endpoint
+app.get('/api/matchdays/:id', async (req, res) => {
+    try {
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const matchDay = matchDays.find(md => md.id === req.params.id);
+        
+        if (!matchDay) {
+            return res.status(404).json({ error: 'Match day not found' });
+        }
+        
+        res.json(matchDay);
+    } catch (error) {
+        console.error('Error reading match day:', error);
+        res.status(500).json({ error: 'Failed to read match day data' });
+    }
+});
+
+app.patch('/api/matchdays/:id', requireAdmin, async (req, res) => {
+    try {
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const matchDay = matchDays.find(md => md.id === req.params.id);
+        
+        if (!matchDay) {
+            return res.status(404).json({ error: 'Match day not found' });
+        }
+        
+        if (isStaleWrite(req, matchDay)) {
+            return sendConflict(res, matchDay);
+        }
+        
+        const changes = pickFields(req.body, MATCHDAY_FIELDS);
+        const errors = errorsForFields(
+            validateMatchDay({ ...matchDay, ...changes }, [], [], await readJSONFile(SEASONS_FILE)),
+            Object.keys(changes)
+        );
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        Object.assign(matchDay, changes);
+        touchRecord(matchDay);
+        matchDays.sort((a, b) => new Date(a.date) - new Date(b.date));
+        
+        if (await writeJSONFile(MATCHDAYS_FILE, matchDays)) {
+            console.log(`📥 Updated match day ${matchDay.name}`);
+            res.json(matchDay);
+        } else {
+            res.status(500).json({ error: 'Failed to update match day' });
+        }
+    } catch (error) {
+        console.error('Error updating match day:', error);
+        res.status(500).json({ error: 'Failed to update match day' });
+    }
+});
+
+app.delete('/api/matchdays/:id', requireAdmin, async (req, res) => {
+    try {
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const matchDay = matchDays.find(md => md.id === req.params.id);
+        
+        if (!matchDay) {
+            return res.status(404).json({ error: 'Match day not found' });
+        }
+        
+        if (isStaleWrite(req, matchDay)) {
+            return sendConflict(res, matchDay);
+        }
+        
+        if (await writeJSONFile(MATCHDAYS_FILE, matchDays.filter(md => md.id !== matchDay.id))) {
+            console.log(`🗑️ Deleted match day ${matchDay.name}`);
+            res.json({ success: true, message: 'Match day deleted successfully' });
+        } else {
+            res.status(500).json({ error: 'Failed to delete match day' });
+        }
+    } catch (error) {
+        console.error('Error deleting match day:', error);
+        res.status(500).json({ error: 'Failed to delete match day' });
+    }
+});
+
+// Match endpoints (matches are stored inside their match day)
+app.post('/api/matchdays/:matchDayId/matches', requireAdmin, async (req, res) => {
+    try {
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const matchDay = matchDays.find(md => md.id === req.params.matchDayId);
+        
+        if (!matchDay) {
+            return res.status(404).json({ error: 'Match day not found' });
+        }
+        
+        const match = {
+            status: 'Scheduled',
+            homeTeamPresent: 0,
+            awayTeamPresent: 0,
+            homeScore: null,
+            awayScore: null,
+            ...pickFields(req.body, MATCH_FIELDS),
+            id: req.body.id || crypto.randomUUID(),
+            attendance: [],
+            attendanceHistory: []
+        };
+        
+        const teams = await readJSONFile(TEAMS_FILE);
+        const referees = await readJSONFile(REFEREES_FILE);
+        const venues = await readJSONFile(VENUES_FILE);
+        resolveMatchField(match, venues);
+        let errors = validateMatch(match, teams, referees, venues);
+        let warnings = [];
+        if (errors.length === 0) {
+            const conflicts = findScheduleConflicts(match, matchDays, teams, venues);
+            errors = [...conflicts.errors, ...findRefereeConflicts(match, matchDays, referees)];
+            warnings = conflicts.warnings;
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        if (warnings.length > 0 && req.query.ignoreWarnings !== 'true') {
+            return sendScheduleWarnings(res, warnings);
+        }
+        
+        touchRecord(match);
+        
+        matchDay.matches = matchDay.matches || [];
+        matchDay.matches.push(match);
+        // Same-time matches are ordered by field ("Field 2" before "Field 10")
+        matchDay.matches.sort((a, b) => new Date(a.scheduledTime) - new Date(b.scheduledTime) ||
+            String(a.field).localeCompare(String(b.field), undefined, { numeric: true }));
+        touchRecord(matchDay);
+        
+        if (await writeJSONFile(MATCHDAYS_FILE, matchDays)) {
+            console.log(`📥 Added match to ${matchDay.name}`);
+            res.status(201).json(match);
+        } else {
+            res.status(500).json({ error: 'Failed to add match' });
+        }
+    } catch (error) {
+        console.error('Error adding match:', error);
+        res.status(500).json({ error: 'Failed to add match' });
+    }
+});
+
+app.patch('/api/matchdays/:matchDayId/matches/:matchId', requireOfficial, limitRefereeFields(REFEREE_MATCH_FIELDS), async (req, res) => {
+    try {
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const matchDay = matchDays.find(md => md.id === req.params.matchDayId);
+        const match = matchDay?.matches?.find(m => m.id === req.params.matchId);
+        
+        if (!match) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+        
+        const unassigned = refereeAssignmentError(req.user, match);
+        if (unassigned) {
+            return res.status(403).json({ error: unassigned });
+        }
+        
+        if (isStaleWrite(req, match)) {
+            return sendConflict(res, match);
+        }
+        
+        const changes = pickFields(req.body, MATCH_FIELDS);
+        // A match completed without a score (such as a referee's 0-0 with no goals logged) takes it
+        // from its events, so standings count it
+        if (changes.status === 'Completed' && match.status !== 'Completed') {
+            const logged = scoreFromEvents(match);
+            ['homeScore', 'awayScore'].forEach(field => {
+                if (changes[field] === undefined && (match[field] === null || match[field] === undefined)) {
+                    changes[field] = logged[field];
+                }
+            });
+        }
+        const teams = await readJSONFile(TEAMS_FILE);
+        const referees = await readJSONFile(REFEREES_FILE);
+        const venues = await readJSONFile(VENUES_FILE);
+        resolveMatchField(changes, venues);
+        const updated = { ...match, ...changes };
+        let errors = errorsForFields(validateMatch(updated, teams, referees, venues), Object.keys(changes));
+        let warnings = [];
+        const reschedules = SCHEDULE_FIELDS.some(field => field in changes && changes[field] !== match[field]) ||
+            (match.status === 'Cancelled' && 'status' in changes && changes.status !== 'Cancelled');
+        if (errors.length === 0 && reschedules) {
+            const conflicts = findScheduleConflicts(updated, matchDays, teams, venues);
+            errors = conflicts.errors;
+            warnings = conflicts.warnings;
+        }
+        if (errors.length === 0 && ['scheduledTime', 'status', ...SERVER_ONLY_MATCH_FIELDS].some(field => field in changes)) {
+            errors = findRefereeConflicts(updated, matchDays, referees);
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        if (warnings.length > 0 && req.query.ignoreWarnings !== 'true') {
+            return sendScheduleWarnings(res, warnings);
+        }
+        
+        Object.assign(match, changes);
+        touchRecord(match);
+        touchRecord(matchDay);
+        
+        if (await writeJSONFile(MATCHDAYS_FILE, matchDays)) {
+            console.log(`📥 Updated match ${match.id} in ${matchDay.name}`);
+            res.json(match);
+        } else {
+            res.status(500).json({ error: 'Failed to update match' });
+        }
+    } catch (error) {
+        console.error('Error updating match:', error);
+        res.status(500).json({ error: 'Failed to update match' });
+    }
+});
+
+app.delete('/api/matchdays/:matchDayId/matches/:matchId', requireAdmin, async (req, res) => {
+    try {
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const matchDay = matchDays.find(md => md.id === req.params.matchDayId);
+        const match = matchDay?.matches?.find(m => m.id === req.params.matchId);
+        
+        if (!match) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+        
+        if (isStaleWrite(req, match)) {
+            return sendConflict(res, match);
+        }
+        
+        matchDay.matches = matchDay.matches.filter(m => m.id !== match.id);
+        touchRecord(matchDay);
+        
+        if (await writeJSONFile(MATCHDAYS_FILE, matchDays)) {
+            console.log(`🗑️ Deleted match ${match.id} from ${matchDay.name}`);
+            res.json({ success: true, message: 'Match deleted successfully' });
+        } else {
+            res.status(500).json({ error: 'Failed to delete match' });
+        }
+    } catch (error) {
+        console.error('Error deleting match:', error);
+        res.status(500).json({ error: 'Failed to delete match' });
+    }
+});
+
+// Attendance endpoint: replaces the list of players checked in for a match with
+// { playerIds }. Each check-in keeps when and by whom it was made, and every change
+// is appended to the match's attendance history.
+app.put('/api/matchdays/:matchDayId/matches/:matchId/attendance', requireOfficial, async (req, res) => {
+    try {
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const matchDay = matchDays.find(md => md.id === req.params.matchDayId);
+        const match = matchDay?.matches?.find(m => m.id === req.params.matchId);
+        
+        if (!match) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+        
+        const unassigned = refereeAssignmentError(req.user, match);
+        if (unassigned) {
+            return res.status(403).json({ error: unassigned });
+        }
+        
+        if (isStaleWrite(req, match)) {
+            return sendConflict(res, match);
+        }
+        
+        const { playerIds } = req.body;
+        if (!Array.isArray(playerIds) || playerIds.some(id => typeof id !== 'string')) {
+            return sendValidationError(res, [{ field: 'playerIds', message: 'playerIds must be a list of player ids' }]);
+        }
+        
+        // Only players on the two rosters can be checked in
+        const teams = await readJSONFile(TEAMS_FILE);
+        const teamOfPlayer = new Map();
+        [match.homeTeamId, match.awayTeamId].forEach(teamId => {
+            const team = teams.find(t => t.id === teamId);
+            (team?.players || []).forEach(player => teamOfPlayer.set(player.id, teamId));
+        });
+        
+        const unknown = playerIds.filter(id => !teamOfPlayer.has(id));
+        if (unknown.length > 0) {
+            return sendValidationError(res, [{ field: 'playerIds', message: `${unknown.length} player(s) are not on either team in this match` }]);
+        }
+        
+        // Suspended players can't be checked in unless an admin logged an override for this match
+        const suspended = computeSuspensions(teams, matchDays, await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES))
+            .filter(suspension => suspension.bannedMatchIds.includes(match.id) &&
+                playerIds.includes(suspension.playerId) &&
+                !(match.attendance || []).some(entry => entry.playerId === suspension.playerId) &&
+                !(match.suspensionOverrides || []).some(override => override.playerId === suspension.playerId));
+        if (suspended.length > 0) {
+            return sendValidationError(res, suspended.map(suspension => {
+                const player = teams.flatMap(t => t.players || []).find(p => p.id === suspension.playerId);
+                return { field: 'playerIds', message: `${player ? player.name : 'Player'} is suspended: ${suspension.reason}` };
+            }));
+        }
+        
+        const now = new Date().toISOString();
+        const wanted = new Set(playerIds);
+        const attendance = match.attendance || [];
+        const checkedOut = attendance.filter(entry => !wanted.has(entry.playerId));
+        const checkedIn = [...wanted].filter(id => !attendance.some(entry => entry.playerId === id));
+        
+        if (checkedOut.some(entry => (match.events || []).some(e => e.playerId === entry.playerId || e.playerInId === entry.playerId))) {
+            return sendValidationError(res, [{ field: 'playerIds', message: 'Players with logged events can\'t be checked out - remove their events first' }]);
+        }
+        
+        match.attendance = [
+            ...attendance.filter(entry => wanted.has(entry.playerId)),
+            ...checkedIn.map(playerId => ({
+                playerId: playerId,
+                teamId: teamOfPlayer.get(playerId),
+                checkedInAt: now,
+                checkedInBy: req.user.id,
+                checkedInByName: req.user.displayName
+            }))
+        ];
+        match.attendanceHistory = [
+            ...(match.attendanceHistory || []),
+            ...checkedIn.map(playerId => ({ action: 'check-in', playerId, teamId: teamOfPlayer.get(playerId), at: now, by: req.user.id, byName: req.user.displayName })),
+            ...checkedOut.map(entry => ({ action: 'check-out', playerId: entry.playerId, teamId: entry.teamId, at: now, by: req.user.id, byName: req.user.displayName }))
+        ];
+        
+        // The present counts are kept for the iOS apps and the match list
+        match.homeTeamPresent = match.attendance.filter(entry => entry.teamId === match.homeTeamId).length;
+        match.awayTeamPresent = match.attendance.filter(entry => entry.teamId === match.awayTeamId).length;
+        
+        touchRecord(match);
+        touchRecord(matchDay);
+        
+        if (await writeJSONFile(MATCHDAYS_FILE, matchDays)) {
+            console.log(`✅ ${req.user.username} checked in ${checkedIn.length}, checked out ${checkedOut.length} for match ${match.id}`);
+            res.json(match);
+        } else {
+            res.status(500).json({ error: 'Failed to save attendance' });
+        }
+    } catch (error) {
+        console.error('Error saving attendance:', error);
+        res.status(500).json({ error: 'Failed to save attendance' });
+    }
+});
+
+// Match event log endpoints (goals, cards and substitutions, stored inside the match).
+// Each change returns the updated match so the derived score comes back with it.
+app.get('/api/matchdays/:matchDayId/matches/:matchId/events', async (req, res) => {
+    try {
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const matchDay = matchDays.find(md => md.id === req.params.matchDayId);
+        const match = matchDay?.matches?.find(m => m.id === req.params.matchId);
+        
+        if (!match) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+        
+        res.json(match.events || []);
+    } catch (error) {
+        console.error('Error reading match events:', error);
+        res.status(500).json({ error: 'Failed to read match events' });
+    }
+});
+
+app.post('/api/matchdays/:matchDayId/matches/:matchId/events', requireOfficial, async (req, res) => {
+    try {
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const matchDay = matchDays.find(md => md.id === req.params.matchDayId);
+        const match = matchDay?.matches?.find(m => m.id === req.params.matchId);
+        
+        if (!match) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+        
+        const unassigned = refereeAssignmentError(req.user, match);
+        if (unassigned) {
+            return res.status(403).json({ error: unassigned });
+        }
+        
+        if (isStaleWrite(req, match)) {
+            return sendConflict(res, match);
+        }
+        
+        const event = {
+            id: req.body.id || crypto.randomUUID(),
+            type: req.body.type,
+            minute: req.body.minute,
+            playerId: req.body.playerId,
+            ...(req.body.type === 'substitution' ? { playerInId: req.body.playerInId } : {})
+        };
+        
+        const errors = validateMatchEvent(event, match);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        if ((match.events || []).some(e => e.id === event.id)) {
+            return res.status(409).json({ error: 'Event already exists' });
+        }
+        
+        event.teamId = match.attendance.find(e => e.playerId === event.playerId).teamId;
+        event.createdAt = new Date().toISOString();
+        event.createdBy = req.user.id;
+        event.createdByName = req.user.displayName;
+        
+        match.events = [...(match.events || []), event]
+            .sort((a, b) => a.minute - b.minute || a.createdAt.localeCompare(b.createdAt));
+        Object.assign(match, scoreFromEvents(match));
+        touchRecord(match);
+        touchRecord(matchDay);
+        
+        if (await writeJSONFile(MATCHDAYS_FILE, matchDays)) {
+            console.log(`📝 Logged ${event.type} (${event.minute}') in match ${match.id}`);
+            res.status(201).json(match);
+        } else {
+            res.status(500).json({ error: 'Failed to log event' });
+        }
+    } catch (error) {
+        console.error('Error logging match event:', error);
+        res.status(500).json({ error: 'Failed to log event' });
+    }
+});
+
+app.delete('/api/matchdays/:matchDayId/matches/:matchId/events/:eventId', requireOfficial, async (req, res) => {
+    try {
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const matchDay = matchDays.find(md => md.id === req.params.matchDayId);
+        const match = matchDay?.matches?.find(m => m.id === req.params.matchId);
+        const event = match?.events?.find(e => e.id === req.params.eventId);
+        
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        
+        const unassigned = refereeAssignmentError(req.user, match);
+        if (unassigned) {
+            return res.status(403).json({ error: unassigned });
+        }
+        
+        if (isStaleWrite(req, match)) {
+            return sendConflict(res, match);
+        }
+        
+        // A second yellow can't stand without its first yellow
+        if (event.type === 'yellow' &&
+            match.events.some(e => e.type === 'second-yellow' && e.playerId === event.playerId) &&
+            match.events.filter(e => e.type === 'yellow' && e.playerId === event.playerId).length === 1) {
+            return res.status(409).json({ error: 'Remove the second yellow for this player first' });
+        }
+        
+        match.events = match.events.filter(e => e.id !== event.id);
+        Object.assign(match, scoreFromEvents(match));
+        touchRecord(match);
+        touchRecord(matchDay);
+        
+        if (await writeJSONFile(MATCHDAYS_FILE, matchDays)) {
+            console.log(`🗑️ Removed ${event.type} (${event.minute}') from match ${match.id}`);
+            res.json(match);
+        } else {
+            res.status(500).json({ error: 'Failed to remove event' });
+        }
+    } catch (error) {
+        console.error('Error removing match event:', error);
+        res.status(500).json({ error: 'Failed to remove event' });
+    }
+});
+
+// Suspension endpoints
+app.get('/api/suspensions', async (req, res) => {
+    try {
+        const teams = await readJSONFile(TEAMS_FILE);
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
         
-        // Additional headers for HTML and JS files
-        if (path.endsWith('.js') || path.endsWith('.html')) {
-            res.setHeader('X-Content-Type-Options', 'nosniff');
-            res.setHeader('Vary', 'Accept-Encoding');
+        let suspensions = computeSuspensions(teams, matchDays, leagues);
+        if (req.query.matchId) {
+            suspensions = suspensions.filter(suspension => suspension.bannedMatchIds.includes(req.query.matchId));
         }
+        
+        res.json({ defaultRules: DEFAULT_SUSPENSION_RULES, suspensions: suspensions });
+    } catch (error) {
+        console.error('Error computing suspensions:', error);
+        res.status(500).json({ error: 'Failed to compute suspensions' });
     }
-}));
+});
 
-// Data storage paths
-const DATA_DIR = path.join(__dirname, 'data');
-const TEAMS_FILE = path.join(DATA_DIR, 'teams.json');
-const MATCHDAYS_FILE = path.join(DATA_DIR, 'matchdays.json');
+// Lets a suspended player be checked in for one match; the override is kept on the match
+app.post('/api/matchdays/:matchDayId/matches/:matchId/suspension-overrides', requireAdmin, async (req, res) => {
+    try {
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const matchDay = matchDays.find(md => md.id === req.params.matchDayId);
+        const match = matchDay?.matches?.find(m => m.id === req.params.matchId);
+        
+        if (!match) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+        
+        if (isStaleWrite(req, match)) {
+            return sendConflict(res, match);
+        }
+        
+        const { playerId, reason } = req.body;
+        if (!isNonEmptyString(reason, 200)) {
+            return sendValidationError(res, [{ field: 'reason', message: 'A reason is required (200 characters max)' }]);
+        }
+        
+        const teams = await readJSONFile(TEAMS_FILE);
+        const suspension = computeSuspensions(teams, matchDays, await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES))
+            .find(s => s.playerId === playerId && s.bannedMatchIds.includes(match.id));
+        if (!suspension) {
+            return sendValidationError(res, [{ field: 'playerId', message: 'Player is not suspended for this match' }]);
+        }
+        
+        match.suspensionOverrides = [
+            ...(match.suspensionOverrides || []).filter(override => override.playerId !== playerId),
+            {
+                playerId: playerId,
+                suspension: suspension.reason,
+                reason: reason.trim(),
+                at: new Date().toISOString(),
+                by: req.user.id,
+                byName: req.user.displayName
+            }
+        ];
+        touchRecord(match);
+        touchRecord(matchDay);
+        
+        if (await writeJSONFile(MATCHDAYS_FILE, matchDays)) {
+            console.log(`⚠️ ${req.user.username} overrode suspension of player ${playerId} for match ${match.id}: ${reason.trim()}`);
+            res.status(201).json(match);
+        } else {
+            res.status(500).json({ error: 'Failed to save override' });
+        }
+    } catch (error) {
+        console.error('Error overriding suspension:', error);
+        res.status(500).json({ error: 'Failed to save override' });
+    }
+});
 
-// Ensure data directory exists
-async function ensureDataDir() {
+// Referee endpoints
+app.get('/api/referees', async (req, res) => {
     try {
-        await fs.mkdir(DATA_DIR, { recursive: true });
-        console.log(`📁 Data directory ready: ${DATA_DIR}`);
+        const referees = await readJSONFile(REFEREES_FILE);
+        res.json(referees);
     } catch (error) {
-        console.error('Error creating data directory:', error);
+        console.error('Error fetching referees:', error);
+        res.status(500).json({ error: 'Failed to fetch referees' });
     }
-}
+});
 
-// Helper function to read JSON file
-async function readJSONFile(filePath, defaultValue = []) {
+app.post('/api/referees', requireAdmin, async (req, res) => {
     try {
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
+        const referees = await readJSONFile(REFEREES_FILE);
+        const referee = {
+            ...pickFields(req.body, REFEREE_FIELDS),
+            id: req.body.id || crypto.randomUUID(),
+            name: typeof req.body.name === 'string' ? req.body.name.trim() : req.body.name
+        };
+        
+        const errors = validateReferee(referee);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        if (referees.some(r => r.id === referee.id)) {
+            return res.status(409).json({ error: 'Referee already exists' });
+        }
+        
+        touchRecord(referee);
+        referees.push(referee);
+        referees.sort((a, b) => a.name.localeCompare(b.name));
+        
+        if (await writeJSONFile(REFEREES_FILE, referees)) {
+            console.log(`📥 Created referee ${referee.name}`);
+            res.status(201).json(referee);
+        } else {
+            res.status(500).json({ error: 'Failed to create referee' });
+        }
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            // File doesn't exist, create it with default value
-            await writeJSONFile(filePath, defaultValue);
-            return defaultValue;
+        console.error('Error creating referee:', error);
+        res.status(500).json({ error: 'Failed to create referee' });
+    }
+});
+
+app.patch('/api/referees/:id', requireAdmin, async (req, res) => {
+    try {
+        const referees = await readJSONFile(REFEREES_FILE);
+        const referee = referees.find(r => r.id === req.params.id);
+        
+        if (!referee) {
+            return res.status(404).json({ error: 'Referee not found' });
         }
-        console.error(`Error reading ${filePath}:`, error);
-        return defaultValue;
+        
+        if (isStaleWrite(req, referee)) {
+            return sendConflict(res, referee);
+        }
+        
+        const changes = pickFields(req.body, REFEREE_FIELDS);
+        const errors = errorsForFields(validateReferee({ ...referee, ...changes }), Object.keys(changes));
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        Object.assign(referee, changes);
+        touchRecord(referee);
+        referees.sort((a, b) => a.name.localeCompare(b.name));
+        
+        if (await writeJSONFile(REFEREES_FILE, referees)) {
+            console.log(`📥 Updated referee ${referee.name}`);
+            res.json(referee);
+        } else {
+            res.status(500).json({ error: 'Failed to update referee' });
+        }
+    } catch (error) {
+        console.error('Error updating referee:', error);
+        res.status(500).json({ error: 'Failed to update referee' });
     }
-}
+});
 
-// Helper function to write JSON file
-async function writeJSONFile(filePath, data) {
+// Referees with match assignments can only be deleted with ?unassign=true,
+// which removes them from those matches
+app.delete('/api/referees/:id', requireAdmin, async (req, res) => {
     try {
-        await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-        return true;
+        const referees = await readJSONFile(REFEREES_FILE);
+        const referee = referees.find(r => r.id === req.params.id);
+        
+        if (!referee) {
+            return res.status(404).json({ error: 'Referee not found' });
+        }
+        
+        if (isStaleWrite(req, referee)) {
+            return sendConflict(res, referee);
+        }
+        
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const assignedMatches = matchDays.flatMap(md => (md.matches || []).map(match => ({ matchDay: md, match })))
+            .filter(({ match }) => match.centerRefereeId === referee.id || (match.assistantRefereeIds || []).includes(referee.id));
+        
+        if (assignedMatches.length > 0) {
+            if (req.query.unassign !== 'true') {
+                return res.status(409).json({
+                    error: 'Referee still has match assignments',
+                    matchCount: assignedMatches.length
+                });
+            }
+            
+            assignedMatches.forEach(({ matchDay, match }) => {
+                if (match.centerRefereeId === referee.id) {
+                    match.centerRefereeId = null;
+                }
+                match.assistantRefereeIds = (match.assistantRefereeIds || []).filter(id => id !== referee.id);
+                touchRecord(match);
+                touchRecord(matchDay);
+            });
+            
+            if (!await writeJSONFile(MATCHDAYS_FILE, matchDays)) {
+                return res.status(500).json({ error: 'Failed to unassign referee' });
+            }
+        }
+        
+        // Accounts linked to this referee lose the link
+        const users = await readJSONFile(USERS_FILE);
+        if (users.some(u => u.refereeId === referee.id)) {
+            users.forEach(u => {
+                if (u.refereeId === referee.id) u.refereeId = null;
+            });
+            await writeJSONFile(USERS_FILE, users);
+        }
+        
+        // Referee API keys lose it too, which leaves them unable to officiate until reissued
+        const keys = await readJSONFile(API_KEYS_FILE);
+        if (keys.some(k => k.refereeId === referee.id)) {
+            keys.forEach(k => {
+                if (k.refereeId === referee.id) k.refereeId = null;
+            });
+            await writeJSONFile(API_KEYS_FILE, keys);
+        }
+        
+        if (await writeJSONFile(REFEREES_FILE, referees.filter(r => r.id !== referee.id))) {
+            console.log(`🗑️ Deleted referee ${referee.name}${assignedMatches.length > 0 ? ` (unassigned from ${assignedMatches.length} matches)` : ''}`);
+            res.json({ success: true, message: 'Referee deleted successfully', unassignedMatches: assignedMatches.length });
+        } else {
+            res.status(500).json({ error: 'Failed to delete referee' });
+        }
     } catch (error) {
-        console.error(`Error writing ${filePath}:`, error);
-        return false;
+        console.error('Error deleting referee:', error);
+        res.status(500).json({ error: 'Failed to delete referee' });
     }
-}
+});
 
-// Initialize server data
-async function initializeData() {
-    await ensureDataDir();
-    
-    // Initialize empty files if they don't exist
-    await readJSONFile(TEAMS_FILE, []);
-    await readJSONFile(MATCHDAYS_FILE, []);
-    
-    console.log('📊 Data files initialized');
-}
+// A referee's schedule: every match they are assigned to, across all match days
+app.get('/api/referees/:id/assignments', async (req, res) => {
+    try {
+        const referees = await readJSONFile(REFEREES_FILE);
+        const referee = referees.find(r => r.id === req.params.id);
+        
+        if (!referee) {
+            return res.status(404).json({ error: 'Referee not found' });
+        }
+        
+        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const assignments = [];
+        
+        matchDays.forEach(matchDay => {
+            (matchDay.matches || []).forEach(match => {
+                const role = match.centerRefereeId === referee.id ? 'center' :
+                    (match.assistantRefereeIds || []).includes(referee.id) ? 'assistant' : null;
+                if (role) {
+                    assignments.push({
+                        matchDayId: matchDay.id,
+                        matchDayName: matchDay.name,
+                        role: role,
+                        match: match
+                    });
+                }
+            });
+        });
+        
+        assignments.sort((a, b) => new Date(a.match.scheduledTime) - new Date(b.match.scheduledTime));
+        res.json(assignments);
+    } catch (error) {
+        console.error('Error fetching referee assignments:', error);
+        res.status(500).json({ error: 'Failed to fetch referee assignments' });
+    }
+});
 
-// API Routes
+// Venue endpoints (fields are stored inside their venue)
+app.get('/api/venues', async (req, res) => {
+    try {
+        const venues = await readJSONFile(VENUES_FILE);
+        res.json(venues);
+    } catch (error) {
+        console.error('Error fetching venues:', error);
+        res.status(500).json({ error: 'Failed to fetch venues' });
+    }
+});
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'OK', 
-        timestamp: new Date().toISOString(),
-        message: 'Soccer Referee Server is running',
-        uptime: process.uptime()
-    });
+app.post('/api/venues', requireAdmin, async (req, res) => {
+    try {
+        const venues = await readJSONFile(VENUES_FILE);
+        
+        const venue = {
+            address: '',
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            ...pickFields(req.body, VENUE_FIELDS),
+            id: req.body.id || crypto.randomUUID(),
+            name: typeof req.body.name === 'string' ? req.body.name.trim() : req.body.name,
+            fields: []
+        };
+        
+        const errors = validateVenue(venue, venues);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        if (venues.some(v => v.id === venue.id)) {
+            return res.status(409).json({ error: 'Venue already exists' });
+        }
+        
+        touchRecord(venue);
+        venues.push(venue);
+        venues.sort((a, b) => a.name.localeCompare(b.name));
+        
+        if (await writeJSONFile(VENUES_FILE, venues)) {
+            console.log(`🏟️ Created venue ${venue.name}`);
+            res.status(201).json(venue);
+        } else {
+            res.status(500).json({ error: 'Failed to create venue' });
+        }
+    } catch (error) {
+        console.error('Error creating venue:', error);
+        res.status(500).json({ error: 'Failed to create venue' });
+    }
 });
 
-// Teams endpoints
-app.get('/api/teams', async (req, res) => {
+app.patch('/api/venues/:id', requireAdmin, async (req, res) => {
     try {
-        const teams = await readJSONFile(TEAMS_FILE);
-        console.log(`📤 Serving ${teams.length} teams`);
-        res.json(teams);
+        const venues = await readJSONFile(VENUES_FILE);
+        const venue = venues.find(v => v.id === req.params.id);
+        
+        if (!venue) {
+            return res.status(404).json({ error: 'Venue not found' });
+        }
+        
+        if (isStaleWrite(req, venue)) {
+            return sendConflict(res, venue);
+        }
+        
+        const changes = pickFields(req.body, VENUE_FIELDS);
+        if (typeof changes.name === 'string') {
+            changes.name = changes.name.trim();
+        }
+        const errors = errorsForFields(validateVenue({ ...venue, ...changes }, venues), Object.keys(changes));
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        Object.assign(venue, changes);
+        touchRecord(venue);
+        venues.sort((a, b) => a.name.localeCompare(b.name));
+        
+        if (await writeJSONFile(VENUES_FILE, venues)) {
+            console.log(`🏟️ Updated venue ${venue.name}`);
+            res.json(venue);
+        } else {
+            res.status(500).json({ error: 'Failed to update venue' });
+        }
     } catch (error) {
-        console.error('Error fetching teams:', error);
-        res.status(500).json({ error: 'Failed to fetch teams' });
+        console.error('Error updating venue:', error);
+        res.status(500).json({ error: 'Failed to update venue' });
     }
 });
 
-app.post('/api/teams', async (req, res) => {
+// Matches scheduled on any of the given managed fields
+async function countMatchesOnFields(fieldIds) {
+    const matchDays = await readJSONFile(MATCHDAYS_FILE);
+    return matchDays.flatMap(md => md.matches || []).filter(match => fieldIds.includes(match.fieldId)).length;
+}
+
+// Venues and fields that matches are scheduled on can't be deleted; those matches keep
+// their field name but would lose the link to it
+app.delete('/api/venues/:id', requireAdmin, async (req, res) => {
     try {
-        const teams = req.body;
+        const venues = await readJSONFile(VENUES_FILE);
+        const venue = venues.find(v => v.id === req.params.id);
         
-        if (!Array.isArray(teams)) {
-            return res.status(400).json({ error: 'Teams data must be an array' });
+        if (!venue) {
+            return res.status(404).json({ error: 'Venue not found' });
         }
         
-        const success = await writeJSONFile(TEAMS_FILE, teams);
-        if (success) {
-            console.log(`📥 Updated ${teams.length} teams`);
-            res.json({ success: true, message: 'Teams updated successfully', count: teams.length });
+        if (isStaleWrite(req, venue)) {
+            return sendConflict(res, venue);
+        }
+        
+        const matchCount = await countMatchesOnFields(venue.fields.map(field => field.id));
+        if (matchCount > 0) {
+            return res.status(409).json({ error: 'Venue has scheduled matches', matchCount: matchCount });
+        }
+        
+        if (await writeJSONFile(VENUES_FILE, venues.filter(v => v.id !== venue.id))) {
+            console.log(`🗑️ Deleted venue ${venue.name}`);
+            res.json({ success: true, message: 'Venue deleted successfully' });
         } else {
-            res.status(500).json({ error: 'Failed to update teams' });
+            res.status(500).json({ error: 'Failed to delete venue' });
         }
     } catch (error) {
-        console.error('Error updating teams:', error);
-        res.status(500).json({ error: 'Failed to update teams' });
+        console.error('Error deleting venue:', error);
+        res.status(500).json({ error: 'Failed to delete venue' });
     }
 });
 
-// Individual team endpoint
-app.get('/api/teams/:id', async (req, res) => {
+app.post('/api/venues/:venueId/fields', requireAdmin, async (req, res) => {
     try {
-        const teams = await readJSONFile(TEAMS_FILE);
-        const team = teams.find(t => t.id === req.params.id);
+        const venues = await readJSONFile(VENUES_FILE);
+        const venue = venues.find(v => v.id === req.params.venueId);
         
-        if (!team) {
-            return res.status(404).json({ error: 'Team not found' });
+        if (!venue) {
+            return res.status(404).json({ error: 'Venue not found' });
         }
         
-        res.json(team);
+        const field = {
+            surface: 'grass',
+            size: '11v11',
+            availability: [],
+            ...pickFields(req.body, PITCH_FIELDS),
+            id: req.body.id || crypto.randomUUID(),
+            name: typeof req.body.name === 'string' ? req.body.name.trim() : req.body.name
+        };
+        
+        const errors = validatePitch(field, venue);
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        touchRecord(field);
+        venue.fields.push(field);
+        touchRecord(venue);
+        
+        if (await writeJSONFile(VENUES_FILE, venues)) {
+            console.log(`🏟️ Added field ${field.name} to ${venue.name}`);
+            res.status(201).json(field);
+        } else {
+            res.status(500).json({ error: 'Failed to add field' });
+        }
     } catch (error) {
-        console.error('Error reading team:', error);
-        res.status(500).json({ error: 'Failed to read team data' });
+        console.error('Error adding field:', error);
+        res.status(500).json({ error: 'Failed to add field' });
     }
 });
 
-// Match days endpoints
-app.get('/api/matchdays', async (req, res) => {
+// Renaming a field also renames it on the matches scheduled there
+app.patch('/api/venues/:venueId/fields/:fieldId', requireAdmin, async (req, res) => {
     try {
-        const matchDays = await readJSONFile(MATCHDAYS_FILE);
-        console.log(`📤 Serving ${matchDays.length} match days`);
-        res.json(matchDays);
+        const venues = await readJSONFile(VENUES_FILE);
+        const venue = venues.find(v => v.id === req.params.venueId);
+        const field = venue?.fields?.find(f => f.id === req.params.fieldId);
+        
+        if (!field) {
+            return res.status(404).json({ error: 'Field not found' });
+        }
+        
+        if (isStaleWrite(req, field)) {
+            return sendConflict(res, field);
+        }
+        
+        const changes = pickFields(req.body, PITCH_FIELDS);
+        if (typeof changes.name === 'string') {
+            changes.name = changes.name.trim();
+        }
+        const errors = errorsForFields(validatePitch({ ...field, ...changes }, venue), Object.keys(changes));
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        const renamed = changes.name !== undefined && changes.name !== field.name;
+        Object.assign(field, changes);
+        touchRecord(field);
+        touchRecord(venue);
+        
+        if (renamed) {
+            const matchDays = await readJSONFile(MATCHDAYS_FILE);
+            matchDays.forEach(md => (md.matches || []).filter(match => match.fieldId === field.id).forEach(match => {
+                match.field = field.name;
+                touchRecord(match);
+                touchRecord(md);
+            }));
+            if (!await writeJSONFile(MATCHDAYS_FILE, matchDays)) {
+                return res.status(500).json({ error: 'Failed to update field' });
+            }
+        }
+        
+        if (await writeJSONFile(VENUES_FILE, venues)) {
+            console.log(`🏟️ Updated field ${field.name} at ${venue.name}`);
+            res.json(field);
+        } else {
+            res.status(500).json({ error: 'Failed to update field' });
+        }
     } catch (error) {
-        console.error('Error fetching match days:', error);
-        res.status(500).json({ error: 'Failed to fetch match days' });
+        console.error('Error updating field:', error);
+        res.status(500).json({ error: 'Failed to update field' });
     }
 });
 
-app.post('/api/matchdays', async (req, res) => {
+app.delete('/api/venues/:venueId/fields/:fieldId', requireAdmin, async (req, res) => {
     try {
-        const matchDays = req.body;
+        const venues = await readJSONFile(VENUES_FILE);
+        const venue = venues.find(v => v.id === req.params.venueId);
+        const field = venue?.fields?.find(f => f.id === req.params.fieldId);
         
-        if (!Array.isArray(matchDays)) {
-            return res.status(400).json({ error: 'Match days data must be an array' });
+        if (!field) {
+            return res.status(404).json({ error: 'Field not found' });
         }
         
-        // Sort by date
-        matchDays.sort((a, b) => new Date(a.date) - new Date(b.date));
+        if (isStaleWrite(req, field)) {
+            return sendConflict(res, field);
+        }
         
-        const success = await writeJSONFile(MATCHDAYS_FILE, matchDays);
-        if (success) {
-            console.log(`📥 Updated ${matchDays.length} match days`);
-            res.json({ success: true, message: 'Match days updated successfully', count: matchDays.length });
+        const matchCount = await countMatchesOnFields([field.id]);
+        if (matchCount > 0) {
+            return res.status(409).json({ error: 'Field has scheduled matches', matchCount: matchCount });
+        }
+        
+        venue.fields = venue.fields.filter(f => f.id !== field.id);
+        touchRecord(venue);
+        
+        if (await writeJSONFile(VENUES_FILE, venues)) {
+            console.log(`🗑️ Removed field ${field.name} from ${venue.name}`);
+            res.json({ success: true, message: 'Field removed successfully' });
         } else {
-            res.status(500).json({ error: 'Failed to update match days' });
+            res.status(500).json({ error: 'Failed to remove field' });
         }
     } catch (error) {
-        console.error('Error updating match days:', error);
-        res.status(500).json({ error: 'Failed to update match days' });
+        console.error('Error removing field:', error);
+        res.status(500).json({ error: 'Failed to remove field' });
     }
 });
 
-// Individual match day endpoint
-app.get('/api/matchdays/:id', async (req, res) => {
+// Change feed for incremental sync. Pass the cursor from the previous response as ?since=;
+// without one, or when it is too old, the response starts over with every record (reset).
+app.get('/api/changes', async (req, res) => {
     try {
-        const matchDays = await readJSONFile(MATCHDAYS_FILE);
-        const matchDay = matchDays.find(md => md.id === req.params.id);
+        // Taken before reading the files: every change up to the cursor is already in them
+        const cursor = committedCursor();
+        const since = Number(req.query.since);
+        const reset = !(since >= changeLog.prunedThrough && since <= Number(cursor));
+        const data = await readBackupData();
         
-        if (!matchDay) {
-            return res.status(404).json({ error: 'Match day not found' });
+        let changes;
+        if (reset) {
+            changes = Object.entries(data).flatMap(([collection, records]) =>
+                records.map(record => ({ collection, id: record.id, record })));
+        } else {
+            changes = changeLog.entries
+                .filter(entry => entry.seq > since && entry.seq <= Number(cursor))
+                .map(entry => {
+                    const record = entry.deleted ? null : data[entry.collection].find(r => r.id === entry.id);
+                    // A logged write that never reached the file leaves nothing to send but the id
+                    return record ?
+                        { collection: entry.collection, id: entry.id, record } :
+                        { collection: entry.collection, id: entry.id, deleted: true, deletedAt: entry.at };
+                });
         }
         
-        res.json(matchDay);
+        res.json({ cursor, reset, changes });
     } catch (error) {
-        console.error('Error reading match day:', error);
-        res.status(500).json({ error: 'Failed to read match day data' });
+        console.error('Error reading changes:', error);
+        res.status(500).json({ error: 'Failed to read changes' });
     }
 });
 
@@ -203,15 +5086,20 @@ app.get('/api/sync', async (req, res) => {
     try {
         const teams = await readJSONFile(TEAMS_FILE);
         const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+        const referees = await readJSONFile(REFEREES_FILE);
+        const seasons = await readJSONFile(SEASONS_FILE);
+        const venues = await readJSONFile(VENUES_FILE);
+        const players = await readJSONFile(PLAYERS_FILE);
         
-        res.json({ teams, matchDays });
+        res.json({ leagues, teams, matchDays, referees, seasons, venues, players });
     } catch (error) {
         console.error('Error in sync endpoint:', error);
         res.status(500).json({ error: 'Failed to sync data' });
     }
 });
 
-app.post('/api/sync', async (req, res) => {
+app.post('/api/sync', requireAdmin, async (req, res) => {
     try {
         const { teams, matchDays } = req.body;
         
@@ -219,10 +5107,41 @@ app.post('/api/sync', async (req, res) => {
             return res.status(400).json({ error: 'Teams and matchDays must be arrays' });
         }
         
+        const leagues = await readJSONFile(LEAGUES_FILE, DEFAULT_LEAGUES);
+        const referees = await readJSONFile(REFEREES_FILE);
+        const previousMatchDays = await readJSONFile(MATCHDAYS_FILE);
+        
+        const previousTeams = await readJSONFile(TEAMS_FILE);
+        const seasons = await readJSONFile(SEASONS_FILE);
+        
+        keepServerOnlyFields(previousMatchDays, matchDays);
+        assignSeasons(matchDays, seasons);
+        
+        let errors = [
+            ...validateEach(teams, team => validateTeam(team, leagues), 'teams'),
+            ...validateEach(matchDays, matchDay => validateMatchDay(matchDay, teams, referees), 'matchDays')
+        ];
+        if (errors.length === 0) {
+            errors = findRosterEligibilityErrors(teams, previousTeams, {
+                leagues: leagues,
+                players: await readJSONFile(PLAYERS_FILE),
+                seasons: seasons
+            });
+        }
+        if (errors.length > 0) {
+            return sendValidationError(res, errors);
+        }
+        
+        await extractInlinePhotos(teams);
+        keepServerOnlyPlayerFields(previousTeams, teams);
+        carryRevisions(previousTeams, teams, 'players');
+        carryRevisions(previousMatchDays, matchDays, 'matches');
+        
         const teamsSuccess = await writeJSONFile(TEAMS_FILE, teams);
         const matchDaysSuccess = await writeJSONFile(MATCHDAYS_FILE, matchDays);
         
         if (teamsSuccess && matchDaysSuccess) {
+            await registerRosterPlayers(teams);
             console.log(`🔄 Sync update: ${teams.length} teams, ${matchDays.length} match days`);
             res.json({ 
                 success: true, 
@@ -243,7 +5162,11 @@ app.post('/api/sync', async (req, res) => {
 app.get('/api/stats', async (req, res) => {
     try {
         const teams = await readJSONFile(TEAMS_FILE);
-        const matchDays = await readJSONFile(MATCHDAYS_FILE);
+        let matchDays = await readJSONFile(MATCHDAYS_FILE);
+        
+        if (req.query.seasonId) {
+            matchDays = matchDays.filter(matchDay => matchDay.seasonId === req.query.seasonId);
+        }
         
         const totalPlayers = teams.reduce((sum, team) => sum + (team.players?.length || 0), 0);
         const totalMatches = matchDays.reduce((sum, md) => sum + (md.matches?.length || 0), 0);
@@ -264,14 +5187,10 @@ app.get('/api/stats', async (req, res) => {
 });
 
 // Backup endpoint
-app.get('/api/backup', async (req, res) => {
+app.get('/api/backup', requireAdmin, async (req, res) => {
     try {
-        const teams = await readJSONFile(TEAMS_FILE);
-        const matchDays = await readJSONFile(MATCHDAYS_FILE);
-        
         const backup = {
-            teams,
-            matchDays,
+            ...await readBackupData(),
             exportDate: new Date().toISOString(),
             version: '1.0.0'
         };
@@ -284,46 +5203,78 @@ app.get('/api/backup', async (req, res) => {
     }
 });
 
-// Serve the web app with aggressive no-cache headers
-app.get('/', async (req, res) => {
+// Snapshot endpoints
+app.get('/api/snapshots', requireAdmin, async (req, res) => {
+    try {
+        const snapshots = [];
+        for (const snapshotId of await listSnapshotIds()) {
+            const stats = await fs.stat(snapshotPath(snapshotId)).catch(() => null);
+            if (stats) {
+                snapshots.push({
+                    id: snapshotId,
+                    createdAt: stats.mtime.toISOString(),
+                    size: stats.size
+                });
+            }
+        }
+        res.json(snapshots);
+    } catch (error) {
+        console.error('Error listing snapshots:', error);
+        res.status(500).json({ error: 'Failed to list snapshots' });
+    }
+});
+
+// Restore either a stored snapshot ({ snapshotId }) or an uploaded backup file ({ backup }).
+// The current data is snapshotted first so a restore can itself be undone.
+app.post('/api/restore', requireAdmin, async (req, res) => {
     try {
-        // Read the file manually to avoid Express auto-adding ETag/Last-Modified
-        let htmlContent = await fs.readFile(path.join(__dirname, 'web-app', 'index.html'), 'utf8');
+        let backup = req.body.backup;
+        
+        if (req.body.snapshotId !== undefined) {
+            if (!isValidSnapshotId(req.body.snapshotId)) {
+                return res.status(400).json({ error: 'Invalid snapshot id' });
+            }
+            const file = snapshotPath(req.body.snapshotId);
+            if (!await fs.access(file).then(() => true, () => false)) {
+                return res.status(404).json({ error: 'Snapshot not found' });
+            }
+            backup = await readJSONFile(file);
+        }
         
-        // Inject a timestamp into the HTML to make it unique every time
-        const timestamp = Date.now();
-        const timestampComment = `<!-- Cache-bust: ${timestamp} -->`;
-        htmlContent = htmlContent.replace('</head>', `${timestampComment}\n</head>`);
+        const problem = checkBackupData(backup);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
         
-        // Set status code first
-        res.statusCode = 200;
+        await createSnapshot('before restore');
         
-        // Set even more aggressive no-cache headers
-        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate, private, max-age=0');
-        res.setHeader('Pragma', 'no-cache');
-        res.setHeader('Expires', 'Thu, 01 Jan 1970 00:00:00 GMT');
-        res.setHeader('Last-Modified', new Date(0).toUTCString());
-        res.setHeader('X-Content-Type-Options', 'nosniff');
-        res.setHeader('Vary', '*');
-        res.setHeader('Content-Type', 'text/html; charset=UTF-8');
-        res.setHeader('Content-Length', Buffer.byteLength(htmlContent, 'utf8'));
+        for (const [key, { file }] of Object.entries(backupFiles())) {
+            if (backup[key] !== undefined && !await writeJSONFile(file, backup[key])) {
+                return res.status(500).json({ error: `Failed to restore ${key}` });
+            }
+        }
         
-        // Add custom headers to prevent caching
-        res.setHeader('X-Timestamp', timestamp.toString());
-        res.setHeader('X-No-Cache', 'true');
+        // Backups from before the registry only have the rosters
+        await registerRosterPlayers(backup.teams);
         
-        // Use res.end() instead of res.send() to avoid any Express middleware
-        res.end(htmlContent);
+        console.log(`♻️ Restored ${req.body.snapshotId ? `snapshot ${req.body.snapshotId}` : 'uploaded backup'}`);
+        res.json({
+            success: true,
+            message: 'Data restored successfully',
+            teamsCount: backup.teams.length,
+            matchDaysCount: backup.matchDays.length
+        });
     } catch (error) {
-        console.error('Error serving index.html:', error);
-        res.statusCode = 500;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('Internal Server Error');
+        console.error('Error restoring data:', error);
+        res.status(500).json({ error: 'Failed to restore data' });
     }
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request is too large' });
+    }
     console.error('Server error:', error);
     res.status(500).json({ 
         error: 'Internal server error',
@@ -352,11 +5303,34 @@ async function startServer() {
             console.log(`📈 Statistics: http://localhost:${PORT}/api/stats`);
             console.log(`💾 Backup: http://localhost:${PORT}/api/backup`);
             console.log(`\n🎯 Available Endpoints:`);
+            console.log(`  POST     /api/auth/login - Sign in (all other endpoints need a Bearer token or X-API-Key)`);
+            console.log(`  GET/POST/PATCH/DELETE /api/users - User accounts (admin)`);
+            console.log(`  GET/POST/DELETE /api/api-keys - API keys for the iOS apps (admin)`);
+            console.log(`  GET/POST/PUT/DELETE /api/leagues - Leagues management`);
             console.log(`  GET/POST /api/teams      - Teams management`);
+            console.log(`  GET/POST/PATCH/DELETE /api/players - Player registry, POST /api/players/:id/merge - Merge duplicates`);
+            console.log(`  PATCH/DELETE /api/teams/:id, POST/PATCH/DELETE /api/teams/:id/players - Team & player edits`);
+            console.log(`  POST     /api/teams/:id/players/:playerId/transfer - Move a player to another team`);
             console.log(`  GET/POST /api/matchdays  - Match days management`);
+            console.log(`  PATCH/DELETE /api/matchdays/:id, POST/PATCH/DELETE /api/matchdays/:id/matches - Match day & match edits`);
+            console.log(`  PUT/DELETE /api/teams/:id/players/:playerId/photo, GET /api/photos/:name - Player photos`);
+            console.log(`  GET      /api/teams|leagues/:id/roster.csv, POST .../roster[/preview] - Roster CSV export & import`);
+            console.log(`  PUT      /api/matchdays/:id/matches/:matchId/attendance - Match check-in`);
+            console.log(`  GET/POST/DELETE /api/matchdays/:id/matches/:matchId/events - Match event log`);
+            console.log(`  GET      /api/leagues/:id/standings - League table (?seasonId=)`);
+            console.log(`  GET      /api/matchdays/:id/conflicts - Field, team and referee double-bookings`);
+            console.log(`  POST     /api/leagues/:id/round-robin[/preview] - Generate a round-robin schedule`);
+            console.log(`  GET/POST /api/venues     - Venues, /api/venues/:venueId/fields - Their fields`);
+            console.log(`  GET/POST /api/seasons    - Seasons, POST /api/seasons/:id/rosters - Roster snapshot`);
+            console.log(`  GET      /api/suspensions - Suspensions derived from cards`);
+            console.log(`  GET/POST /api/referees   - Referees, GET /api/referees/:id/assignments - Referee schedule`);
+            console.log(`  GET      /api/events     - Live updates (Server-Sent Events, session cookie)`);
+            console.log(`  GET      /api/changes    - Change feed since a cursor (?since=)`);
             console.log(`  GET/POST /api/sync       - Unified sync`);
             console.log(`  GET      /api/stats      - Statistics`);
             console.log(`  GET      /api/backup     - Data backup`);
+            console.log(`  GET      /api/snapshots  - Automatic snapshots`);
+            console.log(`  POST     /api/restore    - Restore a snapshot or backup`);
         });
     } catch (error) {
         console.error('Failed to start server:', error);
@@ -2,17 +2,15 @@
 class SoccerRefereeApp {
     constructor() {
         this.serverURL = window.location.origin + '/api';
-        this.data = {
-            leagues: [
-                { id: '78E07FBD-352D-46A0-87F7-F3F119E08FC6', name: 'Over 30' },
-                { id: '364C47E0-D393-4945-9A26-E16E3B18E4A0', name: 'Over 40' }
-            ],
-            teams: [],
-            matchDays: []
-        };
+        this.data = this.emptyData();
+        this.selectedSeasonId = localStorage.getItem('selectedSeasonId');
         this.currentView = 'matchdays';
         this.syncStatus = '';
         this.lastSyncDate = null;
+        this.authToken = localStorage.getItem('authToken');
+        this.currentUser = null;
+        this.pendingCount = 0;
+        this.changesCursor = null;
         
         console.log('=== SoccerRefereeApp CONSTRUCTOR CALLED ===');
         this.init();
@@ -28,11 +26,19 @@ class SoccerRefereeApp {
         // Initialize event listeners
         this.initEventListeners();
         
-        // Load data from server
-        await this.loadDataFromServer();
+        // Sign in, start from the copy saved on this device, send anything queued while
+        // offline, then catch up with the server
+        if (await this.restoreSession()) {
+            await this.loadOfflineData();
+            await this.replayOutbox();
+            await this.loadDataFromServer();
+        } else {
+            await this.showLoginModal();
+        }
+        await this.refreshPendingCount();
         
-        // Start periodic sync
-        this.startPeriodicSync();
+        // Keep in sync with changes made on other devices
+        this.startLiveUpdates();
         
         // Update UI
         this.updateUI();
@@ -76,10 +82,109 @@ class SoccerRefereeApp {
             this.showAddMatchDayModal();
         });
 
+        document.getElementById('generate-schedule-btn').addEventListener('click', () => {
+            this.showScheduleGeneratorModal();
+        });
+
         document.getElementById('force-refresh-btn').addEventListener('click', () => {
             this.forceSync();
         });
 
+        // Offline changes
+        document.getElementById('pending-badge').addEventListener('click', () => {
+            this.replayOutbox();
+        });
+
+        window.addEventListener('online', () => {
+            this.replayOutbox();
+        });
+
+        window.addEventListener('offline', () => {
+            this.setLiveStatus('Offline');
+        });
+
+        // Background sync wakes the service worker, which hands the replay to an open page
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'replay-outbox') {
+                    this.replayOutbox();
+                }
+            });
+        }
+
+        // Account
+        document.getElementById('sign-out-btn').addEventListener('click', () => {
+            if (this.currentUser) {
+                this.signOut();
+            } else {
+                this.showLoginModal();
+            }
+        });
+
+        document.getElementById('add-user-btn').addEventListener('click', () => {
+            this.showUserModal();
+        });
+
+        document.getElementById('add-api-key-btn').addEventListener('click', () => {
+            this.showApiKeyModal();
+        });
+
+        document.getElementById('add-referee-btn').addEventListener('click', () => {
+            this.showRefereeModal();
+        });
+
+        document.getElementById('add-registry-player-btn').addEventListener('click', () => {
+            this.showRegistryPlayerModal();
+        });
+
+        document.getElementById('registry-search').addEventListener('input', () => {
+            this.renderRegistry();
+        });
+
+        document.getElementById('add-venue-btn').addEventListener('click', () => {
+            this.showVenueModal();
+        });
+
+        document.getElementById('add-season-btn').addEventListener('click', () => {
+            this.showSeasonModal();
+        });
+
+        // Season switcher
+        document.getElementById('season-picker').addEventListener('change', (e) => {
+            this.selectedSeasonId = e.target.value;
+            localStorage.setItem('selectedSeasonId', this.selectedSeasonId);
+            this.updateUI();
+        });
+
+        // Standings
+        document.getElementById('standings-league').addEventListener('change', (e) => {
+            this.selectedStandingsLeagueId = e.target.value;
+            this.renderStandings();
+        });
+
+        // My Matches
+        document.getElementById('my-matches-referee').addEventListener('change', (e) => {
+            this.selectedRefereeId = e.target.value;
+            this.renderMyMatches();
+        });
+
+        // Backups
+        document.getElementById('download-backup-btn').addEventListener('click', () => {
+            this.downloadBackup();
+        });
+
+        document.getElementById('restore-file-btn').addEventListener('click', () => {
+            document.getElementById('restore-file-input').click();
+        });
+
+        document.getElementById('restore-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.restoreFromFile(file);
+            }
+        });
+
         // Modal close
         document.getElementById('modal-close').addEventListener('click', () => {
             this.hideModal();
@@ -109,6 +214,8 @@ class SoccerRefereeApp {
         const titles = {
             teams: 'Teams by League',
             matchdays: 'Match Days',
+            standings: 'Standings',
+            mymatches: 'My Matches',
             settings: 'Settings'
         };
         document.getElementById('page-title').textContent = titles[tabName];
@@ -117,34 +224,60 @@ class SoccerRefereeApp {
         this.updateUI();
     }
 
-    async loadDataFromServer() {
-        this.showLoading('Loading data from server...');
+    emptyData() {
+        return {
+            leagues: [],
+            teams: [],
+            matchDays: [],
+            referees: [],
+            seasons: [],
+            venues: [],
+            players: [],
+            suspensions: []
+        };
+    }
+
+    // Only what changed since the last load is fetched; without a cursor the server sends everything.
+    // quiet skips the loading overlay and toast, for catching up after a dropped connection
+    async loadDataFromServer({ quiet = false } = {}) {
+        if (!this.currentUser) {
+            return;
+        }
+
+        if (!quiet) {
+            this.showLoading('Loading data from server...');
+        }
         
         try {
-            // Load teams
-            const teamsResponse = await fetch(`${this.serverURL}/teams`);
-            if (teamsResponse.ok) {
-                this.data.teams = await teamsResponse.json();
-                console.log(`📥 Loaded ${this.data.teams.length} teams from server`);
-            }
+            // Load leagues, teams, match days, referees, seasons and venues
+            const feed = await this.apiRequest('GET', this.changesCursor ?
+                `/changes?since=${encodeURIComponent(this.changesCursor)}` : '/changes');
+            this.applyFeed(feed);
 
-            // Load match days
-            const matchDaysResponse = await fetch(`${this.serverURL}/matchdays`);
-            if (matchDaysResponse.ok) {
-                this.data.matchDays = await matchDaysResponse.json();
-                this.data.matchDays.sort((a, b) => new Date(a.date) - new Date(b.date));
-                console.log(`📥 Loaded ${this.data.matchDays.length} match days from server`);
-            }
+            // Load suspensions (derived from cards on the server)
+            await this.refreshSuspensions();
 
             this.syncStatus = 'Data loaded from server';
             this.lastSyncDate = new Date();
-            this.showToast('Data loaded successfully', 'success');
+            this.scheduleOfflineSave();
         } catch (error) {
             console.error('Error loading data:', error);
+            if (error.status === 401) {
+                return;
+            }
+            if (error.offline && await this.loadOfflineData()) {
+                this.syncStatus = 'Offline - showing data saved on this device';
+                if (!quiet) {
+                    this.showToast('Offline - showing data saved on this device', 'info');
+                }
+                return;
+            }
             this.syncStatus = 'Failed to load data from server';
             this.showToast('Failed to load data from server', 'error');
         } finally {
-            this.hideLoading();
+            if (!quiet) {
+                this.hideLoading();
+            }
         }
     }
 
@@ -152,20 +285,137 @@ class SoccerRefereeApp {
         const syncBtn = document.getElementById('sync-btn');
         syncBtn.classList.add('syncing');
         
+        // Start over rather than trusting the local copy
+        this.changesCursor = null;
         await this.loadDataFromServer();
         this.updateUI();
         
         syncBtn.classList.remove('syncing');
+        if (this.syncStatus === 'Data loaded from server') {
+            this.showToast('Data loaded successfully', 'success');
+        }
+    }
+
+    // The server pushes every change as a "change" event (Server-Sent Events). EventSource
+    // reconnects by itself after network drops; changes missed meanwhile are caught up
+    // with one quiet reload when the connection comes back.
+    startLiveUpdates() {
+        this.stopLiveUpdates();
+        if (!this.authToken) {
+            return;
+        }
+
+        // Authenticated by the session cookie set at sign-in
+        const source = new EventSource(`${this.serverURL}/events`);
+        this.liveSource = source;
+        let dropped = false;
+
+        source.addEventListener('open', async () => {
+            this.setLiveStatus('Connected');
+            if (dropped) {
+                dropped = false;
+                await this.replayOutbox();
+                await this.loadDataFromServer({ quiet: true });
+                this.updateUI();
+            }
+        });
+
+        source.addEventListener('change', (e) => {
+            this.applyChange(JSON.parse(e.data));
+        });
+
+        source.addEventListener('error', () => {
+            dropped = true;
+            this.setLiveStatus(navigator.onLine ? 'Reconnecting...' : 'Offline');
+            // A refused stream (e.g. an expired session) is not retried by the browser
+            if (source.readyState === EventSource.CLOSED && this.liveSource === source) {
+                this.liveRetryTimer = setTimeout(() => this.startLiveUpdates(), 5000);
+            }
+        });
+    }
+
+    stopLiveUpdates() {
+        clearTimeout(this.liveRetryTimer);
+        if (this.liveSource) {
+            this.liveSource.close();
+            this.liveSource = null;
+        }
+        this.setLiveStatus('Not connected');
+    }
+
+    setLiveStatus(status) {
+        this.liveStatus = status;
+        const element = document.getElementById('live-status');
+        if (element) {
+            element.textContent = status;
+        }
+    }
+
+    // A reset replaces every collection; otherwise the changes are merged into the local copy
+    applyFeed({ cursor, reset, changes }) {
+        if (reset) {
+            this.data = { ...this.emptyData(), suspensions: this.data.suspensions };
+        }
+
+        const byCollection = {};
+        changes.forEach(change => {
+            const group = byCollection[change.collection] || (byCollection[change.collection] = { upserts: [], deletes: [] });
+            if (change.deleted) {
+                group.deletes.push(change.id);
+            } else {
+                group.upserts.push(change.record);
+            }
+        });
+        Object.entries(byCollection).forEach(([collection, { upserts, deletes }]) => {
+            this.mergeRecords(collection, upserts, deletes);
+        });
+
+        this.changesCursor = cursor;
+        console.log(`📥 ${reset ? 'Loaded' : 'Caught up on'} ${changes.length} record(s) from server`);
+    }
+
+    mergeRecords(collection, upserts, deletes) {
+        const records = this.data[collection];
+        if (!Array.isArray(records)) return;
+
+        upserts.forEach(record => {
+            const index = records.findIndex(r => r.id === record.id);
+            if (index === -1) {
+                records.push(record);
+            } else {
+                records[index] = record;
+            }
+        });
+        this.data[collection] = records.filter(record => !deletes.includes(record.id));
+
+        if (collection === 'matchDays') {
+            this.data.matchDays.sort((a, b) => new Date(a.date) - new Date(b.date));
+        }
     }
 
-    startPeriodicSync() {
-        // Sync every 30 seconds
-        setInterval(() => {
-            this.loadDataFromServer();
-        }, 30000);
+    // Replaces or adds the changed records and drops the removed ones, then redraws the current tab
+    applyChange({ collection, upserts, deletes, cursor }) {
+        if (!Array.isArray(this.data[collection])) return;
+
+        this.mergeRecords(collection, upserts, deletes);
+        this.changesCursor = cursor;
+
+        if (collection === 'matchDays') {
+            // Cards and results change who is suspended
+            clearTimeout(this.suspensionRefreshTimer);
+            this.suspensionRefreshTimer = setTimeout(() => {
+                this.refreshSuspensions().catch(error => console.error('Error refreshing suspensions:', error));
+            }, 300);
+        }
+
+        this.lastSyncDate = new Date();
+        this.scheduleOfflineSave();
+        this.updateUI();
     }
 
     updateUI() {
+        this.renderSeasonPicker();
+
         switch (this.currentView) {
             case 'teams':
                 this.renderTeams();
@@ -173,12 +423,207 @@ class SoccerRefereeApp {
             case 'matchdays':
                 this.renderMatchDays();
                 break;
+            case 'standings':
+                this.renderStandings();
+                break;
+            case 'mymatches':
+                this.renderMyMatches();
+                break;
             case 'settings':
                 this.renderSettings();
                 break;
         }
     }
 
+    // Defaults to the season running today, else the most recent one
+    renderSeasonPicker() {
+        const picker = document.getElementById('season-picker');
+        const seasons = this.data.seasons;
+
+        if (!seasons.some(s => s.id === this.selectedSeasonId)) {
+            const today = new Date().toISOString().slice(0, 10);
+            const current = seasons.find(s => s.startDate <= today && today <= s.endDate) || seasons[seasons.length - 1];
+            this.selectedSeasonId = current ? current.id : '';
+        }
+
+        picker.innerHTML = seasons.map(season =>
+            `<option value="${season.id}" ${season.id === this.selectedSeasonId ? 'selected' : ''}>${season.name}</option>`
+        ).join('');
+        picker.classList.toggle('hidden', seasons.length === 0);
+    }
+
+    selectedSeason() {
+        return this.data.seasons.find(s => s.id === this.selectedSeasonId) || null;
+    }
+
+    // Match days of the selected season; everything while no seasons exist yet
+    seasonMatchDays() {
+        return this.selectedSeason() ?
+            this.data.matchDays.filter(md => md.seasonId === this.selectedSeasonId) :
+            this.data.matchDays;
+    }
+
+    // Offline the saved suspensions stand until the server can work them out again
+    async refreshSuspensions() {
+        let result;
+        try {
+            result = await this.apiRequest('GET', '/suspensions');
+        } catch (error) {
+            if (error.offline) return;
+            throw error;
+        }
+        this.data.suspensions = result.suspensions;
+        this.defaultSuspensionRules = result.defaultRules;
+    }
+
+    // The suspension keeping a player out of this match, if any
+    suspensionFor(playerId, matchId) {
+        return this.data.suspensions.find(s => s.playerId === playerId && s.bannedMatchIds.includes(matchId)) || null;
+    }
+
+    // Authentication
+    async restoreSession() {
+        if (!this.authToken) {
+            return false;
+        }
+
+        try {
+            this.currentUser = await this.apiRequest('GET', '/auth/me');
+            localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+            this.applyRoleVisibility();
+            return true;
+        } catch (error) {
+            console.error('Error restoring session:', error);
+            if (error.offline) {
+                // No connection - carry on as the user who last signed in on this device
+                this.currentUser = JSON.parse(localStorage.getItem('currentUser') || 'null');
+                this.applyRoleVisibility();
+                return Boolean(this.currentUser);
+            }
+            localStorage.removeItem('authToken');
+            this.authToken = null;
+            return false;
+        }
+    }
+
+    async showLoginModal() {
+        let setupRequired = false;
+        try {
+            const status = await this.apiRequest('GET', '/auth/status');
+            setupRequired = status.setupRequired;
+        } catch (error) {
+            console.error('Error reading auth status:', error);
+        }
+
+        const content = `
+            <form id="login-form">
+                ${setupRequired ? '<p style="margin-bottom: 1rem; color: #666;">No accounts exist yet. Create the first admin account to get started.</p>' : ''}
+                <div class="form-group">
+                    <label class="form-label">Username</label>
+                    <input type="text" class="form-input" id="login-username" autocomplete="username" autocapitalize="none" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Password</label>
+                    <input type="password" class="form-input" id="login-password" autocomplete="${setupRequired ? 'new-password' : 'current-password'}" required>
+                </div>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary">${setupRequired ? 'Create Admin Account' : 'Sign In'}</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal(setupRequired ? 'Create Admin Account' : 'Sign In', content);
+
+        document.getElementById('login-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.signIn(setupRequired);
+        });
+    }
+
+    async signIn(setupRequired) {
+        this.clearFieldErrors();
+
+        try {
+            const result = await this.apiRequest('POST', setupRequired ? '/auth/setup' : '/auth/login', {
+                username: document.getElementById('login-username').value.trim(),
+                password: document.getElementById('login-password').value
+            });
+
+            this.authToken = result.token;
+            this.currentUser = result.user;
+            localStorage.setItem('authToken', result.token);
+            localStorage.setItem('currentUser', JSON.stringify(result.user));
+
+            this.hideModal();
+            this.applyRoleVisibility();
+            await this.replayOutbox();
+            await this.loadDataFromServer();
+            this.startLiveUpdates();
+            this.updateUI();
+            this.showToast(`Signed in as ${result.user.displayName}`, 'success');
+        } catch (error) {
+            console.error('Error signing in:', error);
+            if (this.showFieldErrors(error, { username: 'login-username', password: 'login-password' })) return;
+            this.showToast(error.message || 'Failed to sign in', 'error');
+        }
+    }
+
+    async signOut() {
+        if (this.pendingCount > 0 &&
+            !confirm(`${this.pendingCount} change(s) made offline haven't reached the server yet. Sign out and discard them?`)) {
+            return;
+        }
+
+        try {
+            await this.apiRequest('POST', '/auth/logout');
+        } catch (error) {
+            console.error('Error signing out:', error);
+        }
+
+        this.clearSession();
+        await this.clearOfflineData();
+        // The service worker's copies of API responses belong to this user
+        if (window.caches) {
+            await caches.delete('soccer-referee-api').catch(() => {});
+        }
+        this.showLoginModal();
+    }
+
+    clearSession() {
+        this.authToken = null;
+        this.currentUser = null;
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('currentUser');
+        this.stopLiveUpdates();
+        this.data = this.emptyData();
+        this.changesCursor = null;
+        this.applyRoleVisibility();
+        this.updateUI();
+    }
+
+    // Admins manage everything; referees check in players and enter scores; viewers only read
+    can(permission) {
+        const permissions = {
+            manage: ['admin'],
+            officiate: ['admin', 'referee']
+        };
+        return Boolean(this.currentUser) && permissions[permission].includes(this.currentUser.role);
+    }
+
+    // Referees can check in and score only the matches they're assigned to (the server enforces it too)
+    canOfficiate(match) {
+        if (this.can('manage')) return true;
+        const refereeId = this.can('officiate') && this.currentUser.refereeId;
+        return Boolean(refereeId) && (match.centerRefereeId === refereeId || (match.assistantRefereeIds || []).includes(refereeId));
+    }
+
+    // Show or hide the static buttons and sections marked with data-permission
+    applyRoleVisibility() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.classList.toggle('hidden', !this.can(element.dataset.permission));
+        });
+    }
+
     renderTeams() {
         const teamsList = document.getElementById('teams-list');
         teamsList.innerHTML = '';
@@ -193,10 +638,14 @@ class SoccerRefereeApp {
             leagueSection.innerHTML = `
                 <div class="league-header">
                     <h3 class="league-title">${league.name}</h3>
-                    <div class="league-actions">
-                        <button class="btn btn-secondary btn-sm" onclick="app.editLeague('${league.id}')">Edit</button>
-                        <button class="btn btn-danger btn-sm" onclick="app.deleteLeague('${league.id}')">Delete</button>
-                    </div>
+                    ${this.can('manage') ? `
+                        <div class="league-actions">
+                            <button class="btn btn-secondary btn-sm" onclick="app.showRosterImport('league', '${league.id}')">Import CSV</button>
+                            <button class="btn btn-secondary btn-sm" onclick="app.exportRoster('league', '${league.id}')">Export CSV</button>
+                            <button class="btn btn-secondary btn-sm" onclick="app.editLeague('${league.id}')">Edit</button>
+                            <button class="btn btn-danger btn-sm" onclick="app.deleteLeague('${league.id}')">Delete</button>
+                        </div>
+                    ` : ''}
                 </div>
                 <div class="league-teams">
                     ${leagueTeams.length === 0 ? 
@@ -208,8 +657,10 @@ class SoccerRefereeApp {
                                     <div class="team-name">${team.name}</div>
                                     <div class="team-details">${team.players.length} players</div>
                                 </div>
-                                <button class="btn btn-secondary btn-sm" onclick="app.editTeam('${team.id}')" style="margin-left: 0.5rem;">Edit</button>
-                                <button class="btn btn-danger btn-sm" onclick="app.deleteTeam('${team.id}')" style="margin-left: 0.5rem;">Delete</button>
+                                ${this.can('manage') ? `
+                                    <button class="btn btn-secondary btn-sm" onclick="app.editTeam('${team.id}')" style="margin-left: 0.5rem;">Edit</button>
+                                    <button class="btn btn-danger btn-sm" onclick="app.deleteTeam('${team.id}')" style="margin-left: 0.5rem;">Delete</button>
+                                ` : ''}
                             </div>
                         `).join('')
                     }
@@ -220,7 +671,9 @@ class SoccerRefereeApp {
         });
 
         // Show unassigned teams
-        const unassignedTeams = this.data.teams.filter(team => !team.leagueId);
+        const unassignedTeams = this.data.teams.filter(team =>
+            !team.leagueId || !this.data.leagues.some(league => league.id === team.leagueId)
+        );
         if (unassignedTeams.length > 0) {
             const unassignedSection = document.createElement('div');
             unassignedSection.className = 'league-section';
@@ -237,8 +690,10 @@ class SoccerRefereeApp {
                                 <div class="team-name">${team.name}</div>
                                 <div class="team-details">${team.players.length} players</div>
                             </div>
-                            <button class="btn btn-secondary btn-sm" onclick="app.editTeam('${team.id}')" style="margin-left: 0.5rem;">Edit</button>
-                            <button class="btn btn-danger btn-sm" onclick="app.deleteTeam('${team.id}')" style="margin-left: 0.5rem;">Delete</button>
+                            ${this.can('manage') ? `
+                                <button class="btn btn-secondary btn-sm" onclick="app.editTeam('${team.id}')" style="margin-left: 0.5rem;">Edit</button>
+                                <button class="btn btn-danger btn-sm" onclick="app.deleteTeam('${team.id}')" style="margin-left: 0.5rem;">Delete</button>
+                            ` : ''}
                         </div>
                     `).join('')}
                 </div>
@@ -248,10 +703,71 @@ class SoccerRefereeApp {
         }
     }
 
+    async renderStandings() {
+        const picker = document.getElementById('standings-league');
+        const container = document.getElementById('standings-table');
+
+        if (!this.data.leagues.some(l => l.id === this.selectedStandingsLeagueId)) {
+            this.selectedStandingsLeagueId = this.data.leagues[0] ? this.data.leagues[0].id : '';
+        }
+
+        picker.innerHTML = this.data.leagues.map(league =>
+            `<option value="${league.id}" ${league.id === this.selectedStandingsLeagueId ? 'selected' : ''}>${league.name}</option>`
+        ).join('');
+
+        if (!this.selectedStandingsLeagueId) {
+            container.innerHTML = '<p style="color: #666; font-style: italic;">No leagues yet</p>';
+            return;
+        }
+
+        try {
+            const seasonQuery = this.selectedSeason() ? `?seasonId=${this.selectedSeasonId}` : '';
+            const { standings, rules } = await this.apiRequest('GET', `/leagues/${this.selectedStandingsLeagueId}/standings${seasonQuery}`);
+            const tiebreakerLabels = { headToHead: 'head-to-head', goalDifference: 'goal difference', goalsFor: 'goals scored' };
+
+            container.innerHTML = standings.length === 0 ?
+                '<p style="color: #666; font-style: italic;">No teams in this league</p>' : `
+                <table class="standings-table">
+                    <thead>
+                        <tr>
+                            <th>#</th><th class="team-cell">Team</th><th>P</th><th>W</th><th>D</th><th>L</th>
+                            <th>GF</th><th>GA</th><th>GD</th><th>Pts</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${standings.map(row => {
+                            const team = this.data.teams.find(t => t.id === row.teamId);
+                            return `
+                                <tr>
+                                    <td>${row.position}</td>
+                                    <td class="team-cell">
+                                        <span class="team-color" style="display: inline-block; width: 12px; height: 12px; margin-right: 0.4rem; background-color: ${team ? this.getTeamColor(team) : '#ccc'}"></span>${row.teamName}
+                                    </td>
+                                    <td>${row.played}</td><td>${row.won}</td><td>${row.drawn}</td><td>${row.lost}</td>
+                                    <td>${row.goalsFor}</td><td>${row.goalsAgainst}</td>
+                                    <td>${row.goalDifference > 0 ? '+' : ''}${row.goalDifference}</td>
+                                    <td><strong>${row.points}</strong></td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+                <p style="margin-top: 0.75rem; font-size: 0.8rem; color: #666;">
+                    Win ${rules.pointsForWin} • Draw ${rules.pointsForDraw} • Loss ${rules.pointsForLoss} pts.
+                    Ties broken by ${rules.tiebreakers.map(t => tiebreakerLabels[t]).join(', ') || 'team name'}.
+                </p>
+            `;
+        } catch (error) {
+            console.error('Error loading standings:', error);
+            container.innerHTML = '<p style="color: #666; font-style: italic;">Standings unavailable</p>';
+        }
+    }
+
     renderMatchDays() {
         const now = new Date();
-        const upcomingMatchDays = this.data.matchDays.filter(md => new Date(md.date) >= now);
-        const pastMatchDays = this.data.matchDays.filter(md => new Date(md.date) < now);
+        const matchDays = this.seasonMatchDays();
+        const upcomingMatchDays = matchDays.filter(md => new Date(md.date) >= now);
+        const pastMatchDays = matchDays.filter(md => new Date(md.date) < now);
 
         // Render upcoming match days
         const upcomingContainer = document.getElementById('upcoming-matchdays');
@@ -284,60 +800,1219 @@ class SoccerRefereeApp {
 
     renderSettings() {
         document.getElementById('sync-status').textContent = this.syncStatus;
+        document.getElementById('live-status').textContent = this.liveStatus || 'Not connected';
+        document.getElementById('pending-count').textContent = this.pendingCount;
         document.getElementById('total-teams').textContent = this.data.teams.length;
-        document.getElementById('total-players').textContent = 
-            this.data.teams.reduce((total, team) => total + team.players.length, 0);
+        document.getElementById('total-players').textContent = this.data.players.length;
         document.getElementById('scheduled-matchdays').textContent = 
-            this.data.matchDays.filter(md => new Date(md.date) >= new Date()).length;
-    }
-
-    // Modal functions
-    showModal(title, content) {
-        document.getElementById('modal-title').textContent = title;
-        
-        // Split content into body and form actions
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = content;
-        
-        // Find form actions
-        const formActions = tempDiv.querySelector('.form-actions');
-        let bodyContent = content;
-        let actionsContent = '';
-        
-        if (formActions) {
-            // Remove form actions from body content
-            formActions.remove();
-            bodyContent = tempDiv.innerHTML;
-            actionsContent = formActions.outerHTML;
+            this.seasonMatchDays().filter(md => new Date(md.date) >= new Date()).length;
+        document.getElementById('account-name').textContent = this.currentUser ?
+            `${this.currentUser.displayName} (${this.currentUser.role})` : 'Not signed in';
+        document.getElementById('sign-out-btn').textContent = this.currentUser ? 'Sign Out' : 'Sign In';
+
+        if (this.can('manage')) {
+            this.renderSeasons();
+            this.renderVenues();
+            this.renderRegistry();
+            this.renderReferees();
+            this.renderSnapshots();
+            this.renderUsers();
+            this.renderApiKeys();
         }
-        
-        document.getElementById('modal-content').innerHTML = `
-            <div class="modal-body">
-                ${bodyContent}
-            </div>
-            ${actionsContent}
-        `;
-        document.getElementById('modal-overlay').classList.remove('hidden');
     }
 
-    hideModal() {
-        document.getElementById('modal-overlay').classList.add('hidden');
+    renderSeasons() {
+        const container = document.getElementById('seasons-list');
+
+        container.innerHTML = this.data.seasons.length === 0 ?
+            '<p style="padding: 0.75rem; color: #666; font-style: italic;">No seasons yet</p>' :
+            this.data.seasons.map(season => {
+                const leagueNames = season.leagueIds
+                    .map(id => (this.data.leagues.find(l => l.id === id) || {}).name)
+                    .filter(Boolean);
+                return `
+                    <div class="snapshot-item">
+                        <div>
+                            <div>${season.name}</div>
+                            <div style="font-size: 0.8rem; color: #666;">
+                                ${new Date(season.startDate + 'T00:00').toLocaleDateString()} – ${new Date(season.endDate + 'T00:00').toLocaleDateString()}
+                                ${leagueNames.length > 0 ? ` • ${leagueNames.join(', ')}` : ''}
+                            </div>
+                        </div>
+                        <div>
+                            <button class="btn btn-secondary btn-sm" onclick="app.showSeasonModal('${season.id}')">Edit</button>
+                            <button class="btn btn-secondary btn-sm" onclick="app.snapshotSeasonRosters('${season.id}')">Snapshot Rosters</button>
+                            <button class="btn btn-danger btn-sm" onclick="app.deleteSeason('${season.id}')">Delete</button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
     }
 
-    showAddTeamModal() {
-        const leagueOptions = this.data.leagues.map(league => 
-            `<option value="${league.id}">${league.name}</option>`
-        ).join('');
+    showSeasonModal(seasonId = null) {
+        const season = seasonId ? this.data.seasons.find(s => s.id === seasonId) : null;
+        const year = new Date().getFullYear();
 
         const content = `
-            <form id="add-team-form">
+            <form id="season-form">
                 <div class="form-group">
-                    <label class="form-label">Team Name</label>
-                    <input type="text" class="form-input" id="team-name" required>
+                    <label class="form-label">Name</label>
+                    <input type="text" class="form-input" id="season-name" value="${season ? season.name : ''}" placeholder="e.g., ${year} Season" required>
                 </div>
                 <div class="form-group">
-                    <label class="form-label">Team Color</label>
-                    <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 0.5rem; margin-top: 0.5rem;">
+                    <label class="form-label">Start Date</label>
+                    <input type="date" class="form-input" id="season-start" value="${season ? season.startDate : `${year}-01-01`}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">End Date</label>
+                    <input type="date" class="form-input" id="season-end" value="${season ? season.endDate : `${year}-12-31`}" required>
+                </div>
+                <div class="form-group" id="season-leagues">
+                    <label class="form-label">Participating Leagues</label>
+                    ${this.data.leagues.map(league => `
+                        <label style="display: block; padding: 0.25rem 0;">
+                            <input type="checkbox" class="season-league" value="${league.id}" ${!season || season.leagueIds.includes(league.id) ? 'checked' : ''}>
+                            ${league.name}
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.hideModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">${season ? 'Save Changes' : 'Add Season'}</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal(season ? 'Edit Season' : 'Add Season', content);
+
+        document.getElementById('season-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSeason(seasonId);
+        });
+    }
+
+    async saveSeason(seasonId) {
+        this.clearFieldErrors();
+
+        const body = {
+            name: document.getElementById('season-name').value.trim(),
+            startDate: document.getElementById('season-start').value,
+            endDate: document.getElementById('season-end').value,
+            leagueIds: [...document.querySelectorAll('.season-league:checked')].map(input => input.value)
+        };
+
+        try {
+            if (seasonId) {
+                const season = this.data.seasons.find(s => s.id === seasonId);
+                Object.assign(season, await this.apiRequest('PATCH', `/seasons/${seasonId}`, body, { record: season }));
+            } else {
+                this.data.seasons.push(await this.apiRequest('POST', '/seasons', body));
+            }
+
+            this.data.seasons.sort((a, b) => a.startDate.localeCompare(b.startDate));
+            this.hideModal();
+            this.updateUI();
+            this.showToast(seasonId ? 'Season updated' : 'Season added', 'success');
+        } catch (error) {
+            console.error('Error saving season:', error);
+            if (this.handleConflictError(error)) return;
+            if (this.showFieldErrors(error, {
+                name: 'season-name', startDate: 'season-start', endDate: 'season-end', leagueIds: 'season-leagues'
+            })) return;
+            this.showToast(error.message || 'Failed to save season', 'error');
+        }
+    }
+
+    async snapshotSeasonRosters(seasonId) {
+        const season = this.data.seasons.find(s => s.id === seasonId);
+        if (!season || !confirm(`Replace the saved rosters for "${season.name}" with the current team rosters?`)) {
+            return;
+        }
+
+        try {
+            Object.assign(season, await this.apiRequest('POST', `/seasons/${seasonId}/rosters`, undefined, { record: season }));
+            this.showToast('Season rosters saved', 'success');
+        } catch (error) {
+            console.error('Error snapshotting rosters:', error);
+            if (this.handleConflictError(error)) return;
+            this.showToast(error.message || 'Failed to save season rosters', 'error');
+        }
+    }
+
+    async deleteSeason(seasonId) {
+        const season = this.data.seasons.find(s => s.id === seasonId);
+        if (!season || !confirm(`Delete season "${season.name}"?`)) {
+            return;
+        }
+
+        try {
+            await this.apiRequest('DELETE', `/seasons/${seasonId}`, undefined, { record: season });
+            this.data.seasons = this.data.seasons.filter(s => s.id !== seasonId);
+            this.updateUI();
+            this.showToast('Season deleted', 'success');
+        } catch (error) {
+            console.error('Error deleting season:', error);
+            if (this.handleConflictError(error)) return;
+            if (error.status === 409 && error.response && error.response.matchDayCount) {
+                this.showToast(`Season still has ${error.response.matchDayCount} match day(s). Move or delete them first.`, 'error');
+                return;
+            }
+            this.showToast(error.message || 'Failed to delete season', 'error');
+        }
+    }
+
+    renderVenues() {
+        const container = document.getElementById('venues-list');
+
+        container.innerHTML = this.data.venues.length === 0 ?
+            '<p style="padding: 0.75rem; color: #666; font-style: italic;">No venues yet</p>' :
+            this.data.venues.map(venue => `
+                <div class="snapshot-item">
+                    <div>
+                        <div>${venue.name}</div>
+                        <div style="font-size: 0.8rem; color: #666;">${[venue.address, venue.timeZone].filter(Boolean).join(' • ')}</div>
+                    </div>
+                    <div>
+                        <button class="btn btn-secondary btn-sm" onclick="app.showVenueModal('${venue.id}')">Edit</button>
+                        <button class="btn btn-secondary btn-sm" onclick="app.showPitchModal('${venue.id}')">Add Field</button>
+                        <button class="btn btn-danger btn-sm" onclick="app.deleteVenue('${venue.id}')">Delete</button>
+                    </div>
+                </div>
+                ${venue.fields.map(field => `
+                    <div class="snapshot-item" style="padding-left: 1.5rem;">
+                        <div>
+                            <div>Field ${field.name}</div>
+                            <div style="font-size: 0.8rem; color: #666;">
+                                ${field.surface} • ${field.size} • ${field.availability.length > 0 ? this.formatAvailability(field.availability) : 'Always available'}
+                            </div>
+                        </div>
+                        <div>
+                            <button class="btn btn-secondary btn-sm" onclick="app.showPitchModal('${venue.id}', '${field.id}')">Edit</button>
+                            <button class="btn btn-danger btn-sm" onclick="app.deletePitch('${venue.id}', '${field.id}')">Delete</button>
+                        </div>
+                    </div>
+                `).join('')}
+            `).join('');
+    }
+
+    showVenueModal(venueId = null) {
+        const venue = venueId ? this.data.venues.find(v => v.id === venueId) : null;
+
+        const content = `
+            <form id="venue-form">
+                <div class="form-group">
+                    <label class="form-label">Name</label>
+                    <input type="text" class="form-input" id="venue-name" value="${venue ? venue.name : ''}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Address (optional)</label>
+                    <input type="text" class="form-input" id="venue-address" value="${venue ? venue.address : ''}">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Time Zone</label>
+                    <input type="text" class="form-input" id="venue-timezone" value="${venue ? venue.timeZone : Intl.DateTimeFormat().resolvedOptions().timeZone}" required>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.hideModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">${venue ? 'Save Changes' : 'Add Venue'}</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal(venue ? 'Edit Venue' : 'Add Venue', content);
+
+        document.getElementById('venue-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveVenue(venueId);
+        });
+    }
+
+    async saveVenue(venueId) {
+        this.clearFieldErrors();
+
+        const body = {
+            name: document.getElementById('venue-name').value.trim(),
+            address: document.getElementById('venue-address').value.trim(),
+            timeZone: document.getElementById('venue-timezone').value.trim()
+        };
+
+        try {
+            if (venueId) {
+                const venue = this.data.venues.find(v => v.id === venueId);
+                Object.assign(venue, await this.apiRequest('PATCH', `/venues/${venueId}`, body, { record: venue }));
+            } else {
+                this.data.venues.push(await this.apiRequest('POST', '/venues', body));
+            }
+
+            this.data.venues.sort((a, b) => a.name.localeCompare(b.name));
+            this.hideModal();
+            this.renderVenues();
+            this.showToast(venueId ? 'Venue updated' : 'Venue added', 'success');
+        } catch (error) {
+            console.error('Error saving venue:', error);
+            if (this.handleConflictError(error)) return;
+            if (this.showFieldErrors(error, { name: 'venue-name', address: 'venue-address', timeZone: 'venue-timezone' })) return;
+            this.showToast(error.message || 'Failed to save venue', 'error');
+        }
+    }
+
+    async deleteVenue(venueId) {
+        const venue = this.data.venues.find(v => v.id === venueId);
+        if (!venue || !confirm(`Delete venue "${venue.name}" and its fields?`)) {
+            return;
+        }
+
+        try {
+            await this.apiRequest('DELETE', `/venues/${venueId}`, undefined, { record: venue });
+            this.data.venues = this.data.venues.filter(v => v.id !== venueId);
+            this.renderVenues();
+            this.showToast('Venue deleted', 'success');
+        } catch (error) {
+            console.error('Error deleting venue:', error);
+            if (this.handleConflictError(error)) return;
+            if (error.status === 409 && error.response && error.response.matchCount) {
+                this.showToast(`${error.response.matchCount} match(es) are scheduled at this venue. Move them first.`, 'error');
+                return;
+            }
+            this.showToast(error.message || 'Failed to delete venue', 'error');
+        }
+    }
+
+    // Availability is edited as text like "Sun 08:00-14:00, Sat 09:00-17:00"
+    formatAvailability(availability) {
+        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        return availability.map(window => `${days[window.dayOfWeek]} ${window.start}-${window.end}`).join(', ');
+    }
+
+    parseAvailability(text) {
+        const days = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+        return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^(\w{3})\w*\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+            return match ?
+                { dayOfWeek: days.indexOf(match[1].toLowerCase()), start: match[2].padStart(5, '0'), end: match[3].padStart(5, '0') } :
+                { dayOfWeek: -1, start: part, end: part };
+        });
+    }
+
+    showPitchModal(venueId, fieldId = null) {
+        const venue = this.data.venues.find(v => v.id === venueId);
+        const field = fieldId ? venue.fields.find(f => f.id === fieldId) : null;
+        const option = (value, selected) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`;
+
+        const content = `
+            <form id="pitch-form">
+                <div class="form-group">
+                    <label class="form-label">Field Name</label>
+                    <input type="text" class="form-input" id="pitch-name" value="${field ? field.name : ''}" placeholder="e.g., 1 or A" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Surface</label>
+                    <select class="form-select" id="pitch-surface">
+                        ${['grass', 'artificial turf', 'indoor'].map(value => option(value, field ? field.surface : 'grass')).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Size</label>
+                    <select class="form-select" id="pitch-size">
+                        ${['11v11', '9v9', '7v7', '5v5'].map(value => option(value, field ? field.size : '11v11')).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Availability (optional)</label>
+                    <input type="text" class="form-input" id="pitch-availability" value="${field ? this.formatAvailability(field.availability) : ''}" placeholder="e.g., Sun 08:00-14:00, Sat 09:00-17:00">
+                    <div style="font-size: 0.8rem; color: #666; margin-top: 0.25rem;">Leave empty if the field is always available</div>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.hideModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">${field ? 'Save Changes' : 'Add Field'}</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal(field ? `Edit Field at ${venue.name}` : `Add Field to ${venue.name}`, content);
+
+        document.getElementById('pitch-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePitch(venueId, fieldId);
+        });
+    }
+
+    async savePitch(venueId, fieldId) {
+        this.clearFieldErrors();
+
+        const venue = this.data.venues.find(v => v.id === venueId);
+        const body = {
+            name: document.getElementById('pitch-name').value.trim(),
+            surface: document.getElementById('pitch-surface').value,
+            size: document.getElementById('pitch-size').value,
+            availability: this.parseAvailability(document.getElementById('pitch-availability').value)
+        };
+
+        try {
+            if (fieldId) {
+                const field = venue.fields.find(f => f.id === fieldId);
+                Object.assign(field, await this.apiRequest('PATCH', `/venues/${venueId}/fields/${fieldId}`, body, { record: field }));
+                // Matches on a renamed field show the new name
+                await this.loadDataFromServer();
+            } else {
+                venue.fields.push(await this.apiRequest('POST', `/venues/${venueId}/fields`, body));
+            }
+
+            this.hideModal();
+            this.updateUI();
+            this.showToast(fieldId ? 'Field updated' : 'Field added', 'success');
+        } catch (error) {
+            console.error('Error saving field:', error);
+            if (this.handleConflictError(error)) return;
+            if (this.showFieldErrors(error, {
+                name: 'pitch-name', surface: 'pitch-surface', size: 'pitch-size', availability: 'pitch-availability'
+            })) return;
+            this.showToast(error.message || 'Failed to save field', 'error');
+        }
+    }
+
+    async deletePitch(venueId, fieldId) {
+        const venue = this.data.venues.find(v => v.id === venueId);
+        const field = venue && venue.fields.find(f => f.id === fieldId);
+        if (!field || !confirm(`Delete field "${field.name}" at ${venue.name}?`)) {
+            return;
+        }
+
+        try {
+            await this.apiRequest('DELETE', `/venues/${venueId}/fields/${fieldId}`, undefined, { record: field });
+            venue.fields = venue.fields.filter(f => f.id !== fieldId);
+            this.renderVenues();
+            this.showToast('Field deleted', 'success');
+        } catch (error) {
+            console.error('Error deleting field:', error);
+            if (this.handleConflictError(error)) return;
+            if (error.status === 409 && error.response && error.response.matchCount) {
+                this.showToast(`${error.response.matchCount} match(es) are scheduled on this field. Move them first.`, 'error');
+                return;
+            }
+            this.showToast(error.message || 'Failed to delete field', 'error');
+        }
+    }
+
+    // Player registry: one record per person; the teams they're on are the roster entries with their ID
+    memberships(playerId) {
+        return this.data.teams
+            .filter(team => team.players.some(p => p.id === playerId))
+            .map(team => ({ team, jerseyNumber: team.players.find(p => p.id === playerId).jerseyNumber }));
+    }
+
+    // Age in whole years on the given ISO date (today by default), or null without a date of birth
+    playerAge(player, onDate = new Date().toISOString().slice(0, 10)) {
+        if (!player || !player.dateOfBirth) return null;
+        const [year, month, day] = player.dateOfBirth.split('-').map(Number);
+        const [onYear, onMonth, onDay] = onDate.split('-').map(Number);
+        return onYear - year - (onMonth < month || (onMonth === month && onDay < day) ? 1 : 0);
+    }
+
+    // Where a person stands against the age rule of the team's league on the given date (mirrors the
+    // server's check): null when there's no rule or they're old enough, else { eligible, message }.
+    // The cutoff falls in the start year of the league's season running on that date, else the next one.
+    eligibilityStatus(person, team, onDate = new Date().toISOString().slice(0, 10)) {
+        const league = this.data.leagues.find(l => l.id === team.leagueId);
+        const rules = league && league.eligibilityRules;
+        if (!rules) return null;
+        if (!person || !person.dateOfBirth) {
+            return { eligible: false, message: `No date of birth on record for ${league.name}` };
+        }
+
+        const season = this.data.seasons
+            .filter(s => s.leagueIds.includes(league.id) && onDate <= s.endDate)
+            .sort((a, b) => a.startDate.localeCompare(b.startDate))[0];
+        const cutoff = `${(season ? season.startDate : onDate).slice(0, 4)}-${rules.cutoffDate || '01-01'}`;
+        const age = this.playerAge(person, cutoff);
+        if (age >= rules.minimumAge) return null;
+
+        const allowed = rules.underageExceptions || 0;
+        const underage = team.players.filter(p => p.id !== person.id).filter(p => {
+            const other = this.data.players.find(r => r.id === p.id);
+            return other && other.dateOfBirth && this.playerAge(other, cutoff) < rules.minimumAge;
+        }).length;
+        return underage < allowed
+            ? { eligible: true, message: `Underage exception: ${age} on ${cutoff}` }
+            : { eligible: false, message: `Under ${rules.minimumAge}: ${age} on ${cutoff}` +
+                (allowed > 0 ? `, ${team.name} is past its ${allowed} underage exception${allowed === 1 ? '' : 's'}` : '') };
+    }
+
+    eligibilityRuleText(league) {
+        const rules = league.eligibilityRules;
+        const cutoff = new Date(`2000-${rules.cutoffDate || '01-01'}T00:00:00Z`)
+            .toLocaleDateString([], { month: 'long', day: 'numeric', timeZone: 'UTC' });
+        const allowed = rules.underageExceptions || 0;
+        return `${league.name} players must be ${rules.minimumAge} or older on ${cutoff}` +
+            (allowed > 0 ? ` (up to ${allowed} younger player${allowed === 1 ? '' : 's'} per team)` : '');
+    }
+
+    // The server renames a person everywhere at once; this mirrors it locally
+    applyPlayerName(playerId, name) {
+        const player = this.data.players.find(p => p.id === playerId);
+        if (player) {
+            player.name = name;
+        }
+        this.data.teams.forEach(team => team.players
+            .filter(p => p.id === playerId)
+            .forEach(p => { p.name = name; }));
+    }
+
+    registrationBadge(player) {
+        if (!player || player.registrationStatus === 'registered') return '';
+        const colors = { pending: '#FF9800', expired: '#9E9E9E', revoked: '#F44336' };
+        return `<span style="font-size: 0.7rem; color: white; background: ${colors[player.registrationStatus] || '#9E9E9E'}; padding: 0.1rem 0.4rem; border-radius: 4px; margin-left: 0.4rem;">${player.registrationStatus}</span>`;
+    }
+
+    renderRegistry() {
+        const container = document.getElementById('registry-list');
+        const search = document.getElementById('registry-search').value.trim().toLowerCase();
+        const matching = this.data.players.filter(player => player.name.toLowerCase().includes(search));
+        const shown = matching.slice(0, 50);
+
+        container.innerHTML = matching.length === 0 ?
+            `<p style="padding: 0.75rem; color: #666; font-style: italic;">${search ? 'No matching players' : 'No players yet'}</p>` :
+            shown.map(player => {
+                const memberships = this.memberships(player.id);
+                const age = this.playerAge(player);
+                return `
+                    <div class="snapshot-item">
+                        <div>
+                            <div>${player.name}${this.registrationBadge(player)}</div>
+                            <div style="font-size: 0.8rem; color: #666;">${[
+                                age !== null ? `Age ${age}` : 'No date of birth',
+                                memberships.length > 0 ? memberships.map(m => `${m.team.name} #${m.jerseyNumber}`).join(', ') : 'No team'
+                            ].join(' • ')}</div>
+                        </div>
+                        <div>
+                            <button class="btn btn-secondary btn-sm" onclick="app.showRegistryPlayerModal('${player.id}')">Edit</button>
+                            ${memberships.length === 0 ? `<button class="btn btn-danger btn-sm" onclick="app.deleteRegistryPlayer('${player.id}')">Delete</button>` : ''}
+                        </div>
+                    </div>
+                `;
+            }).join('') + (matching.length > shown.length ?
+                `<p style="padding: 0.75rem; color: #666; font-size: 0.85rem;">Showing ${shown.length} of ${matching.length} - search to narrow down</p>` : '');
+    }
+
+    registrationFieldsHtml(player = null, dateOfBirthRequired = false) {
+        return `
+            <div class="form-group">
+                <label class="form-label">Date of Birth${dateOfBirthRequired ? '' : ' (optional)'}</label>
+                <input type="date" class="form-input" id="player-dob" value="${player && player.dateOfBirth ? player.dateOfBirth : ''}">
+            </div>
+            <div class="form-group">
+                <label class="form-label">Registration</label>
+                <select class="form-select" id="player-registration">
+                    ${['registered', 'pending', 'expired', 'revoked'].map(status =>
+                        `<option value="${status}" ${(player ? player.registrationStatus : 'registered') === status ? 'selected' : ''}>${status.charAt(0).toUpperCase() + status.slice(1)}</option>`
+                    ).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    showRegistryPlayerModal(playerId = null) {
+        const player = playerId ? this.data.players.find(p => p.id === playerId) : null;
+        const memberships = player ? this.memberships(player.id) : [];
+
+        // Records with the same name are the likeliest duplicates, so they're listed first
+        const sameName = (other) => other.name.trim().toLowerCase() === player.name.trim().toLowerCase();
+        const others = player ? this.data.players
+            .filter(other => other.id !== player.id)
+            .sort((a, b) => sameName(b) - sameName(a) || a.name.localeCompare(b.name)) : [];
+
+        const content = `
+            <form id="registry-player-form">
+                <div class="form-group">
+                    <label class="form-label">Name</label>
+                    <input type="text" class="form-input" id="player-name" value="${player ? player.name : ''}" required>
+                </div>
+                ${this.registrationFieldsHtml(player)}
+                ${player ? `
+                    <div class="form-group">
+                        <label class="form-label">Teams</label>
+                        ${memberships.length === 0 ? '<p style="color: #666; font-style: italic;">Not on a team</p>' : memberships.map(m => `
+                            <div style="font-size: 0.9rem; padding: 0.2rem 0;">${m.team.name} #${m.jerseyNumber}</div>
+                        `).join('')}
+                    </div>
+                    ${others.length > 0 ? `
+                        <div class="form-group">
+                            <label class="form-label">Same person entered twice?</label>
+                            <select class="form-select" id="merge-player">
+                                <option value="">Choose a duplicate to merge into this player</option>
+                                ${others.map(other => `<option value="${other.id}">${other.name}${this.memberships(other.id).map(m => ` – ${m.team.name}`).join('')}</option>`).join('')}
+                            </select>
+                            <button type="button" class="btn btn-secondary btn-sm" style="margin-top: 0.5rem;" onclick="app.mergeRegistryPlayer('${player.id}')">Merge</button>
+                        </div>
+                    ` : ''}
+                ` : ''}
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.hideModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">${player ? 'Save Changes' : 'Register Player'}</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal(player ? 'Edit Player' : 'Register Player', content);
+
+        document.getElementById('registry-player-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRegistryPlayer(playerId);
+        });
+    }
+
+    async saveRegistryPlayer(playerId) {
+        this.clearFieldErrors();
+
+        const body = {
+            name: document.getElementById('player-name').value.trim(),
+            dateOfBirth: document.getElementById('player-dob').value || null,
+            registrationStatus: document.getElementById('player-registration').value
+        };
+
+        try {
+            if (playerId) {
+                const player = this.data.players.find(p => p.id === playerId);
+                Object.assign(player, await this.apiRequest('PATCH', `/players/${playerId}`, body, { record: player }));
+                this.applyPlayerName(playerId, player.name);
+            } else {
+                this.data.players.push(await this.apiRequest('POST', '/players', body));
+            }
+
+            this.data.players.sort((a, b) => a.name.localeCompare(b.name));
+            this.hideModal();
+            this.updateUI();
+            this.showToast(playerId ? 'Player updated' : 'Player registered', 'success');
+        } catch (error) {
+            console.error('Error saving player:', error);
+            if (this.handleConflictError(error)) return;
+            if (this.showFieldErrors(error, { name: 'player-name', dateOfBirth: 'player-dob', registrationStatus: 'player-registration' })) return;
+            this.showToast(error.message || 'Failed to save player', 'error');
+        }
+    }
+
+    async mergeRegistryPlayer(playerId) {
+        const player = this.data.players.find(p => p.id === playerId);
+        const duplicate = this.data.players.find(p => p.id === document.getElementById('merge-player').value);
+        if (!player || !duplicate) return;
+
+        if (!confirm(`Merge "${duplicate.name}" into "${player.name}"?\n\nTheir teams, check-ins and cards move to ${player.name} and the duplicate record is deleted. This can't be undone except by restoring a snapshot.`)) {
+            return;
+        }
+
+        try {
+            await this.apiRequest('POST', `/players/${playerId}/merge`, { playerId: duplicate.id }, { record: player });
+            await this.loadDataFromServer();
+            this.hideModal();
+            this.updateUI();
+            this.showToast(`Merged into ${player.name}`, 'success');
+        } catch (error) {
+            console.error('Error merging players:', error);
+            if (this.handleConflictError(error)) return;
+            if (this.showFieldErrors(error, { playerId: 'merge-player' })) return;
+            this.showToast(error.message || 'Failed to merge players', 'error');
+        }
+    }
+
+    async deleteRegistryPlayer(playerId) {
+        const player = this.data.players.find(p => p.id === playerId);
+        if (!player || !confirm(`Delete "${player.name}" from the player registry?`)) return;
+
+        try {
+            await this.apiRequest('DELETE', `/players/${playerId}`, undefined, { record: player });
+            this.data.players = this.data.players.filter(p => p.id !== playerId);
+            this.renderRegistry();
+            this.showToast('Player deleted', 'success');
+        } catch (error) {
+            console.error('Error deleting player:', error);
+            if (this.handleConflictError(error)) return;
+            this.showToast(error.message || 'Failed to delete player', 'error');
+        }
+    }
+
+    renderReferees() {
+        const container = document.getElementById('referees-list');
+
+        container.innerHTML = this.data.referees.length === 0 ?
+            '<p style="padding: 0.75rem; color: #666; font-style: italic;">No referees yet</p>' :
+            this.data.referees.map(referee => `
+                <div class="snapshot-item">
+                    <div>
+                        <div>${referee.name}</div>
+                        <div style="font-size: 0.8rem; color: #666;">${[referee.email, referee.phone].filter(Boolean).join(' • ')}</div>
+                    </div>
+                    <div>
+                        <button class="btn btn-secondary btn-sm" onclick="app.showRefereeModal('${referee.id}')">Edit</button>
+                        <button class="btn btn-danger btn-sm" onclick="app.deleteReferee('${referee.id}')">Delete</button>
+                    </div>
+                </div>
+            `).join('');
+    }
+
+    showRefereeModal(refereeId = null) {
+        const referee = refereeId ? this.data.referees.find(r => r.id === refereeId) : null;
+
+        const content = `
+            <form id="referee-form">
+                <div class="form-group">
+                    <label class="form-label">Name</label>
+                    <input type="text" class="form-input" id="referee-name" value="${referee ? referee.name : ''}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Email (optional)</label>
+                    <input type="email" class="form-input" id="referee-email" value="${referee && referee.email ? referee.email : ''}">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Phone (optional)</label>
+                    <input type="tel" class="form-input" id="referee-phone" value="${referee && referee.phone ? referee.phone : ''}">
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.hideModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">${referee ? 'Save Changes' : 'Add Referee'}</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal(referee ? 'Edit Referee' : 'Add Referee', content);
+
+        document.getElementById('referee-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveReferee(refereeId);
+        });
+    }
+
+    async saveReferee(refereeId) {
+        this.clearFieldErrors();
+
+        const body = {
+            name: document.getElementById('referee-name').value.trim(),
+            email: document.getElementById('referee-email').value.trim(),
+            phone: document.getElementById('referee-phone').value.trim()
+        };
+
+        try {
+            if (refereeId) {
+                const referee = this.data.referees.find(r => r.id === refereeId);
+                Object.assign(referee, await this.apiRequest('PATCH', `/referees/${refereeId}`, body, { record: referee }));
+            } else {
+                this.data.referees.push(await this.apiRequest('POST', '/referees', body));
+            }
+
+            this.data.referees.sort((a, b) => a.name.localeCompare(b.name));
+            this.hideModal();
+            this.renderReferees();
+            this.showToast(refereeId ? 'Referee updated' : 'Referee added', 'success');
+        } catch (error) {
+            console.error('Error saving referee:', error);
+            if (this.handleConflictError(error)) return;
+            if (this.showFieldErrors(error, { name: 'referee-name', email: 'referee-email', phone: 'referee-phone' })) return;
+            this.showToast(error.message || 'Failed to save referee', 'error');
+        }
+    }
+
+    async deleteReferee(refereeId) {
+        const referee = this.data.referees.find(r => r.id === refereeId);
+        if (!referee) return;
+
+        const matchCount = this.data.matchDays.reduce((count, md) =>
+            count + md.matches.filter(m => m.centerRefereeId === refereeId || (m.assistantRefereeIds || []).includes(refereeId)).length, 0);
+        const message = matchCount > 0 ?
+            `Delete referee "${referee.name}"?\n\nThey will be removed from ${matchCount} assigned match(es).` :
+            `Delete referee "${referee.name}"?`;
+        if (!confirm(message)) {
+            return;
+        }
+
+        try {
+            await this.apiRequest('DELETE', `/referees/${refereeId}?unassign=true`, undefined, { record: referee });
+            await this.loadDataFromServer();
+            this.updateUI();
+            this.showToast('Referee deleted', 'success');
+        } catch (error) {
+            console.error('Error deleting referee:', error);
+            if (this.handleConflictError(error)) return;
+            this.showToast(error.message || 'Failed to delete referee', 'error');
+        }
+    }
+
+    // Managed fields grouped by venue; free text only until venues are set up
+    fieldPickerHtml(selectedFieldId = '') {
+        const venues = this.data.venues.filter(venue => venue.fields.length > 0);
+        if (venues.length === 0) {
+            return '<input type="text" class="form-input" id="match-field" placeholder="e.g., Field A" required>';
+        }
+
+        return `
+            <select class="form-select" id="match-field" required>
+                <option value="">Select Field</option>
+                ${venues.map(venue => `
+                    <optgroup label="${venue.name}">
+                        ${venue.fields.map(field => `
+                            <option value="${field.id}" ${field.id === selectedFieldId ? 'selected' : ''}>${field.name} (${field.surface}, ${field.size})</option>
+                        `).join('')}
+                    </optgroup>
+                `).join('')}
+            </select>
+        `;
+    }
+
+    readFieldPicker() {
+        const input = document.getElementById('match-field');
+        return input.tagName === 'SELECT' ? { fieldId: input.value } : { field: input.value.trim() };
+    }
+
+    findField(fieldId) {
+        for (const venue of this.data.venues) {
+            const field = venue.fields.find(f => f.id === fieldId);
+            if (field) return { venue, field };
+        }
+        return null;
+    }
+
+    getRefereeName(refereeId) {
+        const referee = this.data.referees.find(r => r.id === refereeId);
+        return referee ? referee.name : 'Unknown referee';
+    }
+
+    refereeOptions(selectedId, emptyLabel) {
+        return `<option value="">${emptyLabel}</option>` + this.data.referees.map(referee =>
+            `<option value="${referee.id}" ${referee.id === selectedId ? 'selected' : ''}>${referee.name}</option>`
+        ).join('');
+    }
+
+    // Center referee and assistant pickers shared by the add match and assign referees forms
+    refereeFieldsHtml(match = {}) {
+        const assistants = match.assistantRefereeIds || [];
+        return `
+            <div class="form-group">
+                <label class="form-label">Center Referee</label>
+                <select class="form-select" id="center-referee">${this.refereeOptions(match.centerRefereeId, 'Not assigned')}</select>
+            </div>
+            <div class="form-group">
+                <label class="form-label">Assistant Referees</label>
+                <select class="form-select" id="assistant-referee-1">${this.refereeOptions(assistants[0], 'No assistant')}</select>
+                <select class="form-select" id="assistant-referee-2" style="margin-top: 0.5rem;">${this.refereeOptions(assistants[1], 'No assistant')}</select>
+            </div>
+        `;
+    }
+
+    readRefereeFields() {
+        return {
+            centerRefereeId: document.getElementById('center-referee').value || null,
+            assistantRefereeIds: ['assistant-referee-1', 'assistant-referee-2']
+                .map(id => document.getElementById(id).value)
+                .filter(Boolean)
+        };
+    }
+
+    // Matches for the referee linked to this account; admins can pick any referee
+    async renderMyMatches() {
+        const picker = document.getElementById('my-matches-referee');
+        const container = document.getElementById('my-matches-list');
+        const ownRefereeId = this.currentUser && this.currentUser.refereeId;
+
+        if (!this.selectedRefereeId || !this.data.referees.some(r => r.id === this.selectedRefereeId)) {
+            this.selectedRefereeId = ownRefereeId || (this.can('manage') && this.data.referees[0] ? this.data.referees[0].id : '');
+        }
+
+        picker.innerHTML = this.refereeOptions(this.selectedRefereeId, 'Select a referee');
+        picker.classList.toggle('hidden', !this.can('manage'));
+
+        if (!this.selectedRefereeId) {
+            container.innerHTML = `<p style="color: #666; font-style: italic;">${this.can('manage') ?
+                'Add referees in Settings to see their schedules' :
+                'Your account is not linked to a referee. Ask an admin to link it.'}</p>`;
+            return;
+        }
+
+        try {
+            const seasonMatchDayIds = new Set(this.seasonMatchDays().map(md => md.id));
+            const assignments = (await this.apiRequest('GET', `/referees/${this.selectedRefereeId}/assignments`))
+                .filter(a => seasonMatchDayIds.has(a.matchDayId));
+            const now = new Date();
+            const upcoming = assignments.filter(a => new Date(a.match.scheduledTime) >= now);
+            const past = assignments.filter(a => new Date(a.match.scheduledTime) < now).reverse();
+
+            const renderAssignment = (assignment) => {
+                const match = assignment.match;
+                const homeTeam = this.data.teams.find(t => t.id === match.homeTeamId);
+                const awayTeam = this.data.teams.find(t => t.id === match.awayTeamId);
+                return `
+                    <div class="matchday-item" onclick="app.viewMatch('${match.id}', '${assignment.matchDayId}')">
+                        <div class="matchday-header">
+                            <div class="matchday-name">${homeTeam ? homeTeam.name : 'Unknown'} vs ${awayTeam ? awayTeam.name : 'Unknown'}</div>
+                            <div class="matchday-date">${new Date(match.scheduledTime).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}</div>
+                        </div>
+                        <div class="matchday-info">${assignment.matchDayName} • Field ${match.field} • ${assignment.role === 'center' ? 'Center referee' : 'Assistant referee'} • ${match.status}</div>
+                    </div>
+                `;
+            };
+
+            container.innerHTML = `
+                <section class="matchday-section">
+                    <h3>Upcoming Assignments</h3>
+                    <div class="matchdays-list">
+                        ${upcoming.length === 0 ? '<p style="color: #666; font-style: italic;">No upcoming assignments</p>' : upcoming.map(renderAssignment).join('')}
+                    </div>
+                </section>
+                <section class="matchday-section">
+                    <h3>Past Assignments</h3>
+                    <div class="matchdays-list">
+                        ${past.length === 0 ? '<p style="color: #666; font-style: italic;">No past assignments</p>' : past.map(renderAssignment).join('')}
+                    </div>
+                </section>
+            `;
+        } catch (error) {
+            console.error('Error loading assignments:', error);
+            container.innerHTML = '<p style="color: #666; font-style: italic;">Assignments unavailable</p>';
+        }
+    }
+
+    async renderUsers() {
+        const container = document.getElementById('users-list');
+
+        try {
+            this.users = await this.apiRequest('GET', '/users');
+
+            container.innerHTML = this.users.map(user => `
+                <div class="snapshot-item">
+                    <div>
+                        <div>${user.displayName}</div>
+                        <div style="font-size: 0.8rem; color: #666;">${user.username} • ${user.role}</div>
+                    </div>
+                    <div>
+                        <button class="btn btn-secondary btn-sm" onclick="app.showUserModal('${user.id}')">Edit</button>
+                        ${user.id !== this.currentUser.id ?
+                            `<button class="btn btn-danger btn-sm" onclick="app.deleteUser('${user.id}')">Delete</button>` : ''}
+                    </div>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading users:', error);
+            container.innerHTML = '<p style="padding: 0.75rem; color: #666; font-style: italic;">Users unavailable</p>';
+        }
+    }
+
+    showUserModal(userId = null) {
+        const user = userId ? this.users.find(u => u.id === userId) : null;
+        const roleOptions = ['admin', 'referee', 'viewer'].map(role =>
+            `<option value="${role}" ${user && user.role === role ? 'selected' : ''}>${role.charAt(0).toUpperCase() + role.slice(1)}</option>`
+        ).join('');
+
+        const content = `
+            <form id="user-form">
+                <div class="form-group">
+                    <label class="form-label">Username</label>
+                    <input type="text" class="form-input" id="user-username" value="${user ? user.username : ''}" autocapitalize="none" ${user ? 'disabled' : 'required'}>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Display Name</label>
+                    <input type="text" class="form-input" id="user-display-name" value="${user ? user.displayName : ''}">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Role</label>
+                    <select class="form-select" id="user-role">${roleOptions}</select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Referee Profile</label>
+                    <select class="form-select" id="user-referee">${this.refereeOptions(user ? user.refereeId : null, 'Not linked')}</select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">${user ? 'New Password (leave blank to keep)' : 'Password'}</label>
+                    <input type="password" class="form-input" id="user-password" autocomplete="new-password" ${user ? '' : 'required'}>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.hideModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">${user ? 'Save Changes' : 'Add User'}</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal(user ? 'Edit User' : 'Add User', content);
+
+        document.getElementById('user-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveUser(userId);
+        });
+    }
+
+    async saveUser(userId) {
+        this.clearFieldErrors();
+
+        const body = {
+            displayName: document.getElementById('user-display-name').value.trim() || undefined,
+            role: document.getElementById('user-role').value,
+            refereeId: document.getElementById('user-referee').value || null,
+            password: document.getElementById('user-password').value || undefined
+        };
+
+        try {
+            if (userId) {
+                await this.apiRequest('PATCH', `/users/${userId}`, body);
+            } else {
+                body.username = document.getElementById('user-username').value.trim();
+                await this.apiRequest('POST', '/users', body);
+            }
+
+            this.hideModal();
+            this.renderUsers();
+            this.showToast(userId ? 'User updated' : 'User added', 'success');
+        } catch (error) {
+            console.error('Error saving user:', error);
+            if (this.showFieldErrors(error, {
+                username: 'user-username',
+                displayName: 'user-display-name',
+                role: 'user-role',
+                refereeId: 'user-referee',
+                password: 'user-password'
+            })) return;
+            this.showToast(error.message || 'Failed to save user', 'error');
+        }
+    }
+
+    async deleteUser(userId) {
+        const user = this.users.find(u => u.id === userId);
+        if (!user || !confirm(`Delete the account "${user.username}"?`)) {
+            return;
+        }
+
+        try {
+            await this.apiRequest('DELETE', `/users/${userId}`);
+            this.renderUsers();
+            this.showToast('User deleted', 'success');
+        } catch (error) {
+            console.error('Error deleting user:', error);
+            this.showToast(error.message || 'Failed to delete user', 'error');
+        }
+    }
+
+    // API keys let the iOS apps (which can't sign in) call the server
+    async renderApiKeys() {
+        const container = document.getElementById('api-keys-list');
+
+        try {
+            this.apiKeys = await this.apiRequest('GET', '/api-keys');
+
+            container.innerHTML = this.apiKeys.length === 0 ?
+                '<p style="padding: 0.75rem; color: #666; font-style: italic;">No API keys</p>' :
+                this.apiKeys.map(key => `
+                    <div class="snapshot-item">
+                        <div>
+                            <div>${key.name}</div>
+                            <div style="font-size: 0.8rem; color: #666;">${key.role}${key.refereeId ? ` • ${(this.data.referees.find(r => r.id === key.refereeId) || {}).name || 'unknown referee'}` : ''} • created ${new Date(key.createdAt).toLocaleDateString()}</div>
+                        </div>
+                        <button class="btn btn-danger btn-sm" onclick="app.revokeApiKey('${key.id}')">Revoke</button>
+                    </div>
+                `).join('');
+        } catch (error) {
+            console.error('Error loading API keys:', error);
+            container.innerHTML = '<p style="padding: 0.75rem; color: #666; font-style: italic;">API keys unavailable</p>';
+        }
+    }
+
+    showApiKeyModal() {
+        const content = `
+            <form id="api-key-form">
+                <div class="form-group">
+                    <label class="form-label">Name</label>
+                    <input type="text" class="form-input" id="api-key-name" placeholder="e.g. Referee iPad" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Role</label>
+                    <select class="form-select" id="api-key-role">
+                        ${['admin', 'referee', 'viewer'].map(role => `<option value="${role}">${role.charAt(0).toUpperCase() + role.slice(1)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Referee Profile (required for referee keys)</label>
+                    <select class="form-select" id="api-key-referee">${this.refereeOptions(null, 'Not linked')}</select>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.hideModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Create API Key</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal('Create API Key', content);
+
+        document.getElementById('api-key-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createApiKey();
+        });
+    }
+
+    async createApiKey() {
+        this.clearFieldErrors();
+
+        try {
+            const created = await this.apiRequest('POST', '/api-keys', {
+                name: document.getElementById('api-key-name').value.trim(),
+                role: document.getElementById('api-key-role').value,
+                refereeId: document.getElementById('api-key-referee').value || null
+            });
+
+            // The server keeps only a hash, so this is the one chance to copy the key
+            this.showModal('API Key Created', `
+                <p style="margin-bottom: 1rem;">Copy this key into the app now; it won't be shown again. The app sends it in the <code>X-API-Key</code> header.</p>
+                <input type="text" class="form-input" value="${created.key}" readonly onclick="this.select()">
+                <div class="form-actions">
+                    <button type="button" class="btn btn-primary" onclick="app.hideModal()">Done</button>
+                </div>
+            `);
+            this.renderApiKeys();
+        } catch (error) {
+            console.error('Error creating API key:', error);
+            if (this.showFieldErrors(error, { name: 'api-key-name', role: 'api-key-role', refereeId: 'api-key-referee' })) return;
+            this.showToast(error.message || 'Failed to create API key', 'error');
+        }
+    }
+
+    async revokeApiKey(keyId) {
+        const key = this.apiKeys.find(k => k.id === keyId);
+        if (!key || !confirm(`Revoke the API key "${key.name}"? Apps using it will stop working.`)) {
+            return;
+        }
+
+        try {
+            await this.apiRequest('DELETE', `/api-keys/${keyId}`);
+            this.renderApiKeys();
+            this.showToast('API key revoked', 'success');
+        } catch (error) {
+            console.error('Error revoking API key:', error);
+            this.showToast(error.message || 'Failed to revoke API key', 'error');
+        }
+    }
+
+    async renderSnapshots() {
+        const container = document.getElementById('snapshots-list');
+
+        try {
+            const snapshots = await this.apiRequest('GET', '/snapshots');
+
+            container.innerHTML = snapshots.length === 0 ?
+                '<p style="padding: 0.75rem; color: #666; font-style: italic;">No snapshots yet</p>' :
+                snapshots.map(snapshot => `
+                    <div class="snapshot-item">
+                        <div>
+                            <div>${new Date(snapshot.createdAt).toLocaleString()}</div>
+                            <div style="font-size: 0.8rem; color: #666;">${(snapshot.size / 1024).toFixed(1)} KB</div>
+                        </div>
+                        <button class="btn btn-secondary btn-sm" onclick="app.restoreSnapshot('${snapshot.id}', '${snapshot.createdAt}')">Restore</button>
+                    </div>
+                `).join('');
+        } catch (error) {
+            console.error('Error loading snapshots:', error);
+            container.innerHTML = '<p style="padding: 0.75rem; color: #666; font-style: italic;">Snapshots unavailable</p>';
+        }
+    }
+
+    async downloadBackup() {
+        try {
+            const backup = await this.apiRequest('GET', '/backup');
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `soccer-referee-backup-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            console.error('Error downloading backup:', error);
+            this.showToast('Failed to download backup', 'error');
+        }
+    }
+
+    async restoreSnapshot(snapshotId, createdAt) {
+        if (!confirm(`Restore all data to the snapshot from ${new Date(createdAt).toLocaleString()}?\n\nChanges made since then will be replaced. The current data is snapshotted first, so this can be undone.`)) {
+            return;
+        }
+
+        await this.restoreData({ snapshotId: snapshotId });
+    }
+
+    async restoreFromFile(file) {
+        let backup;
+        try {
+            backup = JSON.parse(await file.text());
+        } catch (error) {
+            this.showToast('That file is not a valid backup', 'error');
+            return;
+        }
+
+        const teamCount = Array.isArray(backup.teams) ? backup.teams.length : 0;
+        const matchDayCount = Array.isArray(backup.matchDays) ? backup.matchDays.length : 0;
+        if (!confirm(`Restore "${file.name}" (${teamCount} teams, ${matchDayCount} match days)?\n\nAll current data will be replaced. The current data is snapshotted first, so this can be undone.`)) {
+            return;
+        }
+
+        await this.restoreData({ backup: backup });
+    }
+
+    async restoreData(body) {
+        this.showLoading('Restoring data...');
+
+        try {
+            await this.apiRequest('POST', '/restore', body);
+            this.hideLoading();
+            await this.loadDataFromServer();
+            this.updateUI();
+            this.showToast('Data restored successfully', 'success');
+        } catch (error) {
+            console.error('Error restoring data:', error);
+            this.hideLoading();
+            this.showToast(error.message || 'Failed to restore data', 'error');
+        }
+    }
+
+    // Modal functions
+    showModal(title, content) {
+        document.getElementById('modal-title').textContent = title;
+        
+        // Split content into body and form actions
+        const tempDiv = document.createElement('div');
+        tempDiv.innerHTML = content;
+        
+        // Find form actions
+        const formActions = tempDiv.querySelector('.form-actions');
+        let bodyContent = content;
+        let actionsContent = '';
+        
+        if (formActions) {
+            // Remove form actions from body content
+            formActions.remove();
+            bodyContent = tempDiv.innerHTML;
+            actionsContent = formActions.outerHTML;
+        }
+        
+        document.getElementById('modal-content').innerHTML = `
+            <div class="modal-body">
+                ${bodyContent}
+            </div>
+            ${actionsContent}
+        `;
+        document.getElementById('modal-overlay').classList.remove('hidden');
+    }
+
+    hideModal() {
+        // Closing the conflict dialog without choosing keeps the server's version
+        this.resolveConflict('discard');
+        document.getElementById('modal-overlay').classList.add('hidden');
+    }
+
+    showAddTeamModal() {
+        const leagueOptions = this.data.leagues.map(league => 
+            `<option value="${league.id}">${league.name}</option>`
+        ).join('');
+
+        const content = `
+            <form id="add-team-form">
+                <div class="form-group">
+                    <label class="form-label">Team Name</label>
+                    <input type="text" class="form-input" id="team-name" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Team Color</label>
+                    <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 0.5rem; margin-top: 0.5rem;">
                         ${['#2196F3', '#F44336', '#4CAF50', '#FF9800', '#9C27B0', '#E91E63', '#FFEB3B', '#00BCD4'].map(color => `
                             <div class="color-option" style="width: 40px; height: 40px; background: ${color}; border-radius: 50%; cursor: pointer; border: 3px solid transparent;" 
                                  onclick="app.selectColor('${color}', this)" data-color="${color}"></div>
@@ -406,6 +2081,15 @@ class SoccerRefereeApp {
                     <label class="form-label">Date</label>
                     <input type="date" class="form-input" id="matchday-date" required>
                 </div>
+                <div class="form-group">
+                    <label class="form-label">Season</label>
+                    <select class="form-select" id="matchday-season">
+                        <option value="">Season matching the date</option>
+                        ${this.data.seasons.map(season =>
+                            `<option value="${season.id}" ${season.id === this.selectedSeasonId ? 'selected' : ''}>${season.name}</option>`
+                        ).join('')}
+                    </select>
+                </div>
                 <div class="form-group">
                     <label class="form-label">Notes (Optional)</label>
                     <textarea class="form-input" id="matchday-notes" rows="3" placeholder="Additional notes..."></textarea>
@@ -434,6 +2118,201 @@ class SoccerRefereeApp {
         }
     }
 
+    // Round-robin generator: preview the match days for a league, then create them all at once
+    showScheduleGeneratorModal() {
+        const leagueId = this.data.leagues[0] ? this.data.leagues[0].id : '';
+        const nextSunday = new Date();
+        nextSunday.setDate(nextSunday.getDate() + ((7 - nextSunday.getDay()) % 7));
+        const startDate = nextSunday.toISOString().slice(0, 10);
+
+        const content = `
+            <form id="schedule-form">
+                <div class="form-group">
+                    <label class="form-label">League</label>
+                    <select class="form-select" id="schedule-league" onchange="app.renderScheduleTeams(this.value)">
+                        ${this.data.leagues.map(league => `<option value="${league.id}">${league.name}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group" id="schedule-teams"></div>
+                <div class="form-group">
+                    <label class="form-label">Format</label>
+                    <select class="form-select" id="schedule-format">
+                        <option value="single">Single round-robin (play everyone once)</option>
+                        <option value="double">Double round-robin (home and away)</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">First Match Day</label>
+                    <input type="date" class="form-input" id="schedule-start" value="${startDate}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Last Possible Date</label>
+                    <input type="date" class="form-input" id="schedule-end" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Days Between Rounds</label>
+                    <input type="number" class="form-input" id="schedule-interval" value="7" min="1" max="28" required>
+                </div>
+                ${this.data.venues.some(venue => venue.fields.length > 0) ? `
+                    <div class="form-group" id="schedule-fields">
+                        <label class="form-label">Fields</label>
+                        ${this.data.venues.map(venue => venue.fields.map(field => `
+                            <label style="display: block; padding: 0.25rem 0;">
+                                <input type="checkbox" class="schedule-field" value="${field.id}">
+                                ${venue.name} – Field ${field.name} (${field.size})
+                            </label>
+                        `).join('')).join('')}
+                    </div>
+                ` : `
+                    <div class="form-group">
+                        <label class="form-label">Fields (comma separated)</label>
+                        <input type="text" class="form-input" id="schedule-fields" placeholder="e.g., 1, 2" required>
+                    </div>
+                `}
+                <div class="form-group">
+                    <label class="form-label">Kick-off Times (comma separated)</label>
+                    <input type="text" class="form-input" id="schedule-times" placeholder="e.g., 09:00, 10:45" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Season</label>
+                    <select class="form-select" id="schedule-season">
+                        <option value="">Season matching each date</option>
+                        ${this.data.seasons.map(season =>
+                            `<option value="${season.id}" ${season.id === this.selectedSeasonId ? 'selected' : ''}>${season.name}</option>`
+                        ).join('')}
+                    </select>
+                </div>
+                <div id="schedule-preview"></div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.hideModal()">Cancel</button>
+                    <button type="button" class="btn btn-secondary" onclick="app.previewSchedule()">Preview</button>
+                    <button type="button" class="btn btn-primary" id="schedule-create-btn" onclick="app.createSchedule()" disabled>Create Match Days</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal('Generate Schedule', content);
+        this.renderScheduleTeams(leagueId);
+
+        document.getElementById('schedule-form').addEventListener('input', () => this.clearSchedulePreview());
+    }
+
+    renderScheduleTeams(leagueId) {
+        const teams = this.data.teams
+            .filter(team => team.leagueId === leagueId)
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        document.getElementById('schedule-teams').innerHTML = `
+            <label class="form-label">Teams</label>
+            ${teams.length === 0 ? '<p style="color: #666; font-style: italic;">No teams in this league</p>' : teams.map(team => `
+                <label style="display: block; padding: 0.25rem 0;">
+                    <input type="checkbox" class="schedule-team" value="${team.id}" checked>
+                    ${team.name}
+                </label>
+            `).join('')}
+        `;
+        this.clearSchedulePreview();
+    }
+
+    // Any change to the options invalidates the preview until it is regenerated
+    clearSchedulePreview() {
+        this.schedulePreview = null;
+        document.getElementById('schedule-preview').innerHTML = '';
+        document.getElementById('schedule-create-btn').disabled = true;
+    }
+
+    readScheduleOptions() {
+        const list = (id) => document.getElementById(id).value.split(',').map(value => value.trim()).filter(Boolean);
+        const seasonId = document.getElementById('schedule-season').value;
+
+        return {
+            teamIds: [...document.querySelectorAll('.schedule-team:checked')].map(input => input.value),
+            format: document.getElementById('schedule-format').value,
+            startDate: document.getElementById('schedule-start').value,
+            endDate: document.getElementById('schedule-end').value,
+            intervalDays: parseInt(document.getElementById('schedule-interval').value, 10),
+            ...(document.getElementById('schedule-fields').tagName === 'INPUT' ?
+                { fields: list('schedule-fields') } :
+                { fieldIds: [...document.querySelectorAll('.schedule-field:checked')].map(input => input.value) }),
+            timeSlots: list('schedule-times').map(time => time.padStart(5, '0')),
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            ...(seasonId ? { seasonId: seasonId } : {})
+        };
+    }
+
+    scheduleErrorInputs() {
+        return {
+            teamIds: 'schedule-teams', format: 'schedule-format', startDate: 'schedule-start', endDate: 'schedule-end',
+            intervalDays: 'schedule-interval', fields: 'schedule-fields', fieldIds: 'schedule-fields', timeSlots: 'schedule-times', seasonId: 'schedule-season'
+        };
+    }
+
+    async previewSchedule() {
+        this.clearFieldErrors();
+        this.clearSchedulePreview();
+
+        const leagueId = document.getElementById('schedule-league').value;
+        const options = this.readScheduleOptions();
+
+        try {
+            const preview = await this.apiRequest('POST', `/leagues/${leagueId}/round-robin/preview`, options);
+            const teamName = (teamId) => (this.data.teams.find(t => t.id === teamId) || {}).name || 'Unknown';
+
+            const blocking = preview.conflicts.filter(conflict => conflict.severity === 'error');
+
+            document.getElementById('schedule-preview').innerHTML = `
+                <h4 style="margin: 1rem 0 0.5rem;">${preview.matchDays.length} match days</h4>
+                ${preview.conflicts.length > 0 ? `
+                    <div style="margin-bottom: 0.5rem; font-size: 0.85rem;">
+                        ${preview.conflicts.map(conflict => `
+                            <div class="match-conflict">${conflict.severity === 'error' ? '⛔' : '⚠️'} ${conflict.matchDayName}: ${conflict.message}</div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                <div style="border: 1px solid #e0e0e0; border-radius: 8px; max-height: 300px; overflow-y: auto;">
+                    ${preview.matchDays.map(matchDay => `
+                        <div style="padding: 0.5rem 0.75rem; border-bottom: 1px solid #f0f0f0;">
+                            <div style="font-weight: 500;">${matchDay.name} • ${new Date(matchDay.date).toLocaleDateString([], { timeZone: 'UTC' })}</div>
+                            ${matchDay.matches.map(match => `
+                                <div style="font-size: 0.85rem; color: #666;">
+                                    ${new Date(match.scheduledTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                    • Field ${match.field} • ${teamName(match.homeTeamId)} vs ${teamName(match.awayTeamId)}
+                                </div>
+                            `).join('')}
+                            ${matchDay.notes ? `<div style="font-size: 0.8rem; color: #999; font-style: italic;">${matchDay.notes}</div>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+
+            // Warnings shown in the preview count as accepted; double-bookings have to be fixed first
+            this.schedulePreview = { leagueId, options, hasWarnings: preview.conflicts.length > 0 };
+            document.getElementById('schedule-create-btn').disabled = blocking.length > 0;
+        } catch (error) {
+            console.error('Error previewing schedule:', error);
+            if (this.showFieldErrors(error, this.scheduleErrorInputs())) return;
+            this.showToast(error.message || 'Failed to preview schedule', 'error');
+        }
+    }
+
+    async createSchedule() {
+        if (!this.schedulePreview) return;
+        const { leagueId, options, hasWarnings } = this.schedulePreview;
+
+        try {
+            const result = await this.apiRequest('POST', `/leagues/${leagueId}/round-robin${hasWarnings ? '?ignoreWarnings=true' : ''}`, options);
+            this.data.matchDays.push(...result.matchDays);
+            this.data.matchDays.sort((a, b) => new Date(a.date) - new Date(b.date));
+            this.hideModal();
+            this.updateUI();
+            this.showToast(`Created ${result.matchDays.length} match days`, 'success');
+        } catch (error) {
+            console.error('Error creating schedule:', error);
+            if (this.showFieldErrors(error, this.scheduleErrorInputs())) return;
+            this.showToast(error.message || 'Failed to create schedule', 'error');
+        }
+    }
+
     selectColor(color, element) {
         // Remove selection from all color options
         document.querySelectorAll('.color-option').forEach(option => {
@@ -452,31 +2331,20 @@ class SoccerRefereeApp {
 
         if (!name) return;
 
-        const newTeam = {
-            id: this.generateUUID(),
-            name: name,
-            colorData: color,
-            leagueId: leagueId,
-            players: [],
-            lastModified: Date.now() / 1000
-        };
-
         try {
-            const response = await fetch(`${this.serverURL}/teams`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify([...this.data.teams, newTeam])
+            const newTeam = await this.apiRequest('POST', '/teams', {
+                id: this.generateUUID(),
+                name: name,
+                colorData: color,
+                leagueId: leagueId
             });
 
-            if (response.ok) {
-                this.data.teams.push(newTeam);
-                this.hideModal();
-                this.updateUI();
-                this.showToast('Team added successfully', 'success');
-            } else {
-                throw new Error('Failed to add team');
-            }
+            this.data.teams.push(newTeam);
+            this.hideModal();
+            this.updateUI();
+            this.showToast('Team added successfully', 'success');
         } catch (error) {
+            if (this.showFieldErrors(error, { name: 'team-name', leagueId: 'team-league' })) return;
             console.error('Error adding team:', error);
             this.showToast('Failed to add team', 'error');
         }
@@ -539,27 +2407,20 @@ class SoccerRefereeApp {
 
         if (!name) return;
 
-        // Update team properties
-        team.name = name;
-        team.colorData = color;
-        team.leagueId = leagueId;
-        team.lastModified = Date.now() / 1000;
-
         try {
-            const response = await fetch(`${this.serverURL}/teams`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(this.data.teams)
-            });
+            const updatedTeam = await this.apiRequest('PATCH', `/teams/${teamId}`, {
+                name: name,
+                colorData: color,
+                leagueId: leagueId
+            }, { record: team });
 
-            if (response.ok) {
-                this.hideModal();
-                this.updateUI();
-                this.showToast('Team updated successfully', 'success');
-            } else {
-                throw new Error('Failed to update team');
-            }
+            Object.assign(team, updatedTeam);
+            this.hideModal();
+            this.updateUI();
+            this.showToast('Team updated successfully', 'success');
         } catch (error) {
+            if (this.handleConflictError(error)) return;
+            if (this.showFieldErrors(error, { name: 'edit-team-name', leagueId: 'edit-team-league' })) return;
             console.error('Error updating team:', error);
             this.showToast('Failed to update team', 'error');
         }
@@ -569,16 +2430,216 @@ class SoccerRefereeApp {
         const name = document.getElementById('league-name').value.trim();
         if (!name) return;
 
-        const newLeague = {
-            id: this.generateUUID(),
-            name: name,
-            lastModified: Date.now() / 1000
+        try {
+            const newLeague = await this.apiRequest('POST', '/leagues', { name: name });
+
+            this.data.leagues.push(newLeague);
+            this.hideModal();
+            this.updateUI();
+            this.showToast('League added successfully', 'success');
+        } catch (error) {
+            if (this.showFieldErrors(error, { name: 'league-name' })) return;
+            console.error('Error adding league:', error);
+            this.showToast(error.message || 'Failed to add league', 'error');
+        }
+    }
+
+    async editLeague(leagueId) {
+        const league = this.data.leagues.find(l => l.id === leagueId);
+        if (!league) return;
+
+        // The standings endpoint reports the league's rules with the defaults filled in
+        let standingsRules;
+        try {
+            standingsRules = (await this.apiRequest('GET', `/leagues/${leagueId}/standings`)).rules;
+        } catch (error) {
+            console.error('Error loading standings rules:', error);
+            this.showToast('Failed to load league settings', 'error');
+            return;
+        }
+
+        const content = `
+            <form id="edit-league-form">
+                <div class="form-group">
+                    <label class="form-label">League Name</label>
+                    <input type="text" class="form-input" id="edit-league-name" value="${league.name}" required>
+                </div>
+                <h4 style="margin: 1rem 0 0.5rem;">Standings</h4>
+                ${this.standingsRuleInputsHtml(standingsRules)}
+                <h4 style="margin: 1rem 0 0.5rem;">Suspension Rules</h4>
+                ${this.suspensionRuleInputsHtml(league)}
+                <h4 style="margin: 1rem 0 0.5rem;">Age Eligibility</h4>
+                ${this.eligibilityRuleInputsHtml(league)}
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.hideModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Save Changes</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal('Edit League', content);
+
+        document.getElementById('edit-league-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveLeagueChanges(leagueId);
+        });
+    }
+
+    standingsRuleInputsHtml(rules) {
+        const tiebreakerOptions = (selected) => `<option value="">None</option>` +
+            [['headToHead', 'Head-to-head'], ['goalDifference', 'Goal difference'], ['goalsFor', 'Goals scored']]
+                .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+                .join('');
+
+        return `
+            <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 0.5rem;">
+                ${[['pointsForWin', 'Win'], ['pointsForDraw', 'Draw'], ['pointsForLoss', 'Loss']].map(([rule, label]) => `
+                    <div class="form-group">
+                        <label class="form-label">Points: ${label}</label>
+                        <input type="number" class="form-input" id="rule-${rule}" min="0" max="10" value="${rules[rule]}" required>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="form-group">
+                <label class="form-label">Tiebreakers (in order)</label>
+                ${[0, 1, 2].map(index => `
+                    <select class="form-select tiebreaker-select" id="rule-tiebreaker-${index}" ${index > 0 ? 'style="margin-top: 0.5rem;"' : ''}>
+                        ${tiebreakerOptions(rules.tiebreakers[index])}
+                    </select>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    suspensionRuleInputsHtml(league) {
+        const rules = { ...this.defaultSuspensionRules, ...(league.suspensionRules || {}) };
+        const labels = {
+            redCardBanMatches: 'Matches banned for a red card',
+            secondYellowBanMatches: 'Matches banned for a second yellow',
+            yellowCardLimit: 'Yellow cards per season before a ban',
+            yellowCardBanMatches: 'Matches banned for reaching the yellow limit'
+        };
+        return Object.keys(labels).map(rule => `
+            <div class="form-group">
+                <label class="form-label">${labels[rule]}</label>
+                <input type="number" class="form-input" id="rule-${rule}" min="0" max="50" value="${rules[rule]}" required>
+            </div>
+        `).join('');
+    }
+
+    // Leaving the minimum age blank means the league has no age rule
+    eligibilityRuleInputsHtml(league) {
+        const rules = league.eligibilityRules || {};
+        return `
+            <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 0.5rem;">
+                <div class="form-group">
+                    <label class="form-label">Minimum age</label>
+                    <input type="number" class="form-input" id="rule-minimumAge" min="0" max="99" value="${rules.minimumAge ?? ''}" placeholder="None">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Age on (MM-DD)</label>
+                    <input type="text" class="form-input" id="rule-cutoffDate" pattern="\\d{2}-\\d{2}" value="${rules.cutoffDate || '01-01'}">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Underage exceptions</label>
+                    <input type="number" class="form-input" id="rule-underageExceptions" min="0" max="50" value="${rules.underageExceptions || 0}">
+                </div>
+            </div>
+        `;
+    }
+
+    async saveLeagueChanges(leagueId) {
+        const league = this.data.leagues.find(l => l.id === leagueId);
+        if (!league) return;
+
+        const name = document.getElementById('edit-league-name').value.trim();
+        if (!name) return;
+
+        const suspensionRules = {};
+        Object.keys(this.defaultSuspensionRules || {}).forEach(rule => {
+            suspensionRules[rule] = parseInt(document.getElementById(`rule-${rule}`).value);
+        });
+
+        const standingsRules = {
+            pointsForWin: parseInt(document.getElementById('rule-pointsForWin').value),
+            pointsForDraw: parseInt(document.getElementById('rule-pointsForDraw').value),
+            pointsForLoss: parseInt(document.getElementById('rule-pointsForLoss').value),
+            tiebreakers: [0, 1, 2].map(index => document.getElementById(`rule-tiebreaker-${index}`).value).filter(Boolean)
         };
 
-        this.data.leagues.push(newLeague);
-        this.hideModal();
-        this.updateUI();
-        this.showToast('League added successfully', 'success');
+        const minimumAge = document.getElementById('rule-minimumAge').value;
+        const eligibilityRules = minimumAge === '' ? null : {
+            minimumAge: parseInt(minimumAge),
+            cutoffDate: document.getElementById('rule-cutoffDate').value.trim(),
+            underageExceptions: parseInt(document.getElementById('rule-underageExceptions').value) || 0
+        };
+
+        try {
+            const updatedLeague = await this.apiRequest('PUT', `/leagues/${leagueId}`, {
+                name: name,
+                standingsRules: standingsRules,
+                suspensionRules: suspensionRules,
+                eligibilityRules: eligibilityRules
+            }, { record: league });
+
+            this.data.leagues = this.data.leagues.map(l => l.id === leagueId ? updatedLeague : l);
+            this.hideModal();
+            this.updateUI();
+            this.showToast('League updated successfully', 'success');
+        } catch (error) {
+            if (this.handleConflictError(error)) return;
+            if (this.showFieldErrors(error, {
+                name: 'edit-league-name',
+                'standingsRules.pointsForWin': 'rule-pointsForWin',
+                'standingsRules.pointsForDraw': 'rule-pointsForDraw',
+                'standingsRules.pointsForLoss': 'rule-pointsForLoss',
+                'standingsRules.tiebreakers': 'rule-tiebreaker-0',
+                'suspensionRules.redCardBanMatches': 'rule-redCardBanMatches',
+                'suspensionRules.secondYellowBanMatches': 'rule-secondYellowBanMatches',
+                'suspensionRules.yellowCardLimit': 'rule-yellowCardLimit',
+                'suspensionRules.yellowCardBanMatches': 'rule-yellowCardBanMatches',
+                'eligibilityRules.minimumAge': 'rule-minimumAge',
+                'eligibilityRules.cutoffDate': 'rule-cutoffDate',
+                'eligibilityRules.underageExceptions': 'rule-underageExceptions'
+            })) return;
+            console.error('Error updating league:', error);
+            this.showToast(error.message || 'Failed to update league', 'error');
+        }
+    }
+
+    async deleteLeague(leagueId) {
+        const league = this.data.leagues.find(l => l.id === leagueId);
+        if (!league) return;
+
+        // Teams in a deleted league are moved to "Unassigned" rather than deleted
+        const teamCount = this.data.teams.filter(t => t.leagueId === leagueId).length;
+        const warningMessage = teamCount > 0
+            ? `Are you sure you want to delete "${league.name}"?\n\n${teamCount} team${teamCount > 1 ? 's' : ''} in this league will be moved to Unassigned Teams.\n\nThis action cannot be undone.`
+            : `Are you sure you want to delete "${league.name}"?\n\nThis action cannot be undone.`;
+
+        if (!confirm(warningMessage)) {
+            return;
+        }
+
+        try {
+            await this.apiRequest('DELETE', `/leagues/${leagueId}?reassign=true`, undefined, { record: league });
+
+            this.data.leagues = this.data.leagues.filter(l => l.id !== leagueId);
+            this.data.teams.forEach(team => {
+                if (team.leagueId === leagueId) {
+                    team.leagueId = null;
+                }
+            });
+            this.data.seasons.forEach(season => {
+                season.leagueIds = season.leagueIds.filter(id => id !== leagueId);
+            });
+            this.updateUI();
+            this.showToast('League deleted successfully', 'success');
+        } catch (error) {
+            if (this.handleConflictError(error)) return;
+            console.error('Error deleting league:', error);
+            this.showToast('Failed to delete league', 'error');
+        }
     }
 
     async deleteTeam(teamId) {
@@ -591,27 +2652,15 @@ class SoccerRefereeApp {
         }
 
         try {
-            // Remove team from local data
-            this.data.teams = this.data.teams.filter(t => t.id !== teamId);
-
-            // Update server
-            const response = await fetch(`${this.serverURL}/teams`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(this.data.teams)
-            });
+            await this.apiRequest('DELETE', `/teams/${teamId}`, undefined, { record: team });
 
-            if (response.ok) {
-                this.updateUI();
-                this.showToast('Team deleted successfully', 'success');
-            } else {
-                throw new Error('Failed to delete team');
-            }
+            this.data.teams = this.data.teams.filter(t => t.id !== teamId);
+            this.updateUI();
+            this.showToast('Team deleted successfully', 'success');
         } catch (error) {
+            if (this.handleConflictError(error)) return;
             console.error('Error deleting team:', error);
             this.showToast('Failed to delete team', 'error');
-            // Restore team if server update failed
-            this.data.teams.push(team);
         }
     }
 
@@ -621,6 +2670,7 @@ class SoccerRefereeApp {
         const name = document.getElementById('matchday-name').value.trim();
         const date = document.getElementById('matchday-date').value;
         const notes = document.getElementById('matchday-notes').value.trim();
+        const seasonId = document.getElementById('matchday-season').value;
         
         console.log('Match day form values:', { name, date, notes });
 
@@ -630,40 +2680,27 @@ class SoccerRefereeApp {
             return;
         }
 
-        const newMatchDay = {
-            id: this.generateUUID(),
-            name: name,
-            date: new Date(date).toISOString(),
-            notes: notes,
-            matches: [],
-            lastModified: Date.now() / 1000
-        };
-
         try {
             console.log('Sending match day data to server...');
-            console.log('New match day:', newMatchDay);
             
-            const response = await fetch(`${this.serverURL}/matchdays`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify([...this.data.matchDays, newMatchDay])
+            const newMatchDay = await this.apiRequest('POST', '/matchdays', {
+                id: this.generateUUID(),
+                name: name,
+                date: new Date(date).toISOString(),
+                notes: notes,
+                ...(seasonId ? { seasonId: seasonId } : {})
             });
 
-            console.log('Server response status:', response.status);
-
-            if (response.ok) {
-                console.log('Match day created successfully');
-                this.data.matchDays.push(newMatchDay);
-                this.data.matchDays.sort((a, b) => new Date(a.date) - new Date(b.date));
-                this.hideModal();
-                this.updateUI();
-                this.showToast('Match day created successfully', 'success');
-            } else {
-                const errorText = await response.text();
-                console.error('Server error:', response.status, errorText);
-                throw new Error(`Failed to create match day: ${response.status} ${errorText}`);
-            }
+            console.log('Match day created successfully');
+            this.data.matchDays.push(newMatchDay);
+            this.data.matchDays.sort((a, b) => new Date(a.date) - new Date(b.date));
+            this.hideModal();
+            this.updateUI();
+            this.showToast('Match day created successfully', 'success');
         } catch (error) {
+            if (this.showFieldErrors(error, {
+                name: 'matchday-name', date: 'matchday-date', notes: 'matchday-notes', seasonId: 'matchday-season'
+            })) return;
             console.error('Error creating match day:', error);
             this.showToast(`Failed to create match day: ${error.message}`, 'error');
         }
@@ -673,21 +2710,40 @@ class SoccerRefereeApp {
         const team = this.data.teams.find(t => t.id === teamId);
         if (!team) return;
 
-        const playersHtml = team.players.length === 0 ? 
+        // Finished seasons show the roster saved for that season instead of today's
+        const season = this.selectedSeason();
+        const today = new Date().toISOString().slice(0, 10);
+        const snapshot = season && season.endDate < today && season.rosters ? season.rosters[teamId] : null;
+        const players = snapshot ? snapshot.players : team.players;
+
+        const playersHtml = players.length === 0 ? 
             '<p style="color: #666; font-style: italic;">No players in this team</p>' :
-            team.players.sort((a, b) => a.name.localeCompare(b.name)).map(player => `
+            [...players].sort((a, b) => a.name.localeCompare(b.name)).map(player => {
+                const current = team.players.find(p => p.id === player.id) || player;
+                const editable = this.can('manage') && !snapshot;
+                return `
                 <div class="player-item" style="display: flex; align-items: center; padding: 0.75rem; border-bottom: 1px solid #f0f0f0;">
-                    <div style="width: 40px; height: 40px; background: #f0f0f0; border-radius: 50%; display: flex; align-items: center; justify-content: center; margin-right: 1rem; font-size: 0.8rem; color: #666;">
-                        👤
+                    <div style="margin-right: 1rem; ${editable ? 'cursor: pointer;' : ''}" title="${editable ? 'Change photo' : ''}"
+                         ${editable ? `onclick="app.showPlayerPhotoModal('${teamId}', '${player.id}')"` : ''}>
+                        ${this.playerPhotoHtml(current, 40)}
                     </div>
                     <div style="font-weight: bold; margin-right: 1rem; color: #666; min-width: 40px;">
                         #${player.jerseyNumber}
                     </div>
                     <div style="flex: 1;">
-                        <div style="font-weight: 500;">${player.name}</div>
+                        <div style="font-weight: 500;">${player.name}${this.registrationBadge(this.data.players.find(p => p.id === player.id))}</div>
+                        ${current.teamHistory && current.teamHistory.length > 0 ? `
+                            <div style="font-size: 0.8rem; color: #666;">Previously ${current.teamHistory.map(entry => entry.teamName).reverse().join(', ')}</div>
+                        ` : ''}
                     </div>
+                    ${editable ? `
+                        <button class="btn btn-secondary btn-sm" onclick="app.editPlayer('${teamId}', '${player.id}')">Edit</button>
+                        <button class="btn btn-secondary btn-sm" onclick="app.showTransferPlayer('${teamId}', '${player.id}')" style="margin-left: 0.5rem;">Transfer</button>
+                        <button class="btn btn-danger btn-sm" onclick="app.deletePlayer('${teamId}', '${player.id}')" style="margin-left: 0.5rem;">Delete</button>
+                    ` : ''}
                 </div>
-            `).join('');
+            `;
+            }).join('');
 
         const content = `
             <div style="margin-bottom: 1.5rem;">
@@ -695,7 +2751,7 @@ class SoccerRefereeApp {
                     <div style="width: 30px; height: 30px; background: ${this.getTeamColor(team)}; border-radius: 50%; margin-right: 1rem;"></div>
                     <div>
                         <h3 style="margin: 0; font-size: 1.3rem;">${team.name}</h3>
-                        <p style="margin: 0; color: #666;">${team.players.length} players</p>
+                        <p style="margin: 0; color: #666;">${players.length} players${snapshot ? ` • ${season.name} roster` : ''}</p>
                     </div>
                 </div>
             </div>
@@ -705,86 +2761,563 @@ class SoccerRefereeApp {
                 <div style="border: 1px solid #e0e0e0; border-radius: 8px; overflow: hidden;">
                     ${playersHtml}
                 </div>
-            </div>
-            
-            <div class="form-actions" style="margin-top: 1.5rem;">
-                <button type="button" class="btn btn-secondary" onclick="app.hideModal()">Close</button>
-                <button type="button" class="btn btn-primary" onclick="app.addPlayerToTeam('${teamId}')">Add Player</button>
-            </div>
+            </div>
+            
+            <div class="form-actions" style="margin-top: 1.5rem;">
+                <button type="button" class="btn btn-secondary" onclick="app.hideModal()">Close</button>
+                ${snapshot ? '' : `<button type="button" class="btn btn-secondary" onclick="app.exportRoster('team', '${teamId}')">Export CSV</button>`}
+                ${this.can('manage') && !snapshot ? `<button type="button" class="btn btn-secondary" onclick="app.showRosterImport('team', '${teamId}')">Import CSV</button>` : ''}
+                ${this.can('manage') && !snapshot ? `<button type="button" class="btn btn-primary" onclick="app.addPlayerToTeam('${teamId}')">Add Player</button>` : ''}
+            </div>
+        `;
+
+        this.showModal(team.name, content);
+    }
+
+    addPlayerToTeam(teamId) {
+        // People already in the registry (on no team in this league) can join without re-entering them
+        const team = this.data.teams.find(t => t.id === teamId);
+        const available = this.data.players.filter(player => !this.memberships(player.id)
+            .some(m => m.team.id === teamId || (team.leagueId && m.team.leagueId === team.leagueId)));
+        const league = this.data.leagues.find(l => l.id === team.leagueId);
+        const ageRule = league && league.eligibilityRules ? this.eligibilityRuleText(league) : '';
+
+        const content = `
+            <form id="add-player-form">
+                ${ageRule ? `<p style="font-size: 0.85rem; color: #666; margin-bottom: 1rem;">🎂 ${ageRule}</p>` : ''}
+                ${available.length > 0 ? `
+                    <div class="form-group">
+                        <label class="form-label">Player</label>
+                        <select class="form-select" id="player-existing">
+                            <option value="">New player</option>
+                            ${available.map(player => `<option value="${player.id}">${player.name}${this.memberships(player.id).map(m => ` – ${m.team.name}`).join('')}</option>`).join('')}
+                        </select>
+                    </div>
+                ` : ''}
+                <div id="new-player-fields">
+                    <div class="form-group">
+                        <label class="form-label">Player Name</label>
+                        <input type="text" class="form-input" id="player-name" required>
+                    </div>
+                    ${this.registrationFieldsHtml(null, !!ageRule)}
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Jersey Number</label>
+                    <input type="number" class="form-input" id="jersey-number" min="1" max="99" required>
+                </div>
+                ${this.photoInputHtml()}
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.hideModal()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Add Player</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal('Add Player', content);
+
+        // A new player's age can only be checked against the league's rule with their date of birth
+        document.getElementById('player-dob').required = !!ageRule;
+        const existingPicker = document.getElementById('player-existing');
+        if (existingPicker) {
+            existingPicker.addEventListener('change', () => {
+                const existing = this.data.players.find(p => p.id === existingPicker.value);
+                document.getElementById('new-player-fields').classList.toggle('hidden', !!existing);
+                document.getElementById('player-name').required = !existing;
+                document.getElementById('player-dob').required = !existing && !!ageRule;
+            });
+        }
+
+        document.getElementById('add-player-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const existing = existingPicker ? this.data.players.find(p => p.id === existingPicker.value) : null;
+            const name = existing ? existing.name : document.getElementById('player-name').value.trim();
+            const jerseyNumber = parseInt(document.getElementById('jersey-number').value);
+            const photo = document.getElementById('player-photo').files[0];
+            
+            if (!name || !jerseyNumber) return;
+
+            if (!team) return;
+
+            // Check if jersey number is already taken
+            if (team.players.some(p => p.jerseyNumber === jerseyNumber)) {
+                this.showToast('Jersey number already taken', 'error');
+                return;
+            }
+
+            // Age-bracket leagues: checked here too so players added offline are held to the rule
+            const eligibility = this.eligibilityStatus(existing || { name: name, dateOfBirth: document.getElementById('player-dob').value || null }, team);
+            if (eligibility && !eligibility.eligible) {
+                this.showToast(`${name} can't join ${team.name}: ${eligibility.message}`, 'error');
+                return;
+            }
+
+            try {
+                const player = existing ? { id: existing.id, jerseyNumber: jerseyNumber } : {
+                    id: this.generateUUID(),
+                    name: name,
+                    jerseyNumber: jerseyNumber,
+                    dateOfBirth: document.getElementById('player-dob').value || null,
+                    registrationStatus: document.getElementById('player-registration').value
+                };
+                const newPlayer = await this.apiRequest('POST', `/teams/${teamId}/players`, player, {
+                    offline: () => ({ id: player.id, name: name, jerseyNumber: jerseyNumber, isPresent: false })
+                });
+                if (!existing) {
+                    this.data.players.push({ id: player.id, name: name, dateOfBirth: player.dateOfBirth, registrationStatus: player.registrationStatus });
+                    this.data.players.sort((a, b) => a.name.localeCompare(b.name));
+                }
+                if (photo) {
+                    await this.uploadPlayerPhoto(teamId, newPlayer, photo);
+                }
+
+                team.players.push(newPlayer);
+                team.players.sort((a, b) => a.name.localeCompare(b.name));
+                this.hideModal();
+                this.updateUI(); // Refresh the main UI
+                this.viewTeam(teamId); // Refresh team view
+                this.showToast('Player added successfully', 'success');
+            } catch (error) {
+                if (this.showFieldErrors(error, {
+                    id: 'player-existing', name: 'player-name', jerseyNumber: 'jersey-number',
+                    dateOfBirth: 'player-dob', registrationStatus: 'player-registration'
+                })) return;
+                console.error('Error adding player:', error);
+                this.showToast('Failed to add player', 'error');
+            }
+        });
+    }
+
+    findTeamPlayer(teamId, playerId) {
+        const team = this.data.teams.find(t => t.id === teamId);
+        const player = team && team.players.find(p => p.id === playerId);
+        return player ? { team, player } : {};
+    }
+
+    editPlayer(teamId, playerId) {
+        const { player } = this.findTeamPlayer(teamId, playerId);
+        if (!player) return;
+
+        const content = `
+            <form id="edit-player-form">
+                <div class="form-group">
+                    <label class="form-label">Player Name</label>
+                    <input type="text" class="form-input" id="player-name" value="${player.name}" required>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Jersey Number</label>
+                    <input type="number" class="form-input" id="jersey-number" min="0" max="99" value="${player.jerseyNumber}" required>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.viewTeam('${teamId}')">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Save Changes</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal('Edit Player', content);
+
+        document.getElementById('edit-player-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePlayerChanges(teamId, playerId);
+        });
+    }
+
+    async savePlayerChanges(teamId, playerId) {
+        const { team, player } = this.findTeamPlayer(teamId, playerId);
+        if (!player) return;
+
+        const changes = {
+            name: document.getElementById('player-name').value.trim(),
+            jerseyNumber: parseInt(document.getElementById('jersey-number').value, 10)
+        };
+        if (!changes.name || isNaN(changes.jerseyNumber)) return;
+
+        try {
+            const updatedPlayer = await this.apiRequest('PATCH', `/teams/${teamId}/players/${playerId}`, changes, {
+                record: player,
+                offline: () => ({ ...player, ...changes })
+            });
+
+            Object.assign(player, updatedPlayer);
+            this.applyPlayerName(playerId, player.name);
+            team.players.sort((a, b) => a.name.localeCompare(b.name));
+            this.updateUI();
+            this.viewTeam(teamId);
+            this.showToast('Player updated successfully', 'success');
+        } catch (error) {
+            if (this.handleConflictError(error)) return;
+            if (this.showFieldErrors(error, { name: 'player-name', jerseyNumber: 'jersey-number' })) return;
+            console.error('Error updating player:', error);
+            this.showToast('Failed to update player', 'error');
+        }
+    }
+
+    async deletePlayer(teamId, playerId) {
+        const { team, player } = this.findTeamPlayer(teamId, playerId);
+        if (!player) return;
+
+        if (!confirm(`Remove ${player.name} (#${player.jerseyNumber}) from ${team.name}? This action cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await this.apiRequest('DELETE', `/teams/${teamId}/players/${playerId}`, undefined, {
+                record: player,
+                offline: () => ({ success: true })
+            });
+
+            team.players = team.players.filter(p => p.id !== playerId);
+            this.updateUI();
+            this.viewTeam(teamId);
+            this.showToast('Player removed successfully', 'success');
+        } catch (error) {
+            if (this.handleConflictError(error)) return;
+            console.error('Error removing player:', error);
+            this.showToast('Failed to remove player', 'error');
+        }
+    }
+
+    // Transfers need the server to check the one-team-per-league-per-season rule, so they aren't queued offline
+    showTransferPlayer(teamId, playerId) {
+        const { team, player } = this.findTeamPlayer(teamId, playerId);
+        if (!player) return;
+
+        const teamOptions = (teams) => teams
+            .filter(t => t.id !== teamId)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(t => `<option value="${t.id}">${t.name}</option>`)
+            .join('');
+        const groups = [
+            ...this.data.leagues.map(league => ({ label: league.name, teams: this.data.teams.filter(t => t.leagueId === league.id) })),
+            { label: 'Unassigned', teams: this.data.teams.filter(t => !this.data.leagues.some(league => league.id === t.leagueId)) }
+        ].filter(group => teamOptions(group.teams));
+
+        const history = player.teamHistory || [];
+        const content = `
+            <form id="transfer-player-form">
+                <p style="margin-bottom: 1rem;">Move <strong>#${player.jerseyNumber} ${player.name}</strong> from ${team.name} to another team. Past check-ins, cards and goals stay with the player.</p>
+                <div class="form-group">
+                    <label class="form-label">New Team</label>
+                    <select class="form-select" id="transfer-team" required>
+                        ${groups.map(group => `<optgroup label="${group.label}">${teamOptions(group.teams)}</optgroup>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Jersey Number on New Team</label>
+                    <input type="number" class="form-input" id="transfer-jersey" min="0" max="99" value="${player.jerseyNumber}" required>
+                </div>
+                ${history.length > 0 ? `
+                    <div class="form-group">
+                        <label class="form-label">Previous Teams</label>
+                        ${[...history].reverse().map(entry => `
+                            <div style="font-size: 0.85rem; color: #666; padding: 0.2rem 0;">
+                                ${entry.teamName}${entry.joinedAt ? ` • ${new Date(entry.joinedAt).toLocaleDateString()}` : ''} – ${new Date(entry.leftAt).toLocaleDateString()}
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.viewTeam('${teamId}')">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Transfer</button>
+                </div>
+            </form>
         `;
 
-        this.showModal(team.name, content);
+        this.showModal('Transfer Player', content);
+
+        document.getElementById('transfer-player-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.transferPlayer(teamId, playerId);
+        });
     }
 
-    addPlayerToTeam(teamId) {
+    async transferPlayer(teamId, playerId) {
+        const { team, player } = this.findTeamPlayer(teamId, playerId);
+        const targetTeam = this.data.teams.find(t => t.id === document.getElementById('transfer-team').value);
+        const jerseyNumber = parseInt(document.getElementById('transfer-jersey').value, 10);
+        if (!player || !targetTeam || isNaN(jerseyNumber)) return;
+
+        try {
+            const movedPlayer = await this.apiRequest('POST', `/teams/${teamId}/players/${playerId}/transfer`, {
+                teamId: targetTeam.id,
+                jerseyNumber: jerseyNumber
+            }, { record: player });
+
+            team.players = team.players.filter(p => p.id !== playerId);
+            targetTeam.players.push(movedPlayer);
+            targetTeam.players.sort((a, b) => a.name.localeCompare(b.name));
+            this.updateUI();
+            this.viewTeam(teamId);
+            this.showToast(`${movedPlayer.name} moved to ${targetTeam.name}`, 'success');
+        } catch (error) {
+            if (this.handleConflictError(error)) return;
+            if (this.showFieldErrors(error, { teamId: 'transfer-team', jerseyNumber: 'transfer-jersey' })) return;
+            console.error('Error transferring player:', error);
+            this.showToast(error.message || 'Failed to transfer player', 'error');
+        }
+    }
+
+    // Roster CSV import/export, for one team or a whole league
+    async exportRoster(kind, id) {
+        try {
+            const response = await fetch(`${this.serverURL}/${kind}s/${id}/roster.csv`, this.requestOptions('GET', undefined, null));
+            if (!response.ok) {
+                throw new Error((await response.json().catch(() => ({}))).error || 'Failed to export roster');
+            }
+
+            const fileName = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = fileName ? fileName[1] : 'roster.csv';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            console.error('Error exporting roster:', error);
+            this.showToast(error.message === 'Failed to fetch' ? 'No connection to the server' : error.message, 'error');
+        }
+    }
+
+    showRosterImport(kind, id) {
+        const target = kind === 'league' ?
+            this.data.leagues.find(l => l.id === id) :
+            this.data.teams.find(t => t.id === id);
+        if (!target) return;
+
         const content = `
-            <form id="add-player-form">
+            <form id="roster-import-form">
+                <p style="margin-bottom: 1rem; color: #666; font-size: 0.9rem;">
+                    One player per row with a header row: <strong>name</strong>, <strong>jersey</strong> and optionally <strong>id</strong>${kind === 'league' ? ', plus the <strong>team</strong> name' : ''}.
+                    Export a roster to get a file in this format.
+                </p>
                 <div class="form-group">
-                    <label class="form-label">Player Name</label>
-                    <input type="text" class="form-input" id="player-name" required>
+                    <label class="form-label">CSV File</label>
+                    <input type="file" class="form-input" id="roster-import-file" accept=".csv,text/csv">
                 </div>
                 <div class="form-group">
-                    <label class="form-label">Jersey Number</label>
-                    <input type="number" class="form-input" id="jersey-number" min="1" max="99" required>
+                    <label class="form-label">Or paste CSV</label>
+                    <textarea class="form-input" id="roster-import-text" rows="5" placeholder="${kind === 'league' ? 'team,name,jersey\nFlash,Mike Johnson,7' : 'name,jersey\nMike Johnson,7'}"></textarea>
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Existing Players</label>
+                    <select class="form-select" id="roster-import-mode">
+                        <option value="merge">Merge - keep players not in the file</option>
+                        <option value="replace">Replace - remove players not in the file</option>
+                    </select>
                 </div>
+                <div id="roster-import-preview"></div>
                 <div class="form-actions">
                     <button type="button" class="btn btn-secondary" onclick="app.hideModal()">Cancel</button>
-                    <button type="submit" class="btn btn-primary">Add Player</button>
+                    <button type="button" class="btn btn-secondary" onclick="app.previewRosterImport('${kind}', '${id}')">Preview</button>
+                    <button type="button" class="btn btn-primary" id="roster-import-btn" onclick="app.importRoster()" disabled>Import</button>
                 </div>
             </form>
         `;
 
-        this.showModal('Add Player', content);
+        this.showModal(`Import Roster - ${target.name}`, content);
 
-        document.getElementById('add-player-form').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            
-            const name = document.getElementById('player-name').value.trim();
-            const jerseyNumber = parseInt(document.getElementById('jersey-number').value);
-            
-            if (!name || !jerseyNumber) return;
+        const form = document.getElementById('roster-import-form');
+        form.addEventListener('input', () => this.clearRosterImportPreview());
+        form.addEventListener('change', () => this.clearRosterImportPreview());
+    }
 
-            const team = this.data.teams.find(t => t.id === teamId);
-            if (!team) return;
+    // Like the schedule preview, any change to the file or mode has to be previewed again
+    clearRosterImportPreview() {
+        this.rosterImport = null;
+        document.getElementById('roster-import-preview').innerHTML = '';
+        document.getElementById('roster-import-btn').disabled = true;
+    }
 
-            // Check if jersey number is already taken
-            if (team.players.some(p => p.jerseyNumber === jerseyNumber)) {
-                this.showToast('Jersey number already taken', 'error');
-                return;
-            }
+    async previewRosterImport(kind, id) {
+        this.clearFieldErrors();
+        this.clearRosterImportPreview();
 
-            const newPlayer = {
-                id: this.generateUUID(),
-                name: name,
-                jerseyNumber: jerseyNumber,
-                isPresent: false
-            };
+        const file = document.getElementById('roster-import-file').files[0];
+        const body = {
+            csv: file ? await file.text() : document.getElementById('roster-import-text').value,
+            mode: document.getElementById('roster-import-mode').value
+        };
 
-            team.players.push(newPlayer);
-            team.players.sort((a, b) => a.name.localeCompare(b.name));
+        try {
+            const preview = await this.apiRequest('POST', `/${kind}s/${id}/roster/preview`, body);
+            const playerList = (players, label) => players.length === 0 ? '' : `
+                <div style="font-size: 0.85rem; color: #666;">
+                    ${label}: ${players.map(player => `#${player.jerseyNumber} ${player.name}${player.previous ?
+                        ` (was #${player.previous.jerseyNumber}${player.previous.name !== player.name ? ` ${player.previous.name}` : ''})` : ''}`).join(', ')}
+                </div>
+            `;
 
-            try {
-                const response = await fetch(`${this.serverURL}/teams`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(this.data.teams)
-                });
+            document.getElementById('roster-import-preview').innerHTML = `
+                ${preview.errors.length > 0 ? `
+                    <h4 style="margin: 1rem 0 0.5rem;">${preview.errors.length} problem${preview.errors.length === 1 ? '' : 's'} to fix first</h4>
+                    <div style="margin-bottom: 0.5rem; font-size: 0.85rem;">
+                        ${preview.errors.map(error => {
+                            const line = error.field.match(/^rows\[(\d+)\]/);
+                            return `<div class="match-conflict">⛔ ${line ? `Line ${line[1]}: ` : ''}${error.message}</div>`;
+                        }).join('')}
+                    </div>
+                ` : ''}
+                <div style="border: 1px solid #e0e0e0; border-radius: 8px; max-height: 300px; overflow-y: auto; margin-top: 1rem;">
+                    ${preview.changes.map(change => `
+                        <div style="padding: 0.5rem 0.75rem; border-bottom: 1px solid #f0f0f0;">
+                            <div style="font-weight: 500;">${change.teamName} • ${change.added.length} added, ${change.updated.length} updated, ${change.removed.length} removed, ${change.unchanged} unchanged</div>
+                            ${playerList(change.added, 'Add')}
+                            ${playerList(change.updated, 'Update')}
+                            ${playerList(change.removed, 'Remove')}
+                        </div>
+                    `).join('')}
+                </div>
+            `;
 
-                if (response.ok) {
-                    this.hideModal();
-                    this.updateUI(); // Refresh the main UI
-                    this.viewTeam(teamId); // Refresh team view
-                    this.showToast('Player added successfully', 'success');
-                } else {
-                    throw new Error('Failed to add player');
-                }
-            } catch (error) {
-                console.error('Error adding player:', error);
-                this.showToast('Failed to add player', 'error');
-            }
+            this.rosterImport = { kind, id, body, removed: preview.changes.reduce((total, change) => total + change.removed.length, 0) };
+            document.getElementById('roster-import-btn').disabled = preview.errors.length > 0;
+        } catch (error) {
+            console.error('Error previewing roster import:', error);
+            if (this.showFieldErrors(error, { csv: 'roster-import-text', mode: 'roster-import-mode' })) return;
+            this.showToast(error.message || 'Failed to preview roster import', 'error');
+        }
+    }
+
+    async importRoster() {
+        if (!this.rosterImport) return;
+        const { kind, id, body, removed } = this.rosterImport;
+
+        if (removed > 0 && !confirm(`Remove ${removed} player${removed === 1 ? '' : 's'} not in the file?`)) {
+            return;
+        }
+
+        try {
+            const result = await this.apiRequest('POST', `/${kind}s/${id}/roster`, body);
+            this.mergeRecords('teams', result.teams, []);
+            this.hideModal();
+            this.updateUI();
+            const count = (key) => result.changes.reduce((total, change) => total + change[key].length, 0);
+            this.showToast(`Roster imported: ${count('added')} added, ${count('updated')} updated, ${count('removed')} removed`, 'success');
+        } catch (error) {
+            console.error('Error importing roster:', error);
+            if (this.showFieldErrors(error, { csv: 'roster-import-text', mode: 'roster-import-mode' })) return;
+            this.showToast(error.message || 'Failed to import roster', 'error');
+        }
+    }
+
+    // Player photos
+    // <img> can't send the Authorization header; photos are authenticated by the session cookie
+    photoUrl(player) {
+        return `${this.serverURL}/photos/${player.photo}`;
+    }
+
+    playerPhotoHtml(player, size) {
+        const style = `width: ${size}px; height: ${size}px; border-radius: 50%; flex-shrink: 0;`;
+        if (player.photo) {
+            return `<img src="${this.photoUrl(player)}" alt="${player.name}" loading="lazy" style="${style} object-fit: cover; display: block;">`;
+        }
+        return `<div style="${style} background: #f0f0f0; display: flex; align-items: center; justify-content: center; font-size: ${Math.round(size / 2.5)}px; color: #666;">👤</div>`;
+    }
+
+    photoInputHtml() {
+        return `
+            <div class="form-group">
+                <label class="form-label">Photo</label>
+                <input type="file" class="form-input" id="player-photo" accept="image/*" capture="environment"
+                       onchange="app.previewPhotoInput(this)">
+                <img id="player-photo-preview" class="hidden" alt="" style="margin-top: 0.5rem; width: 120px; height: 120px; border-radius: 50%; object-fit: cover;">
+            </div>
+        `;
+    }
+
+    previewPhotoInput(input) {
+        const preview = document.getElementById('player-photo-preview');
+        const file = input.files[0];
+        if (preview.src) {
+            URL.revokeObjectURL(preview.src);
+        }
+        preview.classList.toggle('hidden', !file);
+        if (file) {
+            preview.src = URL.createObjectURL(file);
+        }
+    }
+
+    // Phone cameras take photos of several megabytes; a 480px JPEG is plenty to recognise someone
+    async resizePhoto(file, maxSize = 480) {
+        const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+        const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not read the photo')), 'image/jpeg', 0.8);
         });
     }
 
+    // Updates the player in place; offline the photo waits in the outbox with the other changes
+    async uploadPlayerPhoto(teamId, player, file) {
+        const photo = await this.resizePhoto(file);
+        Object.assign(player, await this.apiRequest('PUT', `/teams/${teamId}/players/${player.id}/photo`, photo, {
+            record: player,
+            offline: () => ({ ...player })
+        }));
+    }
+
+    showPlayerPhotoModal(teamId, playerId) {
+        const team = this.data.teams.find(t => t.id === teamId);
+        const player = team && team.players.find(p => p.id === playerId);
+        if (!player) return;
+
+        const content = `
+            <div style="display: flex; justify-content: center; margin-bottom: 1rem;">
+                ${this.playerPhotoHtml(player, 160)}
+            </div>
+            <p style="text-align: center; margin-bottom: 1rem;">#${player.jerseyNumber} ${player.name}</p>
+            ${this.photoInputHtml()}
+            <div class="form-actions">
+                <button type="button" class="btn btn-secondary" onclick="app.viewTeam('${teamId}')">Cancel</button>
+                ${player.photo ? `<button type="button" class="btn btn-danger" onclick="app.removePlayerPhoto('${teamId}', '${playerId}')">Remove Photo</button>` : ''}
+                <button type="button" class="btn btn-primary" onclick="app.savePlayerPhoto('${teamId}', '${playerId}')">Save Photo</button>
+            </div>
+        `;
+
+        this.showModal('Player Photo', content);
+    }
+
+    async savePlayerPhoto(teamId, playerId) {
+        const team = this.data.teams.find(t => t.id === teamId);
+        const player = team && team.players.find(p => p.id === playerId);
+        const file = document.getElementById('player-photo').files[0];
+        if (!player || !file) return;
+
+        try {
+            await this.uploadPlayerPhoto(teamId, player, file);
+            this.viewTeam(teamId);
+            this.showToast('Photo saved', 'success');
+        } catch (error) {
+            console.error('Error saving photo:', error);
+            if (this.handleConflictError(error)) return;
+            if (this.showFieldErrors(error, { photo: 'player-photo' })) return;
+            this.showToast(error.message || 'Failed to save photo', 'error');
+        }
+    }
+
+    async removePlayerPhoto(teamId, playerId) {
+        const team = this.data.teams.find(t => t.id === teamId);
+        const player = team && team.players.find(p => p.id === playerId);
+        if (!player || !confirm(`Remove the photo of ${player.name}?`)) return;
+
+        try {
+            const updated = await this.apiRequest('DELETE', `/teams/${teamId}/players/${playerId}/photo`, undefined, { record: player });
+            delete player.photo;
+            Object.assign(player, updated);
+            this.viewTeam(teamId);
+            this.showToast('Photo removed', 'success');
+        } catch (error) {
+            console.error('Error removing photo:', error);
+            if (this.handleConflictError(error)) return;
+            this.showToast(error.message || 'Failed to remove photo', 'error');
+        }
+    }
+
     addMatchToMatchDay(matchDayId) {
         console.log('=== addMatchToMatchDay CALLED ===');
         console.log('matchDayId:', matchDayId);
@@ -822,8 +3355,9 @@ class SoccerRefereeApp {
                 </div>
                 <div class="form-group">
                     <label class="form-label">Field</label>
-                    <input type="text" class="form-input" id="match-field" placeholder="e.g., Field A" required>
+                    ${this.fieldPickerHtml()}
                 </div>
+                ${this.refereeFieldsHtml()}
                 <div class="form-actions">
                     <button type="button" class="btn btn-secondary" onclick="app.hideModal()">Cancel</button>
                     <button type="submit" class="btn btn-primary">Add Match</button>
@@ -851,11 +3385,11 @@ class SoccerRefereeApp {
             const homeTeamId = document.getElementById('home-team').value;
             const awayTeamId = document.getElementById('away-team').value;
             const matchTime = document.getElementById('match-time').value;
-            const field = document.getElementById('match-field').value.trim();
+            const field = this.readFieldPicker();
             
             console.log('Form values:', { homeTeamId, awayTeamId, matchTime, field });
             
-            if (!homeTeamId || !awayTeamId || !matchTime || !field) {
+            if (!homeTeamId || !awayTeamId || !matchTime || !(field.fieldId || field.field)) {
                 console.log('Missing required fields');
                 this.showToast('Please fill in all required fields', 'error');
                 return;
@@ -875,61 +3409,37 @@ class SoccerRefereeApp {
             const [hours, minutes] = matchTime.split(':');
             matchDate.setHours(parseInt(hours), parseInt(minutes), 0, 0);
 
-            const newMatch = {
-                id: this.generateUUID(),
-                homeTeamId: homeTeamId,
-                awayTeamId: awayTeamId,
-                scheduledTime: matchDate.toISOString(),
-                field: field,
-                status: 'Scheduled',
-                homeTeamPresent: 0,
-                awayTeamPresent: 0,
-                homeScore: null,
-                awayScore: null
-            };
-
-            matchDay.matches.push(newMatch);
-            
-            // Sort matches by time first, then by field number
-            matchDay.matches.sort((a, b) => {
-                // First sort by scheduled time
-                const timeA = new Date(a.scheduledTime);
-                const timeB = new Date(b.scheduledTime);
-                if (timeA.getTime() !== timeB.getTime()) {
-                    return timeA - timeB;
-                }
-                
-                // If times are equal, sort by field number
-                const getFieldNumber = (field) => {
-                    const match = field.match(/(\d+)/);
-                    return match ? parseInt(match[1]) : field.toLowerCase().charCodeAt(0);
-                };
-                
-                return getFieldNumber(a.field) - getFieldNumber(b.field);
-            });
-
             try {
                 console.log('Sending match data to server...');
-                const response = await fetch(`${this.serverURL}/matchdays`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(this.data.matchDays)
-                });
+                const body = {
+                    id: this.generateUUID(),
+                    homeTeamId: homeTeamId,
+                    awayTeamId: awayTeamId,
+                    scheduledTime: matchDate.toISOString(),
+                    ...field,
+                    ...this.readRefereeFields()
+                };
+                const newMatch = await this.withScheduleWarnings(query =>
+                    this.apiRequest('POST', `/matchdays/${matchDayId}/matches${query}`, body));
+                if (!newMatch) return;
 
-                console.log('Server response status:', response.status);
-                
-                if (response.ok) {
-                    console.log('Match added successfully');
-                    this.hideModal();
-                    this.updateUI(); // Refresh the main UI
-                    this.viewMatchDay(matchDayId); // Refresh match day view
-                    this.showToast('Match added successfully', 'success');
-                } else {
-                    const errorText = await response.text();
-                    console.error('Server error:', response.status, errorText);
-                    throw new Error(`Failed to add match: ${response.status} ${errorText}`);
-                }
+                console.log('Match added successfully');
+                matchDay.matches.push(newMatch);
+                matchDay.matches.sort((a, b) => this.compareMatches(a, b));
+                this.hideModal();
+                this.updateUI(); // Refresh the main UI
+                this.viewMatchDay(matchDayId); // Refresh match day view
+                this.showToast('Match added successfully', 'success');
             } catch (error) {
+                if (this.showFieldErrors(error, {
+                    homeTeamId: 'home-team',
+                    awayTeamId: 'away-team',
+                    scheduledTime: 'match-time',
+                    field: 'match-field',
+                    fieldId: 'match-field',
+                    centerRefereeId: 'center-referee',
+                    assistantRefereeIds: 'assistant-referee-1'
+                })) return;
                 console.error('Error adding match:', error);
                 this.showToast(`Failed to add match: ${error.message}`, 'error');
             }
@@ -978,6 +3488,7 @@ class SoccerRefereeApp {
             this.showToast('Team data not found for this match', 'error');
             return;
         }
+        const managedField = match.fieldId ? this.findField(match.fieldId) : null;
 
         const content = `
             <div style="margin-bottom: 1.5rem;">
@@ -994,7 +3505,12 @@ class SoccerRefereeApp {
                 </div>
                 <div style="text-align: center; color: #666;">
                     <div>${new Date(match.scheduledTime).toLocaleString()}</div>
-                    <div>Field ${match.field}</div>
+                    <div>Field ${match.field}${managedField ? ` • ${managedField.venue.name} (${managedField.field.surface}, ${managedField.field.size})` : ''}</div>
+                    <div style="margin-top: 0.5rem; font-size: 0.9rem;">
+                        Referee: ${match.centerRefereeId ? this.getRefereeName(match.centerRefereeId) : 'Not assigned'}
+                        ${(match.assistantRefereeIds || []).length > 0 ?
+                            `<br>Assistants: ${match.assistantRefereeIds.map(id => this.getRefereeName(id)).join(', ')}` : ''}
+                    </div>
                     <div style="margin-top: 0.5rem;">
                         <span style="background: #4CAF50; color: white; padding: 0.25rem 0.5rem; border-radius: 4px; font-size: 0.9rem;">
                             ${match.status}
@@ -1007,13 +3523,13 @@ class SoccerRefereeApp {
                 <div style="padding: 1rem; border: 1px solid #e0e0e0; border-radius: 8px;">
                     <div style="font-weight: bold; margin-bottom: 0.5rem; text-align: center;">${homeTeam.name}</div>
                     ${match.homeScore !== null ? `<div style="font-size: 1.5rem; font-weight: bold; color: #4CAF50; margin-bottom: 0.5rem; text-align: center;">${match.homeScore}</div>` : ''}
-                    <div style="font-size: 0.9rem; color: #666; margin-bottom: 0.5rem;">Present Players (${homeTeam.players.filter(p => p.isPresent).length}):</div>
-                    <div style="max-height: 120px; overflow-y: auto;">
-                        ${homeTeam.players.filter(p => p.isPresent).length === 0 ?
+                    <div style="font-size: 0.9rem; color: #666; margin-bottom: 0.5rem;">Present Players (${this.checkedInPlayers(match, homeTeam).length}):</div>
+                    <div style="max-height: 160px; overflow-y: auto;">
+                        ${this.checkedInPlayers(match, homeTeam).length === 0 ?
                             '<div style="font-style: italic; color: #999; font-size: 0.8rem;">No players checked in</div>' :
-                            homeTeam.players.filter(p => p.isPresent).map(player => `
-                                <div style="font-size: 0.8rem; padding: 0.2rem 0; border-bottom: 1px solid #f0f0f0;">
-                                    #${player.jerseyNumber} ${player.name}
+                            this.checkedInPlayers(match, homeTeam).map(player => `
+                                <div style="display: flex; align-items: center; gap: 0.4rem; font-size: 0.8rem; padding: 0.2rem 0; border-bottom: 1px solid #f0f0f0;">
+                                    ${this.playerPhotoHtml(player, 28)} #${player.jerseyNumber} ${player.name}
                                 </div>
                             `).join('')
                         }
@@ -1022,13 +3538,13 @@ class SoccerRefereeApp {
                 <div style="padding: 1rem; border: 1px solid #e0e0e0; border-radius: 8px;">
                     <div style="font-weight: bold; margin-bottom: 0.5rem; text-align: center;">${awayTeam.name}</div>
                     ${match.awayScore !== null ? `<div style="font-size: 1.5rem; font-weight: bold; color: #4CAF50; margin-bottom: 0.5rem; text-align: center;">${match.awayScore}</div>` : ''}
-                    <div style="font-size: 0.9rem; color: #666; margin-bottom: 0.5rem;">Present Players (${awayTeam.players.filter(p => p.isPresent).length}):</div>
-                    <div style="max-height: 120px; overflow-y: auto;">
-                        ${awayTeam.players.filter(p => p.isPresent).length === 0 ?
+                    <div style="font-size: 0.9rem; color: #666; margin-bottom: 0.5rem;">Present Players (${this.checkedInPlayers(match, awayTeam).length}):</div>
+                    <div style="max-height: 160px; overflow-y: auto;">
+                        ${this.checkedInPlayers(match, awayTeam).length === 0 ?
                             '<div style="font-style: italic; color: #999; font-size: 0.8rem;">No players checked in</div>' :
-                            awayTeam.players.filter(p => p.isPresent).map(player => `
-                                <div style="font-size: 0.8rem; padding: 0.2rem 0; border-bottom: 1px solid #f0f0f0;">
-                                    #${player.jerseyNumber} ${player.name}
+                            this.checkedInPlayers(match, awayTeam).map(player => `
+                                <div style="display: flex; align-items: center; gap: 0.4rem; font-size: 0.8rem; padding: 0.2rem 0; border-bottom: 1px solid #f0f0f0;">
+                                    ${this.playerPhotoHtml(player, 28)} #${player.jerseyNumber} ${player.name}
                                 </div>
                             `).join('')
                         }
@@ -1036,10 +3552,16 @@ class SoccerRefereeApp {
                 </div>
             </div>
             
+            ${this.matchEventsHtml(match, homeTeam, awayTeam)}
+            
+            ${this.attendanceHistoryHtml(match)}
+            
             <div class="form-actions">
                 <button type="button" class="btn btn-secondary" onclick="app.viewMatchDay('${this.currentMatchDayId}')">Close</button>
-                <button type="button" class="btn btn-primary" onclick="app.checkInMatch('${matchId}')">Check-in Players</button>
-                ${match.status === 'Scheduled' || match.status === 'In Progress' ?
+                ${this.can('manage') ? `<button type="button" class="btn btn-secondary" onclick="app.assignReferees('${matchId}')">Assign Referees</button>` : ''}
+                ${this.canOfficiate(match) ? `<button type="button" class="btn btn-primary" onclick="app.checkInMatch('${matchId}')">Check-in Players</button>` : ''}
+                ${this.canOfficiate(match) && match.status !== 'Cancelled' ? `<button type="button" class="btn btn-secondary" onclick="app.logMatchEvent('${matchId}')">Log Event</button>` : ''}
+                ${this.canOfficiate(match) && (match.status === 'Scheduled' || match.status === 'In Progress') ?
                     `<button type="button" class="btn btn-success" onclick="app.enterScore('${matchId}')">Enter Score</button>` :
                     ''
                 }
@@ -1049,13 +3571,51 @@ class SoccerRefereeApp {
         this.showModal('Match Details', content);
     }
 
-    checkInMatch(matchId) {
-        // Find the match
+    assignReferees(matchId) {
+        const matchDay = this.data.matchDays.find(md => md.matches.some(m => m.id === matchId));
+        if (!matchDay) return;
+        const match = matchDay.matches.find(m => m.id === matchId);
+
+        const content = `
+            <form id="assign-referees-form">
+                ${this.refereeFieldsHtml(match)}
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.viewMatch('${matchId}')">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Save Assignment</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal('Assign Referees', content);
+
+        document.getElementById('assign-referees-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            this.clearFieldErrors();
+
+            try {
+                const updated = await this.apiRequest('PATCH', `/matchdays/${matchDay.id}/matches/${matchId}`,
+                    this.readRefereeFields(), { record: match });
+                Object.assign(match, updated);
+                this.viewMatch(matchId);
+                this.showToast('Referees assigned', 'success');
+            } catch (error) {
+                console.error('Error assigning referees:', error);
+                if (this.handleConflictError(error)) return;
+                if (this.showFieldErrors(error, { centerRefereeId: 'center-referee', assistantRefereeIds: 'assistant-referee-1' })) return;
+                this.showToast(error.message || 'Failed to assign referees', 'error');
+            }
+        });
+    }
+
+    checkInMatch(matchId, keepPending = false) {
+        // Find the match and its match day
         let match = null;
+        let matchDay = null;
         for (const md of this.data.matchDays) {
             const foundMatch = md.matches.find(m => m.id === matchId);
             if (foundMatch) {
                 match = foundMatch;
+                matchDay = md;
                 break;
             }
         }
@@ -1067,25 +3627,37 @@ class SoccerRefereeApp {
 
         if (!homeTeam || !awayTeam) return;
 
-        const homePlayersHtml = homeTeam.players.map(player => `
-            <div style="display: flex; align-items: center; padding: 0.5rem; border-bottom: 1px solid #f0f0f0;">
-                <input type="checkbox" id="home-${player.id}" ${player.isPresent ? 'checked' : ''}
-                       onchange="app.togglePlayerPresence('${homeTeam.id}', '${player.id}')">
-                <label for="home-${player.id}" style="margin-left: 0.5rem; flex: 1; cursor: pointer;">
-                    #${player.jerseyNumber} ${player.name}
-                </label>
-            </div>
-        `).join('');
+        // Checkbox changes are collected here until Save Check-in sends the whole list
+        if (!keepPending) {
+            this.pendingAttendance = new Set((match.attendance || []).map(entry => entry.playerId));
+        }
 
-        const awayPlayersHtml = awayTeam.players.map(player => `
-            <div style="display: flex; align-items: center; padding: 0.5rem; border-bottom: 1px solid #f0f0f0;">
-                <input type="checkbox" id="away-${player.id}" ${player.isPresent ? 'checked' : ''}
-                       onchange="app.togglePlayerPresence('${awayTeam.id}', '${player.id}')">
-                <label for="away-${player.id}" style="margin-left: 0.5rem; flex: 1; cursor: pointer;">
-                    #${player.jerseyNumber} ${player.name}
-                </label>
-            </div>
-        `).join('');
+        const playerRowHtml = (player, side, team) => {
+            const entry = (match.attendance || []).find(e => e.playerId === player.id);
+            const suspension = this.suspensionFor(player.id, matchId);
+            const eligibility = this.matchEligibility(player.id, team, matchDay);
+            const overridden = (match.suspensionOverrides || []).some(o => o.playerId === player.id);
+            const blocked = suspension && !overridden && !entry;
+            return `
+                <div style="display: flex; align-items: center; padding: 0.5rem; border-bottom: 1px solid #f0f0f0;">
+                    <input type="checkbox" id="${side}-${player.id}" ${this.pendingAttendance.has(player.id) ? 'checked' : ''} ${blocked ? 'disabled' : ''}
+                           onchange="app.togglePlayerPresence('${player.id}')">
+                    <label for="${side}-${player.id}" style="margin-left: 0.5rem; flex-shrink: 0; cursor: pointer;">
+                        ${this.playerPhotoHtml(player, 44)}
+                    </label>
+                    <label for="${side}-${player.id}" style="margin-left: 0.5rem; flex: 1; cursor: pointer;">
+                        #${player.jerseyNumber} ${player.name}
+                        ${entry ? `<div style="font-size: 0.7rem; color: #999;">${new Date(entry.checkedInAt).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})} by ${entry.checkedInByName}</div>` : ''}
+                        ${suspension ? `<div style="font-size: 0.7rem; color: #f44336;">🚫 Suspended: ${suspension.reason}${overridden ? ' (overridden)' : ''}</div>` : ''}
+                        ${eligibility ? `<div style="font-size: 0.7rem; color: ${eligibility.eligible ? '#999' : '#FF9800'};">${eligibility.eligible ? '' : '⚠️ '}${eligibility.message}</div>` : ''}
+                    </label>
+                    ${blocked && this.can('manage') ? `<button type="button" class="btn btn-secondary btn-sm" onclick="app.overrideSuspension('${matchId}', '${player.id}')" style="font-size: 0.7rem; padding: 0.2rem 0.4rem;">Override</button>` : ''}
+                </div>
+            `;
+        };
+
+        const homePlayersHtml = homeTeam.players.map(player => playerRowHtml(player, 'home', homeTeam)).join('');
+        const awayPlayersHtml = awayTeam.players.map(player => playerRowHtml(player, 'away', awayTeam)).join('');
 
         const content = `
             <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem;">
@@ -1115,89 +3687,369 @@ class SoccerRefereeApp {
             </div>
         `;
 
-        this.showModal('Player Check-in', content);
+        this.showModal('Player Check-in', content);
+    }
+
+    // Age eligibility as of the match day, for the referee; unlike suspensions it doesn't block check-in
+    matchEligibility(playerId, team, matchDay) {
+        return this.eligibilityStatus(this.data.players.find(p => p.id === playerId) || { id: playerId },
+            team, matchDay.date.slice(0, 10));
+    }
+
+    async overrideSuspension(matchId, playerId) {
+        const matchDay = this.data.matchDays.find(md => md.matches.some(m => m.id === matchId));
+        if (!matchDay) return;
+        const match = matchDay.matches.find(m => m.id === matchId);
+
+        const reason = prompt(`Why may ${this.describePlayer(playerId)} play despite the suspension? This is logged on the match.`);
+        if (!reason || !reason.trim()) {
+            return;
+        }
+
+        try {
+            Object.assign(match, await this.apiRequest('POST', `/matchdays/${matchDay.id}/matches/${matchId}/suspension-overrides`, {
+                playerId: playerId,
+                reason: reason.trim()
+            }));
+            this.checkInMatch(matchId, true);
+            this.showToast('Suspension overridden for this match', 'success');
+        } catch (error) {
+            console.error('Error overriding suspension:', error);
+            this.showToast(error.message || 'Failed to override suspension', 'error');
+        }
+    }
+
+    togglePlayerPresence(playerId) {
+        if (this.pendingAttendance.has(playerId)) {
+            this.pendingAttendance.delete(playerId);
+        } else {
+            this.pendingAttendance.add(playerId);
+        }
+    }
+
+    // Roster players checked in for this match, in roster order
+    checkedInPlayers(match, team) {
+        const checkedIn = new Set((match.attendance || []).map(entry => entry.playerId));
+        return team.players.filter(player => checkedIn.has(player.id));
+    }
+
+    // What the server will make of a check-in sent later from offline mode
+    offlineAttendance(match, playerIds) {
+        const teamOfPlayer = new Map();
+        [match.homeTeamId, match.awayTeamId].forEach(teamId => {
+            const team = this.data.teams.find(t => t.id === teamId);
+            (team ? team.players : []).forEach(player => teamOfPlayer.set(player.id, teamId));
+        });
+
+        const attendance = match.attendance || [];
+        const checkedInAt = new Date().toISOString();
+        const updated = [
+            ...attendance.filter(entry => playerIds.includes(entry.playerId)),
+            ...playerIds.filter(id => !attendance.some(entry => entry.playerId === id)).map(playerId => ({
+                playerId: playerId,
+                teamId: teamOfPlayer.get(playerId),
+                checkedInAt: checkedInAt,
+                checkedInBy: this.currentUser.id,
+                checkedInByName: this.currentUser.displayName
+            }))
+        ];
+
+        return {
+            ...match,
+            attendance: updated,
+            homeTeamPresent: updated.filter(entry => entry.teamId === match.homeTeamId).length,
+            awayTeamPresent: updated.filter(entry => entry.teamId === match.awayTeamId).length
+        };
+    }
+
+    // Logged goals make the score, as on the server
+    offlineEvents(match, events) {
+        const goals = events.filter(event => event.type === 'goal');
+        const sorted = [...events].sort((a, b) => a.minute - b.minute || a.createdAt.localeCompare(b.createdAt));
+        return {
+            ...match,
+            events: sorted,
+            homeScore: goals.filter(event => event.teamId === match.homeTeamId).length,
+            awayScore: goals.filter(event => event.teamId === match.awayTeamId).length
+        };
+    }
+
+    findPlayer(playerId) {
+        for (const team of this.data.teams) {
+            const player = team.players.find(p => p.id === playerId);
+            if (player) return player;
+        }
+        return null;
+    }
+
+    describePlayer(playerId) {
+        const player = this.findPlayer(playerId);
+        return player ? `#${player.jerseyNumber} ${player.name}` : 'Removed player';
+    }
+
+    matchEventsHtml(match, homeTeam, awayTeam) {
+        const events = match.events || [];
+        const icons = { goal: '⚽', yellow: '🟨', red: '🟥', 'second-yellow': '🟨🟥', substitution: '🔄' };
+
+        return `
+            <div style="margin-bottom: 1.5rem;">
+                <h4 style="margin-bottom: 0.5rem;">Match Events</h4>
+                ${events.length === 0 ?
+                    '<div style="font-style: italic; color: #999; font-size: 0.8rem;">No events logged</div>' :
+                    events.map(event => `
+                        <div style="display: flex; align-items: center; font-size: 0.85rem; padding: 0.3rem 0; border-bottom: 1px solid #f0f0f0;">
+                            <span style="width: 2.5rem; color: #666;">${event.minute}'</span>
+                            <span style="margin-right: 0.5rem;">${icons[event.type]}</span>
+                            <span style="flex: 1;">
+                                ${this.describePlayer(event.playerId)}
+                                ${event.type === 'substitution' ? ` ➜ ${this.describePlayer(event.playerInId)}` : ''}
+                                <span style="color: #999;">(${event.teamId === homeTeam.id ? homeTeam.name : awayTeam.name})</span>
+                            </span>
+                            ${this.canOfficiate(match) ? `<button class="btn btn-danger btn-sm" onclick="app.deleteMatchEvent('${match.id}', '${event.id}')" style="font-size: 0.7rem; padding: 0.2rem 0.4rem;">✕</button>` : ''}
+                        </div>
+                    `).join('')
+                }
+            </div>
+        `;
+    }
+
+    logMatchEvent(matchId) {
+        const matchDay = this.data.matchDays.find(md => md.matches.some(m => m.id === matchId));
+        if (!matchDay) return;
+        const match = matchDay.matches.find(m => m.id === matchId);
+        const homeTeam = this.data.teams.find(t => t.id === match.homeTeamId);
+        const awayTeam = this.data.teams.find(t => t.id === match.awayTeamId);
+        if (!homeTeam || !awayTeam) return;
+
+        if ((match.attendance || []).length === 0) {
+            this.showToast('Check players in before logging events', 'error');
+            return;
+        }
+
+        const playerOptions = (team) => this.checkedInPlayers(match, team).map(player =>
+            `<option value="${player.id}">#${player.jerseyNumber} ${player.name}</option>`
+        ).join('');
+        const teamOptions = (selectId) => `
+            <select class="form-select" id="${selectId}" required>
+                <option value="">Select player</option>
+                <optgroup label="${homeTeam.name}">${playerOptions(homeTeam)}</optgroup>
+                <optgroup label="${awayTeam.name}">${playerOptions(awayTeam)}</optgroup>
+            </select>
+        `;
+
+        const content = `
+            <form id="event-form">
+                <div class="form-group">
+                    <label class="form-label">Event</label>
+                    <select class="form-select" id="event-type">
+                        <option value="goal">⚽ Goal</option>
+                        <option value="yellow">🟨 Yellow card</option>
+                        <option value="second-yellow">🟨🟥 Second yellow</option>
+                        <option value="red">🟥 Red card</option>
+                        <option value="substitution">🔄 Substitution</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" id="event-player-label">Player</label>
+                    ${teamOptions('event-player')}
+                </div>
+                <div class="form-group hidden" id="event-player-in-group">
+                    <label class="form-label">Player Coming On</label>
+                    ${teamOptions('event-player-in')}
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Minute</label>
+                    <input type="number" class="form-input" id="event-minute" min="0" max="150" required>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.viewMatch('${matchId}')">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Log Event</button>
+                </div>
+            </form>
+        `;
+
+        this.showModal('Log Match Event', content);
+
+        const typeSelect = document.getElementById('event-type');
+        typeSelect.addEventListener('change', () => {
+            const isSubstitution = typeSelect.value === 'substitution';
+            document.getElementById('event-player-in-group').classList.toggle('hidden', !isSubstitution);
+            document.getElementById('event-player-in').required = isSubstitution;
+            document.getElementById('event-player-label').textContent = isSubstitution ? 'Player Going Off' : 'Player';
+        });
+        document.getElementById('event-player-in').required = false;
+
+        document.getElementById('event-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            this.clearFieldErrors();
+
+            const type = typeSelect.value;
+            try {
+                const event = {
+                    id: this.generateUUID(),
+                    type: type,
+                    minute: parseInt(document.getElementById('event-minute').value),
+                    playerId: document.getElementById('event-player').value,
+                    playerInId: type === 'substitution' ? document.getElementById('event-player-in').value : undefined
+                };
+                const updated = await this.apiRequest('POST', `/matchdays/${matchDay.id}/matches/${matchId}/events`, event, {
+                    offline: () => this.offlineEvents(match, [...(match.events || []), {
+                        ...event,
+                        teamId: (match.attendance || []).find(entry => entry.playerId === event.playerId)?.teamId,
+                        createdAt: new Date().toISOString(),
+                        createdBy: this.currentUser.id,
+                        createdByName: this.currentUser.displayName
+                    }])
+                });
+                Object.assign(match, updated);
+                await this.refreshSuspensions();
+                this.viewMatch(matchId);
+                this.showToast('Event logged', 'success');
+            } catch (error) {
+                console.error('Error logging event:', error);
+                if (this.showFieldErrors(error, {
+                    type: 'event-type',
+                    playerId: 'event-player',
+                    playerInId: 'event-player-in',
+                    minute: 'event-minute'
+                })) return;
+                this.showToast(error.message || 'Failed to log event', 'error');
+            }
+        });
+    }
+
+    async deleteMatchEvent(matchId, eventId) {
+        const matchDay = this.data.matchDays.find(md => md.matches.some(m => m.id === matchId));
+        if (!matchDay) return;
+        const match = matchDay.matches.find(m => m.id === matchId);
+
+        if (!confirm('Remove this event from the match log?')) {
+            return;
+        }
+
+        try {
+            Object.assign(match, await this.apiRequest('DELETE', `/matchdays/${matchDay.id}/matches/${matchId}/events/${eventId}`, undefined, {
+                offline: () => this.offlineEvents(match, (match.events || []).filter(e => e.id !== eventId))
+            }));
+            await this.refreshSuspensions();
+            this.viewMatch(matchId);
+            this.showToast('Event removed', 'success');
+        } catch (error) {
+            console.error('Error removing event:', error);
+            this.showToast(error.message || 'Failed to remove event', 'error');
+        }
     }
 
-    async togglePlayerPresence(teamId, playerId) {
-        const team = this.data.teams.find(t => t.id === teamId);
-        if (!team) return;
+    attendanceHistoryHtml(match) {
+        const history = match.attendanceHistory || [];
+        const overrides = match.suspensionOverrides || [];
+        if (history.length === 0 && overrides.length === 0) {
+            return '';
+        }
 
-        const player = team.players.find(p => p.id === playerId);
-        if (!player) return;
+        const playerName = (entry) => {
+            const team = this.data.teams.find(t => t.id === entry.teamId);
+            const player = team && team.players.find(p => p.id === entry.playerId);
+            return player ? `#${player.jerseyNumber} ${player.name}` : 'Removed player';
+        };
 
-        player.isPresent = !player.isPresent;
+        return `
+            <details style="margin-bottom: 1.5rem;">
+                <summary style="cursor: pointer; color: #666;">Check-in history (${history.length})</summary>
+                <div style="max-height: 150px; overflow-y: auto; margin-top: 0.5rem;">
+                    ${[...history].reverse().map(entry => `
+                        <div style="font-size: 0.8rem; padding: 0.2rem 0; border-bottom: 1px solid #f0f0f0;">
+                            ${new Date(entry.at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })} •
+                            ${entry.action === 'check-in' ? '✅' : '↩️'} ${playerName(entry)} • ${entry.byName}
+                        </div>
+                    `).join('')}
+                    ${overrides.map(override => `
+                        <div style="font-size: 0.8rem; padding: 0.2rem 0; border-bottom: 1px solid #f0f0f0; color: #f44336;">
+                            ${new Date(override.at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })} •
+                            ⚠️ Suspension overridden for ${this.describePlayer(override.playerId)} by ${override.byName}: ${override.reason}
+                        </div>
+                    `).join('')}
+                </div>
+            </details>
+        `;
     }
 
     async saveCheckIn(matchId) {
-        // Find the match
+        // Find the match and its match day
         let match = null;
+        let matchDay = null;
         for (const md of this.data.matchDays) {
             const foundMatch = md.matches.find(m => m.id === matchId);
             if (foundMatch) {
                 match = foundMatch;
+                matchDay = md;
                 break;
             }
         }
 
-        if (!match) return;
-
-        const homeTeam = this.data.teams.find(t => t.id === match.homeTeamId);
-        const awayTeam = this.data.teams.find(t => t.id === match.awayTeamId);
-
-        if (!homeTeam || !awayTeam) return;
+        if (!match || !matchDay) return;
 
-        // Update match with present player counts
-        match.homeTeamPresent = homeTeam.players.filter(p => p.isPresent).length;
-        match.awayTeamPresent = awayTeam.players.filter(p => p.isPresent).length;
+        // Newly checked-in players who don't meet the league's age rule need the referee's go-ahead
+        const ineligible = [...this.pendingAttendance]
+            .filter(playerId => !(match.attendance || []).some(entry => entry.playerId === playerId))
+            .map(playerId => {
+                const team = [match.homeTeamId, match.awayTeamId]
+                    .map(teamId => this.data.teams.find(t => t.id === teamId))
+                    .find(t => t && t.players.some(p => p.id === playerId));
+                const eligibility = team && this.matchEligibility(playerId, team, matchDay);
+                return eligibility && !eligibility.eligible ? `${this.describePlayer(playerId)}: ${eligibility.message}` : null;
+            })
+            .filter(Boolean);
+        if (ineligible.length > 0 && !confirm(`These players aren't eligible to play:\n\n${ineligible.join('\n')}\n\nCheck them in anyway?`)) {
+            return;
+        }
 
         try {
-            // Save teams data
-            const teamsResponse = await fetch(`${this.serverURL}/teams`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(this.data.teams)
-            });
-
-            // Save match days data
-            const matchDaysResponse = await fetch(`${this.serverURL}/matchdays`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(this.data.matchDays)
-            });
-
-            if (teamsResponse.ok && matchDaysResponse.ok) {
-                this.showToast('Check-in saved successfully', 'success');
-                // Return to the match details view after saving check-in
-                this.viewMatch(matchId);
-            } else {
-                throw new Error('Failed to save check-in');
-            }
+            // The server records who checked each player in and when, and updates the present counts
+            const playerIds = [...this.pendingAttendance];
+            const updatedMatch = await this.apiRequest('PUT', `/matchdays/${matchDay.id}/matches/${matchId}/attendance`, {
+                playerIds: playerIds
+            }, { record: match, offline: () => this.offlineAttendance(match, playerIds) });
+            Object.assign(match, updatedMatch);
+
+            this.showToast('Check-in saved successfully', 'success');
+            // Return to the match details view after saving check-in
+            this.viewMatch(matchId);
         } catch (error) {
+            if (this.handleConflictError(error)) return;
+            if (this.showFieldErrors(error, {})) return; // e.g. suspended players
             console.error('Error saving check-in:', error);
             this.showToast('Failed to save check-in', 'error');
         }
     }
 
     enterScore(matchId) {
-        // Find the match
+        // Find the match and its match day
         let match = null;
+        let matchDay = null;
         for (const md of this.data.matchDays) {
             const foundMatch = md.matches.find(m => m.id === matchId);
             if (foundMatch) {
                 match = foundMatch;
+                matchDay = md;
                 break;
             }
         }
 
-        if (!match) return;
+        if (!match || !matchDay) return;
 
         const homeTeam = this.data.teams.find(t => t.id === match.homeTeamId);
         const awayTeam = this.data.teams.find(t => t.id === match.awayTeamId);
 
         if (!homeTeam || !awayTeam) return;
 
+        // With logged events the score is the goal count, and referees only ever score by logging goals,
+        // so only the status can be changed here
+        const scoreFromEvents = (match.events || []).length > 0 || !this.can('manage');
+
         const content = `
             <form id="score-form">
+                ${scoreFromEvents ? '<p style="margin-bottom: 1rem; color: #666; font-size: 0.9rem;">The score comes from the logged goals. Log a goal to change it.</p>' : ''}
                 <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-bottom: 1.5rem;">
                     <div style="text-align: center;">
                         <div style="display: flex; align-items: center; justify-content: center; margin-bottom: 1rem;">
@@ -1205,7 +4057,7 @@ class SoccerRefereeApp {
                             <span style="font-weight: bold;">${homeTeam.name}</span>
                         </div>
                         <input type="number" class="form-input" id="home-score" min="0" max="99"
-                               value="${match.homeScore || ''}" placeholder="0" style="text-align: center; font-size: 1.5rem;">
+                               value="${match.homeScore ?? ''}" placeholder="0" style="text-align: center; font-size: 1.5rem;" ${scoreFromEvents ? 'disabled' : ''}>
                     </div>
                     <div style="text-align: center;">
                         <div style="display: flex; align-items: center; justify-content: center; margin-bottom: 1rem;">
@@ -1213,7 +4065,7 @@ class SoccerRefereeApp {
                             <span style="font-weight: bold;">${awayTeam.name}</span>
                         </div>
                         <input type="number" class="form-input" id="away-score" min="0" max="99"
-                               value="${match.awayScore || ''}" placeholder="0" style="text-align: center; font-size: 1.5rem;">
+                               value="${match.awayScore ?? ''}" placeholder="0" style="text-align: center; font-size: 1.5rem;" ${scoreFromEvents ? 'disabled' : ''}>
                     </div>
                 </div>
                 
@@ -1243,25 +4095,30 @@ class SoccerRefereeApp {
             const awayScore = document.getElementById('away-score').value;
             const status = document.getElementById('match-status').value;
 
-            match.homeScore = homeScore ? parseInt(homeScore) : null;
-            match.awayScore = awayScore ? parseInt(awayScore) : null;
-            match.status = status;
-
             try {
-                const response = await fetch(`${this.serverURL}/matchdays`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(this.data.matchDays)
-                });
-
-                if (response.ok) {
-                    this.hideModal();
-                    this.updateUI(); // Refresh the main UI
-                    this.showToast('Score saved successfully', 'success');
-                } else {
-                    throw new Error('Failed to save score');
-                }
+                const body = scoreFromEvents ?
+                    { status: status } :
+                    {
+                        homeScore: homeScore ? parseInt(homeScore) : null,
+                        awayScore: awayScore ? parseInt(awayScore) : null,
+                        status: status
+                    };
+                // Reinstating a cancelled match re-checks it against the rest of the schedule
+                const updatedMatch = await this.withScheduleWarnings(query =>
+                    this.apiRequest('PATCH', `/matchdays/${matchDay.id}/matches/${matchId}${query}`, body, {
+                        record: match,
+                        offline: () => ({ ...match, ...body })
+                    }));
+                if (!updatedMatch) return;
+
+                Object.assign(match, updatedMatch);
+                await this.refreshSuspensions(); // Completed matches count towards served bans
+                this.hideModal();
+                this.updateUI(); // Refresh the main UI
+                this.showToast('Score saved successfully', 'success');
             } catch (error) {
+                if (this.handleConflictError(error)) return;
+                if (this.showFieldErrors(error, { homeScore: 'home-score', awayScore: 'away-score', status: 'match-status' })) return;
                 console.error('Error saving score:', error);
                 this.showToast('Failed to save score', 'error');
             }
@@ -1272,24 +4129,7 @@ class SoccerRefereeApp {
         const matchDay = this.data.matchDays.find(md => md.id === matchDayId);
         if (!matchDay) return;
 
-        // Sort matches by time first, then by field number
-        const sortedMatches = [...matchDay.matches].sort((a, b) => {
-            // First sort by scheduled time
-            const timeA = new Date(a.scheduledTime);
-            const timeB = new Date(b.scheduledTime);
-            if (timeA.getTime() !== timeB.getTime()) {
-                return timeA - timeB;
-            }
-            
-            // If times are equal, sort by field number
-            // Extract numeric part from field names (e.g., "Field 1", "Field A", "1", etc.)
-            const getFieldNumber = (field) => {
-                const match = field.match(/(\d+)/);
-                return match ? parseInt(match[1]) : field.toLowerCase().charCodeAt(0);
-            };
-            
-            return getFieldNumber(a.field) - getFieldNumber(b.field);
-        });
+        const sortedMatches = [...matchDay.matches].sort((a, b) => this.compareMatches(a, b));
 
         const matchesHtml = sortedMatches.length === 0 ?
             '<p style="color: #666; font-style: italic;">No matches scheduled</p>' :
@@ -1298,7 +4138,7 @@ class SoccerRefereeApp {
                 const awayTeam = this.data.teams.find(t => t.id === match.awayTeamId);
                 
                 return `
-                    <div class="match-item" style="padding: 1rem; border-bottom: 1px solid #f0f0f0; position: relative;">
+                    <div class="match-item" data-match-id="${match.id}" style="padding: 1rem; border-bottom: 1px solid #f0f0f0; position: relative;">
                         <div style="display: flex; align-items: center; margin-bottom: 0.5rem;">
                             <div style="display: flex; align-items: center; flex: 1; cursor: pointer;" onclick="app.viewMatch('${match.id}', '${matchDay.id}')">
                                 <div style="width: 15px; height: 15px; background: ${homeTeam ? this.getTeamColor(homeTeam) : '#ccc'}; border-radius: 50%; margin-right: 0.5rem;"></div>
@@ -1309,16 +4149,18 @@ class SoccerRefereeApp {
                                 <div style="width: 15px; height: 15px; background: ${awayTeam ? this.getTeamColor(awayTeam) : '#ccc'}; border-radius: 50%; margin-right: 0.5rem;"></div>
                                 <span style="font-weight: 500;">${awayTeam ? awayTeam.name : '⚠️ Team Not Found'}</span>
                             </div>
-                            <button class="btn btn-danger btn-sm" onclick="event.stopPropagation(); app.deleteMatch('${match.id}')" style="margin-left: 0.5rem; font-size: 0.7rem; padding: 0.25rem 0.5rem;">Delete</button>
+                            ${this.can('manage') ? `<button class="btn btn-danger btn-sm" onclick="event.stopPropagation(); app.deleteMatch('${match.id}')" style="margin-left: 0.5rem; font-size: 0.7rem; padding: 0.25rem 0.5rem;">Delete</button>` : ''}
                         </div>
                         <div style="display: flex; align-items: center; font-size: 0.9rem; color: #666; cursor: pointer;" onclick="app.viewMatch('${match.id}', '${matchDay.id}')">
                             <span>${new Date(match.scheduledTime).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
                             <span style="margin: 0 0.5rem;">•</span>
                             <span>Field ${match.field}</span>
+                            ${match.centerRefereeId ? `<span style="margin: 0 0.5rem;">•</span><span>Ref ${this.getRefereeName(match.centerRefereeId)}</span>` : ''}
                             <span style="margin-left: auto; background: #4CAF50; color: white; padding: 0.25rem 0.5rem; border-radius: 4px; font-size: 0.8rem;">
                                 ${match.status}
                             </span>
                         </div>
+                        <div class="match-conflicts"></div>
                     </div>
                 `;
             }).join('');
@@ -1331,20 +4173,126 @@ class SoccerRefereeApp {
             </div>
             
             <div>
-                <h4 style="margin-bottom: 1rem;">Scheduled Matches</h4>
-                <div style="border: 1px solid #e0e0e0; border-radius: 8px; overflow: hidden;">
-                    ${matchesHtml}
+                <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 1rem;">
+                    <h4 style="margin: 0;">Scheduled Matches</h4>
+                    ${sortedMatches.length > 0 ? `
+                        <button type="button" class="btn btn-secondary btn-sm" onclick="app.toggleMatchDayGrid('${matchDayId}')">
+                            ${this.showFieldGrid ? 'Show List' : 'Show Field Grid'}
+                        </button>
+                    ` : ''}
                 </div>
+                ${this.showFieldGrid && sortedMatches.length > 0 ? this.fieldGridHtml(matchDay, sortedMatches) : `
+                    <div style="border: 1px solid #e0e0e0; border-radius: 8px; overflow: hidden;">
+                        ${matchesHtml}
+                    </div>
+                `}
             </div>
             
             <div class="form-actions" style="margin-top: 1.5rem;">
                 <button type="button" class="btn btn-secondary" onclick="app.hideModal()">Close</button>
-                <button type="button" class="btn btn-danger" onclick="app.deleteMatchDay('${matchDayId}')">Delete Match Day</button>
-                <button type="button" class="btn btn-primary" onclick="app.addMatchToMatchDay('${matchDayId}')">Add Match</button>
+                ${this.can('manage') ? `
+                    <button type="button" class="btn btn-danger" onclick="app.deleteMatchDay('${matchDayId}')">Delete Match Day</button>
+                    <button type="button" class="btn btn-primary" onclick="app.addMatchToMatchDay('${matchDayId}')">Add Match</button>
+                ` : ''}
             </div>
         `;
 
         this.showModal('Match Day Details', content);
+        this.highlightConflicts(matchDayId);
+    }
+
+    toggleMatchDayGrid(matchDayId) {
+        this.showFieldGrid = !this.showFieldGrid;
+        this.viewMatchDay(matchDayId);
+    }
+
+    // Managed fields in venue order, then free-text fields by the number in their name
+    // Sort matches by time first, then by field
+    compareMatches(a, b) {
+        const timeA = new Date(a.scheduledTime);
+        const timeB = new Date(b.scheduledTime);
+        if (timeA.getTime() !== timeB.getTime()) {
+            return timeA - timeB;
+        }
+        return this.compareFields(a, b);
+    }
+
+    compareFields(a, b) {
+        const fieldOrder = (match) => {
+            const index = this.data.venues.flatMap(venue => venue.fields).findIndex(f => f.id === match.fieldId);
+            return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+        };
+        return fieldOrder(a) - fieldOrder(b) ||
+            String(a.field).localeCompare(String(b.field), undefined, { numeric: true });
+    }
+
+    // One column per field used on the match day, one row per kick-off time
+    fieldGridHtml(matchDay, sortedMatches) {
+        const fieldKey = (match) => match.fieldId || `name:${match.field}`;
+        const columns = [];
+        [...sortedMatches].sort((a, b) => this.compareFields(a, b)).forEach(match => {
+            if (!columns.some(column => column.key === fieldKey(match))) {
+                columns.push({ key: fieldKey(match), label: match.field });
+            }
+        });
+        const times = [...new Set(sortedMatches.map(match => match.scheduledTime))]
+            .sort((a, b) => new Date(a) - new Date(b));
+
+        return `
+            <div style="overflow-x: auto;">
+                <table class="field-grid">
+                    <thead>
+                        <tr>
+                            <th>Time</th>
+                            ${columns.map(column => `<th>Field ${column.label}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${times.map(time => `
+                            <tr>
+                                <th>${new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</th>
+                                ${columns.map(column => {
+                                    const matches = sortedMatches.filter(m => m.scheduledTime === time && fieldKey(m) === column.key);
+                                    return `<td>${matches.map(match => {
+                                        const homeTeam = this.data.teams.find(t => t.id === match.homeTeamId);
+                                        const awayTeam = this.data.teams.find(t => t.id === match.awayTeamId);
+                                        return `
+                                            <div class="match-item grid-match" data-match-id="${match.id}" onclick="app.viewMatch('${match.id}', '${matchDay.id}')">
+                                                <div>${homeTeam ? homeTeam.name : '?'}</div>
+                                                <div style="color: #666;">vs ${awayTeam ? awayTeam.name : '?'}</div>
+                                                <div class="match-conflicts"></div>
+                                            </div>
+                                        `;
+                                    }).join('')}</td>`;
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Marks matches that are double-booked (errors) or leave a team too little rest (warnings)
+    async highlightConflicts(matchDayId) {
+        try {
+            const conflicts = await this.apiRequest('GET', `/matchdays/${matchDayId}/conflicts`);
+
+            conflicts.forEach(conflict => {
+                const item = document.querySelector(`#modal-content .match-item[data-match-id="${conflict.matchId}"]`);
+                if (!item) return;
+
+                const isError = conflict.severity === 'error';
+                if (isError || !item.classList.contains('conflict-error')) {
+                    item.classList.remove('conflict-warning');
+                    item.classList.add(isError ? 'conflict-error' : 'conflict-warning');
+                }
+                item.querySelector('.match-conflicts').insertAdjacentHTML('beforeend',
+                    `<div class="match-conflict">${isError ? '⛔' : '⚠️'} ${conflict.message}</div>`);
+            });
+        } catch (error) {
+            console.error('Error checking schedule conflicts:', error);
+        }
     }
 
     async deleteMatch(matchId) {
@@ -1375,29 +4323,16 @@ class SoccerRefereeApp {
         }
 
         try {
-            // Remove match from the match day
-            matchDay.matches = matchDay.matches.filter(m => m.id !== matchId);
-            matchDay.lastModified = Date.now() / 1000;
-
-            // Update server
-            const response = await fetch(`${this.serverURL}/matchdays`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(this.data.matchDays)
-            });
+            await this.apiRequest('DELETE', `/matchdays/${matchDay.id}/matches/${matchId}`, undefined, { record: match });
 
-            if (response.ok) {
-                this.updateUI();
-                this.viewMatchDay(matchDay.id); // Refresh the match day view
-                this.showToast('Match deleted successfully', 'success');
-            } else {
-                throw new Error('Failed to delete match');
-            }
+            matchDay.matches = matchDay.matches.filter(m => m.id !== matchId);
+            this.updateUI();
+            this.viewMatchDay(matchDay.id); // Refresh the match day view
+            this.showToast('Match deleted successfully', 'success');
         } catch (error) {
+            if (this.handleConflictError(error)) return;
             console.error('Error deleting match:', error);
             this.showToast('Failed to delete match', 'error');
-            // Restore match if server update failed
-            matchDay.matches.push(match);
         }
     }
 
@@ -1416,30 +4351,458 @@ class SoccerRefereeApp {
         }
 
         try {
-            // Remove match day from local data
+            await this.apiRequest('DELETE', `/matchdays/${matchDayId}`, undefined, { record: matchDay });
+
             this.data.matchDays = this.data.matchDays.filter(md => md.id !== matchDayId);
+            this.hideModal();
+            this.updateUI();
+            this.showToast('Match day deleted successfully', 'success');
+        } catch (error) {
+            if (this.handleConflictError(error)) return;
+            console.error('Error deleting match day:', error);
+            this.showToast('Failed to delete match day', 'error');
+        }
+    }
+
+    // Send a single-entity change to the server and return the parsed response.
+    // Throws with the server's error message (and status) when the request fails;
+    // without a connection the error has offline set.
+    // Pass { record } to make the write conditional on the record's revision; if a
+    // colleague changed it meanwhile the user picks between their copy and ours.
+    // Pass { offline } for writes that may be queued while there's no connection:
+    // it returns the record as the server would, and that is what the caller gets.
+    async apiRequest(method, path, body, { record, offline } = {}) {
+        // Queued changes go out in order, so later ones wait behind them
+        if (offline && (!navigator.onLine || this.pendingCount > 0)) {
+            return this.queueMutation(method, path, body, record, offline());
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.serverURL}${path}`, this.requestOptions(method, body, record ? record.revision || 0 : null));
+        } catch (networkError) {
+            if (offline) {
+                return this.queueMutation(method, path, body, record, offline());
+            }
+            const error = new Error('No connection to the server');
+            error.offline = true;
+            throw error;
+        }
+        const result = await response.json().catch(() => ({}));
+
+        // The session expired or was revoked - ask the user to sign in again
+        if (response.status === 401 && this.currentUser) {
+            this.clearSession();
+            this.showLoginModal();
+        }
+
+        if (response.status === 409 && record && result.current) {
+            const choice = await this.showConflictDialog(result.current, body);
+
+            if (choice === 'overwrite') {
+                record.revision = result.current.revision;
+                return this.apiRequest(method, path, body, { record });
+            }
+
+            Object.assign(record, result.current);
+            const error = new Error(result.error);
+            error.status = 409;
+            error.conflictHandled = true;
+            throw error;
+        }
+
+        if (!response.ok) {
+            const error = new Error(result.error || `Request failed with status ${response.status}`);
+            error.status = response.status;
+            error.response = result;
+            throw error;
+        }
+
+        return result;
+    }
+
+    requestOptions(method, body, revision) {
+        const options = { method: method, headers: {} };
+
+        if (this.authToken) {
+            options.headers['Authorization'] = `Bearer ${this.authToken}`;
+        }
+
+        // Photos go up as the raw image
+        if (body instanceof Blob) {
+            options.headers['Content-Type'] = body.type;
+            options.body = body;
+        } else if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        if (revision !== null) {
+            options.headers['If-Match'] = String(revision);
+        }
+
+        return options;
+    }
 
-            // Update server
-            const response = await fetch(`${this.serverURL}/matchdays`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(this.data.matchDays)
+    // Offline mode: the data is kept in IndexedDB so the app opens without a connection,
+    // and writes made meanwhile wait in the outbox until they can be replayed in order
+    openOfflineStore() {
+        if (!this.offlineDB) {
+            this.offlineDB = new Promise((resolve, reject) => {
+                const request = indexedDB.open('soccer-referee', 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('data');
+                    request.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
             });
+        }
+        return this.offlineDB;
+    }
 
-            if (response.ok) {
-                this.hideModal();
-                this.updateUI();
-                this.showToast('Match day deleted successfully', 'success');
-            } else {
-                throw new Error('Failed to delete match day');
+    // Runs one request against an object store and resolves with its result once the transaction commits
+    async offlineStore(storeName, mode, operation) {
+        const db = await this.openOfflineStore();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Saves are batched because live updates can arrive several at a time
+    scheduleOfflineSave() {
+        clearTimeout(this.offlineSaveTimer);
+        this.offlineSaveTimer = setTimeout(() => {
+            if (!this.currentUser) return;
+            const snapshot = {
+                userId: this.currentUser.id,
+                savedAt: new Date().toISOString(),
+                cursor: this.changesCursor,
+                data: this.data
+            };
+            this.offlineStore('data', 'readwrite', store => store.put(snapshot, 'snapshot'))
+                .catch(error => console.error('Error saving offline data:', error));
+        }, 500);
+    }
+
+    // Only the signed-in user's own copy is used
+    async loadOfflineData() {
+        try {
+            const snapshot = await this.offlineStore('data', 'readonly', store => store.get('snapshot'));
+            if (!snapshot || !this.currentUser || snapshot.userId !== this.currentUser.id) {
+                return false;
             }
+            this.data = { ...this.emptyData(), ...snapshot.data };
+            this.changesCursor = snapshot.cursor || null;
+            this.lastSyncDate = new Date(snapshot.savedAt);
+            console.log(`📦 Loaded data saved on this device at ${snapshot.savedAt}`);
+            return true;
         } catch (error) {
-            console.error('Error deleting match day:', error);
-            this.showToast('Failed to delete match day', 'error');
-            // Restore match day if server update failed
-            this.data.matchDays.push(matchDay);
-            this.data.matchDays.sort((a, b) => new Date(a.date) - new Date(b.date));
+            console.error('Error loading offline data:', error);
+            return false;
+        }
+    }
+
+    async clearOfflineData() {
+        try {
+            await this.offlineStore('data', 'readwrite', store => store.clear());
+            await this.offlineStore('outbox', 'readwrite', store => store.clear());
+        } catch (error) {
+            console.error('Error clearing offline data:', error);
+        }
+        await this.refreshPendingCount();
+    }
+
+    // The optimistic result stands in for the server's reply. Its id and revision let the
+    // replay move later changes to the same record onto the revision the server hands out.
+    async queueMutation(method, path, body, record, result) {
+        const entry = {
+            method: method,
+            path: path,
+            body: body,
+            ifMatch: record ? record.revision || 0 : null,
+            recordId: result ? result.id : null,
+            baseRevision: result ? result.revision || 0 : null,
+            queuedAt: new Date().toISOString(),
+            token: this.authToken
+        };
+
+        try {
+            await this.offlineStore('outbox', 'readwrite', store => store.add(entry));
+        } catch (error) {
+            console.error('Error queueing change:', error);
+            const queueError = new Error('No connection to the server');
+            queueError.offline = true;
+            throw queueError;
+        }
+
+        if (this.pendingCount === 0) {
+            this.showToast('Offline - changes are kept on this device and sent when the connection is back', 'info');
+        }
+        console.log(`📤 Queued ${method} ${path} while offline`);
+        await this.refreshPendingCount();
+        this.requestBackgroundSync();
+        this.scheduleOfflineSave();
+        // Queued behind earlier changes rather than for a lost connection: try sending them now
+        if (navigator.onLine) {
+            this.replayOutbox();
+        }
+        return result;
+    }
+
+    async refreshPendingCount() {
+        try {
+            this.pendingCount = await this.offlineStore('outbox', 'readonly', store => store.count());
+        } catch (error) {
+            this.pendingCount = 0;
+        }
+
+        const badge = document.getElementById('pending-badge');
+        badge.textContent = this.pendingCount;
+        badge.title = `${this.pendingCount} change(s) waiting to be sent - click to retry`;
+        badge.classList.toggle('hidden', this.pendingCount === 0);
+        document.getElementById('pending-count').textContent = this.pendingCount;
+    }
+
+    // Where the browser supports it, the service worker replays the outbox even after the tab is closed
+    requestBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.ready
+            .then(registration => registration.sync && registration.sync.register('replay-outbox'))
+            .catch(error => console.error('Error registering background sync:', error));
+    }
+
+    // Sends the queued changes oldest first. A lost connection stops the replay until the next
+    // attempt; a change the server refuses is dropped after the user has seen why.
+    async replayOutbox() {
+        if (this.replaying || !this.authToken || !navigator.onLine) return;
+        this.replaying = true;
+
+        let sent = 0;
+        let dropped = 0;
+        try {
+            let entries = await this.offlineStore('outbox', 'readonly', store => store.getAll());
+            while (entries.length > 0) {
+                const outcome = await this.replayMutation(entries[0]);
+                if (outcome === 'stopped') break;
+                if (outcome === 'sent') sent++;
+                if (outcome === 'dropped') dropped++;
+
+                await this.offlineStore('outbox', 'readwrite', store => store.delete(entries[0].id));
+                await this.refreshPendingCount();
+                entries = await this.offlineStore('outbox', 'readonly', store => store.getAll());
+            }
+        } catch (error) {
+            console.error('Error replaying offline changes:', error);
+        } finally {
+            this.replaying = false;
+        }
+
+        if (sent > 0) {
+            console.log(`📤 Sent ${sent} change(s) made offline`);
+            this.showToast(`Sent ${sent} change(s) made offline`, 'success');
+        }
+        // The local copy still shows the dropped changes, which no feed entry will undo
+        if (dropped > 0) {
+            this.changesCursor = null;
+            await this.loadDataFromServer({ quiet: true });
+            this.updateUI();
+        }
+    }
+
+    async replayMutation(entry) {
+        let response;
+        try {
+            response = await fetch(`${this.serverURL}${entry.path}`, this.requestOptions(entry.method, entry.body, entry.ifMatch));
+        } catch (networkError) {
+            return 'stopped';
+        }
+        const result = await response.json().catch(() => ({}));
+
+        if (response.ok) {
+            await this.rebaseQueued(entry, result);
+            return 'sent';
+        }
+
+        // Keep the change and let the user sign in again; the replay continues afterwards
+        if (response.status === 401) {
+            this.clearSession();
+            this.showLoginModal();
+            return 'stopped';
+        }
+
+        if (response.status >= 500) {
+            return 'stopped';
+        }
+
+        // Someone else changed the record while this device was offline
+        if (response.status === 409 && result.current) {
+            const choice = await this.showConflictDialog(result.current, entry.body);
+            this.hideModal();
+            if (choice !== 'overwrite') return 'dropped';
+
+            entry.ifMatch = result.current.revision;
+            entry.baseRevision = result.current.revision;
+            return this.replayMutation(entry);
+        }
+
+        if (response.status === 422 && Array.isArray(result.warnings)) {
+            const messages = result.warnings.map(warning => `• ${warning.message}`).join('\n');
+            if (!confirm(`A change made offline has schedule warnings:\n\n${messages}\n\nSave anyway?`)) {
+                return 'dropped';
+            }
+            entry.path += `${entry.path.includes('?') ? '&' : '?'}ignoreWarnings=true`;
+            return this.replayMutation(entry);
+        }
+
+        const details = Array.isArray(result.details) ? result.details.map(detail => detail.message).join('\n') : '';
+        this.showToast(`A change made offline was refused: ${details || result.error || `status ${response.status}`}`, 'error');
+        return 'dropped';
+    }
+
+    // Later queued changes to the same record were based on the revision this one replaced
+    async rebaseQueued(entry, result) {
+        if (!entry.recordId || result.id !== entry.recordId || result.revision === undefined) return;
+
+        const entries = await this.offlineStore('outbox', 'readonly', store => store.getAll());
+        for (const queued of entries) {
+            if (queued.id === entry.id || queued.recordId !== entry.recordId || queued.baseRevision !== entry.baseRevision) {
+                continue;
+            }
+            queued.baseRevision = result.revision;
+            if (queued.ifMatch !== null) {
+                queued.ifMatch = result.revision;
+            }
+            await this.offlineStore('outbox', 'readwrite', store => store.put(queued));
+        }
+    }
+
+    showConflictDialog(current, mine) {
+        return new Promise(resolve => {
+            this.resolveConflict('discard');
+            this.conflictResolver = resolve;
+
+            const changedAt = current.lastModified ?
+                new Date(current.lastModified * 1000).toLocaleString() : 'recently';
+
+            const rows = mine === undefined ? [] : Object.keys(mine)
+                .filter(field => JSON.stringify(mine[field]) !== JSON.stringify(current[field]))
+                .map(field => `
+                    <tr>
+                        <td style="padding: 0.5rem; font-weight: 500;">${field}</td>
+                        <td style="padding: 0.5rem;">${this.describeConflictValue(field, mine[field])}</td>
+                        <td style="padding: 0.5rem;">${this.describeConflictValue(field, current[field])}</td>
+                    </tr>
+                `).join('');
+
+            const content = `
+                <p style="margin-bottom: 1rem;">
+                    Someone else changed this record (${changedAt}) after you loaded it.
+                    ${mine === undefined ? 'Do you still want to delete it?' : 'Choose which version to keep.'}
+                </p>
+                ${rows ? `
+                    <table style="width: 100%; border-collapse: collapse; margin-bottom: 1rem;">
+                        <thead>
+                            <tr style="text-align: left; border-bottom: 1px solid #e0e0e0;">
+                                <th style="padding: 0.5rem;">Field</th>
+                                <th style="padding: 0.5rem;">Yours</th>
+                                <th style="padding: 0.5rem;">Theirs</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : ''}
+                <div class="form-actions">
+                    <button type="button" class="btn btn-secondary" onclick="app.resolveConflict('discard')">Keep Theirs</button>
+                    <button type="button" class="btn btn-danger" onclick="app.resolveConflict('overwrite')">${mine === undefined ? 'Delete Anyway' : 'Overwrite With Mine'}</button>
+                </div>
+            `;
+
+            this.showModal('Conflicting Change', content);
+        });
+    }
+
+    resolveConflict(choice) {
+        const resolve = this.conflictResolver;
+        this.conflictResolver = null;
+        if (resolve) resolve(choice);
+    }
+
+    describeConflictValue(field, value) {
+        if (value === null || value === undefined || value === '') return '—';
+        if (field === 'leagueId') {
+            return this.data.leagues.find(l => l.id === value)?.name || value;
+        }
+        if (field === 'homeTeamId' || field === 'awayTeamId') {
+            return this.data.teams.find(t => t.id === value)?.name || value;
+        }
+        return String(value);
+    }
+
+    // The user kept the server's copy in the conflict dialog; apiRequest already
+    // updated the local record, so just refresh the screen
+    handleConflictError(error) {
+        if (!error.conflictHandled) return false;
+
+        this.hideModal();
+        this.updateUI();
+        this.showToast('Kept the newer version from the server', 'info');
+        return true;
+    }
+
+    // Schedule warnings (such as too little rest between a team's games) come back as 422.
+    // If the user accepts them the request is repeated with ?ignoreWarnings=true; null means they declined.
+    async withScheduleWarnings(request) {
+        try {
+            return await request('');
+        } catch (error) {
+            const warnings = error.status === 422 && error.response && error.response.warnings;
+            if (!Array.isArray(warnings)) throw error;
+
+            const messages = warnings.map(warning => `• ${warning.message}`).join('\n');
+            if (!confirm(`Schedule warnings:\n\n${messages}\n\nSave anyway?`)) {
+                return null;
+            }
+            return request('?ignoreWarnings=true');
+        }
+    }
+
+    // Show the server's per-field validation errors under the matching form inputs.
+    // Returns false when the error isn't a validation failure, so the caller can
+    // fall back to its usual toast.
+    showFieldErrors(error, fieldInputs) {
+        this.clearFieldErrors();
+
+        const details = error.status === 400 && error.response && error.response.details;
+        if (!Array.isArray(details)) return false;
+
+        const unmatched = [];
+        details.forEach(detail => {
+            const input = document.getElementById(fieldInputs[detail.field]);
+            if (!input) {
+                unmatched.push(detail.message);
+                return;
+            }
+
+            input.classList.add('input-error');
+            const message = document.createElement('div');
+            message.className = 'field-error';
+            message.textContent = detail.message;
+            (input.closest('.form-group') || input.parentElement).appendChild(message);
+        });
+
+        if (unmatched.length > 0) {
+            this.showToast(unmatched.join('\n'), 'error');
         }
+        return true;
+    }
+
+    clearFieldErrors() {
+        document.querySelectorAll('#modal-content .field-error').forEach(el => el.remove());
+        document.querySelectorAll('#modal-content .input-error').forEach(el => el.classList.remove('input-error'));
     }
 
     // Utility functions
@@ -1460,6 +4823,21 @@ class SoccerRefereeApp {
         });
     }
 
+    // The waiting service worker takes over once the user agrees; the page then reloads on controllerchange
+    showUpdatePrompt(worker) {
+        const banner = document.getElementById('update-banner');
+        banner.classList.remove('hidden');
+        document.getElementById('update-reload-btn').onclick = () => {
+            // Queued changes survive a reload, but one that is on its way could be sent twice
+            if (this.replaying) {
+                this.showToast('Sending offline changes - try again in a moment', 'info');
+                return;
+            }
+            banner.classList.add('hidden');
+            worker.postMessage({ type: 'skip-waiting' });
+        };
+    }
+
     showLoading(message = 'Loading...') {
         const overlay = document.getElementById('loading-overlay');
         overlay.querySelector('p').textContent = message;
@@ -1490,15 +4868,42 @@ document.addEventListener('DOMContentLoaded', () => {
     window.app = new SoccerRefereeApp();
 });
 
-// Service Worker registration for PWA
+// Service Worker registration for PWA. A new version installs in the background and
+// waits; the app offers a reload, which switches to it.
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
         navigator.serviceWorker.register('/sw.js')
             .then(registration => {
                 console.log('SW registered: ', registration);
+
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    window.app.showUpdatePrompt(registration.waiting);
+                }
+                registration.addEventListener('updatefound', () => {
+                    const worker = registration.installing;
+                    worker.addEventListener('statechange', () => {
+                        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                            window.app.showUpdatePrompt(worker);
+                        }
+                    });
+                });
+
+                // Sideline tablets stay open for hours - look for a new version when the app comes back into view
+                document.addEventListener('visibilitychange', () => {
+                    if (document.visibilityState === 'visible') {
+                        registration.update().catch(() => {});
+                    }
+                });
             })
             .catch(registrationError => {
                 console.log('SW registration failed: ', registrationError);
             });
+
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
     });
-}
\ No newline at end of file
+}
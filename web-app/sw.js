@@ -1,47 +1,171 @@
-const CACHE_NAME = 'soccer-referee-v1';
-const urlsToCache = [
+// The server fills in a hash of the web app's files when it serves this script, so every
+// change to them makes the browser install a new version (and the app offer a reload)
+const BUILD_HASH = 'development';
+const CACHE_NAME = `soccer-referee-${BUILD_HASH}`;
+// API responses are shared by all versions; the app clears them when the user signs out
+const API_CACHE_NAME = 'soccer-referee-api';
+// Oldest responses are dropped past this, so browsing many photos can't grow the cache forever
+const API_CACHE_MAX_ENTRIES = 200;
+// The live update stream and the change feed only make sense fresh from the server
+const UNCACHED_API_PATHS = ['/api/events', '/api/changes'];
+const PRECACHE_URLS = [
   '/',
   '/index.html',
   '/styles.css',
   '/app.js',
-  '/manifest.json'
+  '/manifest.json',
+  '/icon-192.png',
+  '/icon-512.png'
 ];
 
-// Install event - cache resources
+// Install event - cache this version's files. The new version then waits until the
+// user accepts the reload prompt (or every tab is closed).
 self.addEventListener('install', event => {
   event.waitUntil(
     caches.open(CACHE_NAME)
       .then(cache => {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache);
+        console.log('Precaching version', BUILD_HASH);
+        return cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })));
       })
   );
 });
 
-// Fetch event - serve from cache when offline
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
+
+// Fetch event - the app's files come from this version's cache; API reads go to the
+// network first and fall back to the last response when offline. Writes, the live
+// update stream, the change feed and anything carrying a token in its URL are left alone.
 self.addEventListener('fetch', event => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin ||
+      UNCACHED_API_PATHS.includes(url.pathname) || url.searchParams.has('token')) {
+    return;
+  }
+
+  if (url.pathname.startsWith('/api/')) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
   event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        // Return cached version or fetch from network
-        return response || fetch(event.request);
-      }
-    )
+    caches.open(CACHE_NAME)
+      .then(cache => cache.match(request.mode === 'navigate' ? '/index.html' : request, { ignoreSearch: true }))
+      .then(response => response || fetch(request))
   );
 });
 
-// Activate event - clean up old caches
+async function networkFirst(request) {
+  const cache = await caches.open(API_CACHE_NAME);
+  // A photo is the same file whatever query string it was asked for with
+  const url = new URL(request.url);
+  const cacheKey = url.pathname.startsWith('/api/photos/') ? url.origin + url.pathname : request;
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(cacheKey, response.clone());
+      await pruneApiCache(cache);
+    }
+    return response;
+  } catch (error) {
+    // No saved copy: fail like the network did, so the app falls back to its own offline data
+    return (await cache.match(cacheKey)) || Response.error();
+  }
+}
+
+// Cache keys come back in insertion order, and put() re-inserts a refreshed response,
+// so the first keys are the ones fetched longest ago
+async function pruneApiCache(cache) {
+  const keys = await cache.keys();
+  const excess = keys.slice(0, Math.max(0, keys.length - API_CACHE_MAX_ENTRIES));
+  await Promise.all(excess.map(key => cache.delete(key)));
+}
+
+// Activate event - clean up the caches of earlier versions
 self.addEventListener('activate', event => {
   event.waitUntil(
     caches.keys().then(cacheNames => {
       return Promise.all(
         cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName !== CACHE_NAME && cacheName !== API_CACHE_NAME) {
             console.log('Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
         })
       );
-    })
+    }).then(() => self.clients.claim())
   );
-});
\ No newline at end of file
+});
+
+// Background sync - send changes queued while offline (see the outbox in app.js).
+// An open page replays them itself so it can ask about conflicts; otherwise they are
+// sent from here, and anything the server refuses is left for the page to resolve.
+self.addEventListener('sync', event => {
+  if (event.tag === 'replay-outbox') {
+    event.waitUntil(replayOutbox());
+  }
+});
+
+async function replayOutbox() {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.length > 0) {
+    windows.forEach(client => client.postMessage({ type: 'replay-outbox' }));
+    return;
+  }
+
+  const db = await openOfflineStore();
+  const entries = await outboxRequest(db, 'readonly', store => store.getAll());
+
+  for (const entry of entries) {
+    const headers = { 'Authorization': `Bearer ${entry.token}` };
+    if (entry.body !== undefined) headers['Content-Type'] = 'application/json';
+    if (entry.ifMatch !== null) headers['If-Match'] = String(entry.ifMatch);
+
+    // A network error rejects, so the browser tries the sync again later
+    const response = await fetch(`/api${entry.path}`, {
+      method: entry.method,
+      headers: headers,
+      body: entry.body === undefined ? undefined : JSON.stringify(entry.body)
+    });
+    if (!response.ok) {
+      return;
+    }
+
+    // Later changes to the same record move onto the revision the server just handed out
+    const result = await response.json().catch(() => ({}));
+    if (entry.recordId && result.id === entry.recordId && result.revision !== undefined) {
+      for (const queued of entries.slice(entries.indexOf(entry) + 1)) {
+        if (queued.recordId !== entry.recordId || queued.baseRevision !== entry.baseRevision) continue;
+        queued.baseRevision = result.revision;
+        if (queued.ifMatch !== null) queued.ifMatch = result.revision;
+        await outboxRequest(db, 'readwrite', store => store.put(queued));
+      }
+    }
+    await outboxRequest(db, 'readwrite', store => store.delete(entry.id));
+  }
+}
+
+function openOfflineStore() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('soccer-referee', 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('data');
+      request.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function outboxRequest(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction('outbox', mode);
+    const request = operation(transaction.objectStore('outbox'));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}